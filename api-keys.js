@@ -0,0 +1,83 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { loadStartupConfig } = require('./lib/config');
+const { SCOPES, createApiKey, listApiKeys, revokeApiKey } = require('./lib/api-keys');
+
+// API key management (see lib/api-auth.js for how the API uses keys).
+//
+//   node api-keys.js create <name> [--scope read|admin] [--rate-limit <requests per window>]
+//   node api-keys.js list [--all]
+//   node api-keys.js revoke <id or prefix>
+//
+// The key is printed once by `create`; only its hash is stored.
+
+const USAGE = [
+  'Usage:',
+  `  node api-keys.js create <name> [--scope ${SCOPES.join('|')}] [--rate-limit <requests per window>]`,
+  '  node api-keys.js list [--all]',
+  '  node api-keys.js revoke <id or prefix>'
+].join('\n');
+
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString() : '-';
+}
+
+async function create(name) {
+  if (!name || name.startsWith('--')) throw new Error(USAGE);
+  const rateLimitArg = getArgValue('--rate-limit');
+  const rateLimit = rateLimitArg === undefined ? null : Number(rateLimitArg);
+  const { key, apiKey } = await createApiKey({ name, scope: getArgValue('--scope') || 'read', rateLimit });
+
+  console.log(`[KEYS] Created ${apiKey.scope} key "${apiKey.name}" (id ${apiKey._id})`);
+  console.log(`[KEYS] Key: ${key}`);
+  console.log('[KEYS] Store it now; it is not shown again');
+}
+
+async function list() {
+  const keys = await listApiKeys({ includeRevoked: process.argv.includes('--all') });
+  if (keys.length === 0) {
+    console.log('[KEYS] No API keys');
+    return;
+  }
+  keys.forEach(apiKey => {
+    const limit = apiKey.rateLimit === null || apiKey.rateLimit === undefined ? 'default' : apiKey.rateLimit;
+    console.log(`${apiKey._id}  ${apiKey.prefix}...  ${apiKey.scope.padEnd(5)}  ${apiKey.name}`);
+    console.log(`    created ${formatDate(apiKey.createdAt)}, last used ${formatDate(apiKey.lastUsedAt)}, rate limit ${limit}${apiKey.revokedAt ? `, revoked ${formatDate(apiKey.revokedAt)}` : ''}`);
+  });
+}
+
+async function revoke(idOrPrefix) {
+  if (!idOrPrefix) throw new Error(USAGE);
+  const apiKey = await revokeApiKey(idOrPrefix);
+  if (!apiKey) throw new Error(`No active API key with id or prefix ${idOrPrefix}`);
+  console.log(`[KEYS] Revoked "${apiKey.name}" (${apiKey.prefix}...); running servers stop accepting it within a minute`);
+}
+
+const COMMANDS = { create, list, revoke };
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+  if (!COMMANDS[command]) throw new Error(USAGE);
+
+  const { mongodbUri, database } = loadStartupConfig({ required: ['mongodbUri', 'database'], purpose: 'managing API keys' });
+  await mongoose.connect(mongodbUri, { dbName: database });
+  try {
+    await COMMANDS[command](arg);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[KEYS] Failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
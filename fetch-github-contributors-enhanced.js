@@ -1,12 +1,14 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const dayjs = require('dayjs');
-const fetch = require('node-fetch');
+const { getRepositories } = require('./lib/repositories');
+const githubClient = require('./lib/github-client');
+const { getConfig, loadStartupConfig } = require('./lib/config');
 
-// MongoDB connection
-const MONGODB_URI = process.env.OPENPRS_MONGODB_URI;
-const DBNAME = process.env.OPENPRS_DATABASE;
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+// This script makes a profile and a commits request per contributor, so it stops
+// (waits for the reset) with this many core requests still left in the window,
+// keeping them for the scheduled PR fetch
+const RATE_LIMIT_RESERVE = getConfig().githubEnhancedReserve;
 
 // Enhanced Contributor schema with comprehensive data
 const contributorSchema = new mongoose.Schema({
@@ -170,48 +172,9 @@ const repoStatsSchema = new mongoose.Schema({
 const CONTRIBUTOR = mongoose.models.CONTRIBUTOR || mongoose.model("CONTRIBUTOR", contributorSchema, "contributors");
 const REPO_STATS = mongoose.models.REPO_STATS || mongoose.model("REPO_STATS", repoStatsSchema, "repository_stats");
 
-// GitHub API helper with pagination support
-async function fetchGitHubAPI(url, retries = 3) {
-  const headers = {
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'EIPs-PRScheduler/1.0'
-  };
-  
-  if (GITHUB_TOKEN) {
-    headers['Authorization'] = `token ${GITHUB_TOKEN}`;
-  }
-  
-  console.log(`[API] Fetching: ${url}`);
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, { headers });
-      
-      if (response.status === 202) {
-        console.log(`[API] GitHub is calculating stats (202), waiting 10 seconds... (attempt ${attempt}/${retries})`);
-        if (attempt < retries) {
-          await new Promise(resolve => setTimeout(resolve, 10000));
-          continue;
-        } else {
-          throw new Error('GitHub stats not ready after retries');
-        }
-      }
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      if (attempt === retries) {
-        console.error(`[API ERROR] Failed to fetch ${url} after ${retries} attempts:`, error.message);
-        throw error;
-      }
-      console.log(`[API] Attempt ${attempt} failed, retrying in 5 seconds...`);
-      await new Promise(resolve => setTimeout(resolve, 5000));
-    }
-  }
+// GitHub API helper
+function fetchGitHubAPI(path) {
+  return githubClient.getJSON(path, { reserve: RATE_LIMIT_RESERVE });
 }
 
 // Fetch ALL contributors using pagination (not just top 100)
@@ -219,33 +182,17 @@ async function fetchAllContributors(owner, repo) {
   console.log(`[FETCH] Getting ALL contributors for ${owner}/${repo}...`);
   
   let allContributors = [];
-  let page = 1;
-  const perPage = 100;
+  const pages = githubClient.paginate(`/repos/${owner}/${repo}/contributors?per_page=100`, { reserve: RATE_LIMIT_RESERVE });
   
-  while (true) {
-    try {
-      const url = `https://api.github.com/repos/${owner}/${repo}/contributors?per_page=${perPage}&page=${page}`;
-      const contributors = await fetchGitHubAPI(url);
-      
-      if (!contributors || !Array.isArray(contributors) || contributors.length === 0) {
-        break;
-      }
-      
-      allContributors = allContributors.concat(contributors);
-      console.log(`[FETCH] Page ${page}: ${contributors.length} contributors (total: ${allContributors.length})`);
-      
-      if (contributors.length < perPage) {
-        break; // Last page
-      }
-      
-      page++;
+  try {
+    for await (const { page, items } of pages) {
+      if (!Array.isArray(items) || items.length === 0) break;
       
-      // Rate limiting - be respectful to GitHub API
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    } catch (error) {
-      console.error(`[ERROR] Failed to fetch contributors page ${page}:`, error.message);
-      break;
+      allContributors = allContributors.concat(items);
+      console.log(`[FETCH] Page ${page}: ${items.length} contributors (total: ${allContributors.length})`);
     }
+  } catch (error) {
+    console.error(`[ERROR] Failed to fetch contributors page:`, error.message);
   }
   
   console.log(`[FETCH] Total contributors found: ${allContributors.length}`);
@@ -255,8 +202,7 @@ async function fetchAllContributors(owner, repo) {
 // Fetch detailed user information
 async function fetchUserDetails(username) {
   try {
-    const url = `https://api.github.com/users/${username}`;
-    return await fetchGitHubAPI(url);
+    return await fetchGitHubAPI(`/users/${username}`);
   } catch (error) {
     console.log(`[WARN] Could not fetch details for user ${username}: ${error.message}`);
     return {};
@@ -265,15 +211,13 @@ async function fetchUserDetails(username) {
 
 // Fetch contributor stats (commit activity)
 async function fetchContributorStats(owner, repo) {
-  const url = `https://api.github.com/repos/${owner}/${repo}/stats/contributors`;
-  return await fetchGitHubAPI(url);
+  return await fetchGitHubAPI(`/repos/${owner}/${repo}/stats/contributors`);
 }
 
 // Fetch recent commits for a contributor
 async function fetchRecentCommits(owner, repo, author, count = 10) {
   try {
-    const url = `https://api.github.com/repos/${owner}/${repo}/commits?author=${author}&per_page=${count}`;
-    const commits = await fetchGitHubAPI(url);
+    const commits = await fetchGitHubAPI(`/repos/${owner}/${repo}/commits?author=${author}&per_page=${count}`);
     
     if (!Array.isArray(commits)) return [];
     
@@ -427,9 +371,6 @@ async function processComprehensiveContributorData(contributors, statsData, repo
     if ((i + 1) % 10 === 0) {
       console.log(`[PROCESS] Processed ${i + 1}/${Math.min(contributors.length, 500)} contributors`);
     }
-    
-    // Rate limiting
-    await new Promise(resolve => setTimeout(resolve, 100));
   }
   
   // Sort by total commits and update ranks
@@ -640,11 +581,7 @@ async function storeRepoStats(repoStats) {
 async function fetchAllContributorData() {
   console.log(`[START] Fetching comprehensive contributor statistics...`);
   
-  const repositories = [
-    { owner: 'ethereum', name: 'EIPs' },
-    { owner: 'ethereum', name: 'ERCs' },
-    { owner: 'ethereum', name: 'RIPs' }
-  ];
+  const repositories = getRepositories().map(({ owner, repo }) => ({ owner, name: repo }));
   
   for (const repo of repositories) {
     try {
@@ -686,9 +623,6 @@ async function fetchAllContributorData() {
       console.log(`[SUCCESS] ${repo.name}: ${processedContributors.length} contributors processed`);
       console.log(`[SUMMARY] Total commits: ${repoStats.total_commits}, Health score: ${repoStats.health_score}/100`);
       
-      // Add delay between repositories
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
     } catch (error) {
       console.error(`[ERROR] Failed to process ${repo.name}:`, error.message);
       continue;
@@ -698,12 +632,15 @@ async function fetchAllContributorData() {
 
 // Main execution function
 async function main() {
-  console.log(`[START] Connecting to MongoDB (${DBNAME})...`);
-  await mongoose.connect(MONGODB_URI, { dbName: DBNAME });
+  // Unauthenticated requests get 60 per hour, far too few for this script
+  const config = loadStartupConfig({ required: ['mongodbUri', 'database', 'githubToken'], purpose: 'the enhanced contributor fetch' });
+  console.log(`[START] Connecting to MongoDB (${config.database})...`);
+  await mongoose.connect(config.mongodbUri, { dbName: config.database });
   
   try {
     await fetchAllContributorData();
     console.log(`\n[COMPLETE] Comprehensive contributor statistics collection completed!`);
+    console.log(`[GITHUB] ${githubClient.formatMetrics(githubClient.metricsSince())}`);
     console.log(`\n📊 Enhanced data includes:`);
     console.log(`   • ALL contributors (not just top 100)`);
     console.log(`   • Full GitHub profiles (name, company, bio, etc.)`);
@@ -1,12 +1,11 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const dayjs = require('dayjs');
-const fetch = require('node-fetch'); // Add fetch for Node.js compatibility
-
-// MongoDB connection
-const MONGODB_URI = process.env.OPENPRS_MONGODB_URI;
-const DBNAME = process.env.OPENPRS_DATABASE;
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+const { getRepositories } = require('./lib/repositories');
+const { reportResult, mergeCounts, hasRows } = require('./lib/job-result');
+const githubClient = require('./lib/github-client');
+const { loadStartupConfig } = require('./lib/config');
+const { bumpDataVersion } = require('./lib/data-version');
 
 // Contributor schema
 const contributorSchema = new mongoose.Schema({
@@ -57,62 +56,19 @@ const repoStatsSchema = new mongoose.Schema({
 const CONTRIBUTOR = mongoose.models.CONTRIBUTOR || mongoose.model("CONTRIBUTOR", contributorSchema, "contributors");
 const REPO_STATS = mongoose.models.REPO_STATS || mongoose.model("REPO_STATS", repoStatsSchema, "repository_stats");
 
-// GitHub API helper
-async function fetchGitHubAPI(url, retries = 3) {
-  const headers = {
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'EIPs-PRScheduler/1.0'
-  };
-  
-  if (GITHUB_TOKEN) {
-    headers['Authorization'] = `token ${GITHUB_TOKEN}`;
-  }
-  
-  console.log(`[API] Fetching: ${url}`);
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, { headers });
-      
-      if (response.status === 202) {
-        console.log(`[API] GitHub is calculating stats (202), waiting 5 seconds... (attempt ${attempt}/${retries})`);
-        if (attempt < retries) {
-          await new Promise(resolve => setTimeout(resolve, 5000));
-          continue;
-        } else {
-          throw new Error('GitHub stats not ready after retries');
-        }
-      }
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      // Check if data is valid
-      if (!Array.isArray(data) || data.length === 0) {
-        console.log(`[API] No contributor data available for ${url.split('/').slice(-2).join('/')}`);
-        return [];
-      }
-      
-      console.log(`[API] Success: Retrieved ${data.length} contributors`);
-      return data;
-    } catch (error) {
-      if (attempt === retries) {
-        console.error(`[API ERROR] Failed to fetch ${url} after ${retries} attempts:`, error.message);
-        throw error;
-      }
-      console.log(`[API] Attempt ${attempt} failed, retrying...`);
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    }
+// Fetch contributors for a repository. The stats endpoint answers 202 while GitHub
+// computes the statistics; the client retries those with backoff.
+async function fetchContributors(owner, repo, signal) {
+  const data = await githubClient.getJSON(`/repos/${owner}/${repo}/stats/contributors`, { signal });
+
+  // Check if data is valid
+  if (!Array.isArray(data) || data.length === 0) {
+    console.log(`[API] No contributor data available for ${owner}/${repo}`);
+    return [];
   }
-}
 
-// Fetch contributors for a repository
-async function fetchContributors(owner, repo) {
-  const url = `https://api.github.com/repos/${owner}/${repo}/stats/contributors`;
-  return await fetchGitHubAPI(url);
+  console.log(`[API] Success: Retrieved ${data.length} contributors`);
+  return data;
 }
 
 // Process contributor data
@@ -252,67 +208,85 @@ async function storeRepoStats(repoStats) {
 }
 
 // Main function to fetch contributors for all repositories
-async function fetchAllContributors() {
+async function fetchAllContributors(signal) {
   console.log(`[START] Fetching contributor statistics...`);
   
-  const repositories = [
-    { owner: 'ethereum', name: 'EIPs' },
-    { owner: 'ethereum', name: 'ERCs' },
-    { owner: 'ethereum', name: 'RIPs' }
-  ];
+  const repositories = getRepositories().map(({ owner, repo }) => ({ owner, name: repo }));
+  const counts = {};
+  const failedRepositories = [];
   
-  for (const repo of repositories) {
-    try {
-      console.log(`\n=== PROCESSING ${repo.owner}/${repo.name} ===`);
-      
-      // Fetch contributor data from GitHub
-      const contributors = await fetchContributors(repo.owner, repo.name);
+  try {
+    for (const repo of repositories) {
+      signal?.throwIfAborted();
+      try {
+        console.log(`\n=== PROCESSING ${repo.owner}/${repo.name} ===`);
       
-      if (!contributors || contributors.length === 0) {
-        console.log(`[SKIP] No contributors found for ${repo.name}`);
-        continue;
-      }
+        // Fetch contributor data from GitHub
+        const contributors = await fetchContributors(repo.owner, repo.name, signal);
       
-      // Process contributor data
-      const processedContributors = processContributorData(contributors, repo.name);
+        if (!contributors || contributors.length === 0) {
+          console.log(`[SKIP] No contributors found for ${repo.name}`);
+          continue;
+        }
       
-      // Generate repository statistics
-      const repoStats = generateRepoStats(processedContributors, repo.name);
+        // Process contributor data
+        const processedContributors = processContributorData(contributors, repo.name);
       
-      // Store in database
-      await storeContributors(processedContributors, repo.name);
-      await storeRepoStats(repoStats);
+        // Generate repository statistics
+        const repoStats = generateRepoStats(processedContributors, repo.name);
       
-      console.log(`[SUCCESS] Completed ${repo.name}: ${processedContributors.length} contributors, ${repoStats.total_commits} total commits`);
+        // Store in database
+        await storeContributors(processedContributors, repo.name);
+        await storeRepoStats(repoStats);
+        mergeCounts(counts, {
+          [CONTRIBUTOR.collection.collectionName]: processedContributors.length,
+          [REPO_STATS.collection.collectionName]: 1
+        });
       
-      // Add delay between repositories to be respectful to GitHub API
-      await new Promise(resolve => setTimeout(resolve, 2000));
+        console.log(`[SUCCESS] Completed ${repo.name}: ${processedContributors.length} contributors, ${repoStats.total_commits} total commits`);
       
-    } catch (error) {
-      console.error(`[ERROR] Failed to process ${repo.name}:`, error.message);
-      continue; // Continue with next repository
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error(`[ERROR] Failed to process ${repo.name}:`, error.message);
+        failedRepositories.push({ repository: repo.name, error: error.message });
+        continue; // Continue with next repository
+      }
     }
+  } finally {
+    // Each repository's contributors are live as soon as they are stored
+    if (hasRows(counts)) await bumpDataVersion('fetch-github-contributors.js');
   }
+  
+  return { counts, failedRepositories };
 }
 
-// Main execution function
-async function main() {
-  console.log(`[START] Connecting to MongoDB (${DBNAME})...`);
-  await mongoose.connect(MONGODB_URI, { dbName: DBNAME });
-  
+// Job entry point for the scheduler; expects an open mongoose connection
+async function run({ signal } = {}) {
   try {
-    await fetchAllContributors();
+    const result = await fetchAllContributors(signal);
     console.log(`\n[COMPLETE] Contributor statistics collection completed successfully!`);
-    
+    return result;
   } catch (error) {
     console.error(`[ERROR] Failed to collect contributor statistics:`, error);
+    throw error;
+  }
+}
+
+// Main execution function
+async function main() {
+  const config = loadStartupConfig({ required: ['mongodbUri', 'database', 'githubToken'], purpose: 'the contributor fetch' });
+  console.log(`[START] Connecting to MongoDB (${config.database})...`);
+  await mongoose.connect(config.mongodbUri, { dbName: config.database });
+  
+  try {
+    reportResult(await run());
   } finally {
     await mongoose.connection.close();
   }
 }
 
-// Export for use in scheduler
 module.exports = main;
+module.exports.run = run;
 
 // Run directly if this file is executed
 if (require.main === module) {
@@ -0,0 +1,239 @@
+require('dotenv').config();
+const githubClient = require('./lib/github-client');
+
+// GraphQL-based PR fetcher.
+// Unlike the REST /pulls list, a single GraphQL query returns each PR together with
+// its reviews, requested reviewers, comment/commit counts, changed files, the real
+// merge state and the labeled/unlabeled timeline. Results are mapped onto prSchema
+// (see fetch-github-prs.js) plus the review/timeline fields.
+
+const PR_BATCH_SIZE = 25;       // PRs per query (nested connections make large pages expensive)
+const LABELS_PAGE_SIZE = 50;
+const REVIEWS_PAGE_SIZE = 50;
+const REVIEW_REQUESTS_PAGE_SIZE = 25;
+const TIMELINE_PAGE_SIZE = 100;
+
+const LABEL_FIELDS = `
+  pageInfo { hasNextPage endCursor }
+  nodes { name }
+`;
+
+const REVIEW_FIELDS = `
+  totalCount
+  pageInfo { hasNextPage endCursor }
+  nodes { author { login } state submittedAt }
+`;
+
+const REVIEW_REQUEST_FIELDS = `
+  pageInfo { hasNextPage endCursor }
+  nodes {
+    requestedReviewer {
+      ... on User { login }
+      ... on Team { slug }
+    }
+  }
+`;
+
+const TIMELINE_FIELDS = `
+  totalCount
+  pageInfo { hasNextPage endCursor }
+  nodes {
+    __typename
+    ... on LabeledEvent { id createdAt actor { login } label { name } }
+    ... on UnlabeledEvent { id createdAt actor { login } label { name } }
+  }
+`;
+
+const PULL_REQUESTS_QUERY = `
+  query ($owner: String!, $repo: String!, $first: Int!, $after: String) {
+    rateLimit { cost remaining resetAt }
+    repository(owner: $owner, name: $repo) {
+      pullRequests(first: $first, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id
+          databaseId
+          number
+          title
+          url
+          state
+          isDraft
+          author { login }
+          createdAt
+          updatedAt
+          closedAt
+          mergedAt
+          mergeable
+          mergeStateStatus
+          additions
+          deletions
+          changedFiles
+          labels(first: ${LABELS_PAGE_SIZE}) { ${LABEL_FIELDS} }
+          comments { totalCount }
+          commits { totalCount }
+          reviewThreads { totalCount }
+          reviews(first: ${REVIEWS_PAGE_SIZE}) { ${REVIEW_FIELDS} }
+          reviewRequests(first: ${REVIEW_REQUESTS_PAGE_SIZE}) { ${REVIEW_REQUEST_FIELDS} }
+          timelineItems(first: ${TIMELINE_PAGE_SIZE}, itemTypes: [LABELED_EVENT, UNLABELED_EVENT]) { ${TIMELINE_FIELDS} }
+        }
+      }
+    }
+  }
+`;
+
+const MORE_LABELS_QUERY = `
+  query ($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on PullRequest {
+        labels(first: ${LABELS_PAGE_SIZE}, after: $after) { ${LABEL_FIELDS} }
+      }
+    }
+  }
+`;
+
+const MORE_REVIEWS_QUERY = `
+  query ($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on PullRequest {
+        reviews(first: ${REVIEWS_PAGE_SIZE}, after: $after) { ${REVIEW_FIELDS} }
+      }
+    }
+  }
+`;
+
+const MORE_REVIEW_REQUESTS_QUERY = `
+  query ($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on PullRequest {
+        reviewRequests(first: ${REVIEW_REQUESTS_PAGE_SIZE}, after: $after) { ${REVIEW_REQUEST_FIELDS} }
+      }
+    }
+  }
+`;
+
+const MORE_TIMELINE_QUERY = `
+  query ($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on PullRequest {
+        timelineItems(first: ${TIMELINE_PAGE_SIZE}, after: $after, itemTypes: [LABELED_EVENT, UNLABELED_EVENT]) { ${TIMELINE_FIELDS} }
+      }
+    }
+  }
+`;
+
+function graphqlRequest(query, variables, signal) {
+  // mergeStateStatus is still gated behind the merge-info preview
+  return githubClient.graphql(query, variables, { accept: 'application/vnd.github.merge-info-preview+json', signal });
+}
+
+// Follows a nested connection (labels, reviews, ...) past its first page
+async function fetchRemaining(prNodeId, connection, query, field, signal) {
+  const nodes = [...connection.nodes];
+  let pageInfo = connection.pageInfo;
+  while (pageInfo && pageInfo.hasNextPage) {
+    const data = await graphqlRequest(query, { id: prNodeId, after: pageInfo.endCursor }, signal);
+    const next = data.node[field];
+    nodes.push(...next.nodes);
+    pageInfo = next.pageInfo;
+  }
+  return nodes;
+}
+
+// GraphQL PullRequestState is OPEN/CLOSED/MERGED; prSchema keeps REST's open/closed
+function mapState(state) {
+  return state === 'OPEN' ? 'open' : 'closed';
+}
+
+function mapLabelEvent(event) {
+  return {
+    eventId: event.id,
+    action: event.__typename === 'LabeledEvent' ? 'labeled' : 'unlabeled',
+    label: event.label?.name || null,
+    actor: event.actor?.login || null,
+    createdAt: event.createdAt ? new Date(event.createdAt) : null
+  };
+}
+
+// `connections`: every page of the labels, reviews, reviewRequests and timelineItems nodes
+function mapPullRequestNode(node, { labels, reviews, reviewRequests, timeline }, specType) {
+  return {
+    prId: node.databaseId,
+    number: node.number,
+    title: node.title,
+    author: node.author?.login || "",
+    prUrl: node.url,
+    githubLabels: labels.map(l => l.name),
+    state: mapState(node.state),
+    // CLEAN, DIRTY, BLOCKED, ... lower-cased to match REST's mergeable_state values
+    mergeable_state: node.mergeStateStatus ? node.mergeStateStatus.toLowerCase() : null,
+    createdAt: node.createdAt ? new Date(node.createdAt) : null,
+    updatedAt: node.updatedAt ? new Date(node.updatedAt) : null,
+    closedAt: node.closedAt ? new Date(node.closedAt) : null,
+    mergedAt: node.mergedAt ? new Date(node.mergedAt) : null,
+    specType: specType,
+
+    // GraphQL-only fields
+    isDraft: node.isDraft,
+    mergeable: node.mergeable ? node.mergeable.toLowerCase() : null,
+    additions: node.additions,
+    deletions: node.deletions,
+    changedFiles: node.changedFiles,
+    commentCount: node.comments.totalCount,
+    reviewThreadCount: node.reviewThreads.totalCount,
+    commitCount: node.commits.totalCount,
+    reviewCount: node.reviews.totalCount,
+    reviews: reviews.map(r => ({
+      author: r.author?.login || null,
+      state: r.state,
+      submittedAt: r.submittedAt ? new Date(r.submittedAt) : null
+    })),
+    requestedReviewers: reviewRequests
+      .map(r => r.requestedReviewer && (r.requestedReviewer.login || r.requestedReviewer.slug))
+      .filter(Boolean),
+    labelEvents: timeline.map(mapLabelEvent)
+  };
+}
+
+// Same contract as getAllPRs() in fetch-github-prs.js: every PR, or only those
+// updated since `since` (PRs are walked newest-updated first)
+async function getAllPRsGraphQL({ owner, repo, specType, since = null, signal }) {
+  const results = [];
+  let after = null, page = 1, hasNext = true;
+  console.log(since
+    ? `[${repo}] Fetching PRs updated since ${since.toISOString()} via GraphQL...`
+    : `[${repo}] Fetching PRs via GraphQL...`);
+
+  while (hasNext) {
+    signal?.throwIfAborted();
+    console.log(`[${repo}] Fetching GraphQL batch ${page}...`);
+    const data = await graphqlRequest(PULL_REQUESTS_QUERY, { owner, repo, first: PR_BATCH_SIZE, after }, signal);
+    const { pageInfo, nodes } = data.repository.pullRequests;
+    console.log(`[${repo}] Fetched ${nodes.length} PRs from batch ${page} (cost ${data.rateLimit.cost}, remaining ${data.rateLimit.remaining})`);
+
+    let caughtUp = false;
+    for (const node of nodes) {
+      if (since && new Date(node.updatedAt) < since) {
+        caughtUp = true;
+        break;
+      }
+      const connections = {
+        labels: await fetchRemaining(node.id, node.labels, MORE_LABELS_QUERY, 'labels', signal),
+        reviews: await fetchRemaining(node.id, node.reviews, MORE_REVIEWS_QUERY, 'reviews', signal),
+        reviewRequests: await fetchRemaining(node.id, node.reviewRequests, MORE_REVIEW_REQUESTS_QUERY, 'reviewRequests', signal),
+        timeline: await fetchRemaining(node.id, node.timelineItems, MORE_TIMELINE_QUERY, 'timelineItems', signal)
+      };
+      results.push(mapPullRequestNode(node, connections, specType));
+    }
+
+    hasNext = pageInfo.hasNextPage && !caughtUp;
+    after = pageInfo.endCursor;
+    page++;
+  }
+
+  console.log(`[${repo}] Total PRs fetched via GraphQL: ${results.length}`);
+  return results;
+}
+
+module.exports = {
+  getAllPRsGraphQL
+};
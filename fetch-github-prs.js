@@ -1,153 +1,48 @@
 require('dotenv').config();
-const fetch = require('node-fetch');
 const mongoose = require('mongoose');
-const { EIP_RAW_LABELS, ERC_RAW_LABELS, RIP_RAW_LABELS } = require('./models/RawLabelsPr');
-
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const MONGODB_URI = process.env.OPENPRS_MONGODB_URI;
-const DBNAME = process.env.OPENPRS_DATABASE;
-
-if (!GITHUB_TOKEN) throw new Error("Missing GITHUB_TOKEN in .env file.");
-if (!MONGODB_URI) throw new Error("Missing OPENPRS_MONGODB_URI in .env file.");
-if (!DBNAME) throw new Error("Missing OPENPRS_DATABASE in .env file.");
-
-const prSchema = new mongoose.Schema({
-  prId: Number,
-  number: Number,
-  title: String,
-  author: String,
-  prUrl: String,
-  githubLabels: [String],
-  state: String,
-  mergeable_state: String,
-  createdAt: Date,
-  updatedAt: Date,
-  closedAt: Date,
-  mergedAt: Date,
-  specType: String,
-  customLabels: [String],
-}, { strict: false });
-
-const EIP_PR = mongoose.models.EIP_PR || mongoose.model("EIP_PR", prSchema, "eipprs");
-const ERC_PR = mongoose.models.ERC_PR || mongoose.model("ERC_PR", prSchema, "ercprs");
-const RIP_PR = mongoose.models.RIP_PR || mongoose.model("RIP_PR", prSchema, "ripprs"); // NEW
-
-async function getAllPRs({ owner, repo, specType }) {
+const { getPullRequestModel } = require('./models/PullRequest');
+const { getRawLabelsModel } = require('./models/RawLabelsPr');
+const SyncState = require('./models/SyncState');
+const { withPublishBatch } = require('./lib/collection-swap');
+const { getAllPRsGraphQL } = require('./fetch-github-prs-graphql');
+const { LABEL_EVENTS, STATE_INTERVALS } = require('./models/LabelHistory');
+const { buildStateIntervals } = require('./lib/label-history');
+const { getRepositories } = require('./lib/repositories');
+const { getLabelRules, computeRefinedLabels, computeCustomLabels } = require('./lib/label-rules');
+const { mapPullRequest, buildRawLabelsDocs, upsertByPrId } = require('./lib/pull-requests');
+const { reportResult, mergeCounts, hasRows } = require('./lib/job-result');
+const githubClient = require('./lib/github-client');
+const { getConfig, loadStartupConfig } = require('./lib/config');
+const { bumpDataVersion } = require('./lib/data-version');
+
+// Fetches PRs from GitHub. Without `since` every PR ever opened is returned;
+// with `since` PRs are walked newest-updated first and paging stops at the
+// first PR last updated before the watermark.
+async function getAllPRs({ owner, repo, specType, since = null, signal }) {
   let results = [];
-  let page = 1, hasNext = true;
-  console.log(`[${repo}] Fetching PRs from GitHub...`);
-  while (hasNext) {
-    const url = `https://api.github.com/repos/${owner}/${repo}/pulls?state=all&per_page=100&page=${page}`;
-    console.log(`[${repo}] Fetching page ${page}...`);
-    const res = await fetch(url, {
-      headers: { Authorization: `token ${GITHUB_TOKEN}` },
-    });
-    if (!res.ok) {
-      console.error(`[${repo}] GitHub API error: ${res.status} ${await res.text()}`);
-      throw new Error(`GitHub API error: ${res.status}`);
+  const order = since ? 'sort=updated&direction=desc' : 'sort=created&direction=desc';
+  console.log(since
+    ? `[${repo}] Fetching PRs updated since ${since.toISOString()} from GitHub...`
+    : `[${repo}] Fetching PRs from GitHub...`);
+  const pages = githubClient.paginate(`/repos/${owner}/${repo}/pulls?state=all&${order}&per_page=100`, { signal });
+  for await (const { page, items } of pages) {
+    console.log(`[${repo}] Fetched ${items.length} PRs from page ${page}`);
+
+    if (since) {
+      const fresh = items.filter(pr => new Date(pr.updated_at) >= since);
+      results.push(...fresh);
+      // Sorted by updated desc, so anything older means we've caught up
+      if (fresh.length < items.length) break;
+    } else {
+      results.push(...items);
     }
-    const data = await res.json();
-    console.log(`[${repo}] Fetched ${data.length} PRs from page ${page}`);
-    results.push(...data);
-    const link = res.headers.get('link');
-    if (link && link.includes('rel="next"')) page++;
-    else hasNext = false;
   }
   console.log(`[${repo}] Total PRs fetched: ${results.length}`);
-  return results.map(pr => ({
-    prId: pr.id,
-    number: pr.number,
-    title: pr.title,
-    author: pr.user?.login || "",
-    prUrl: pr.html_url,
-    githubLabels: pr.labels.map(l => l.name),
-    state: pr.state,
-    mergeable_state: pr.mergeable_state || null,
-    createdAt: pr.created_at ? new Date(pr.created_at) : null,
-    updatedAt: pr.updated_at ? new Date(pr.updated_at) : null,
-    closedAt: pr.closed_at ? new Date(pr.closed_at) : null,
-    mergedAt: pr.merged_at ? new Date(pr.merged_at) : null,
-    specType: specType
-  }));
+  return results.map(pr => mapPullRequest(pr, specType));
 }
 
 // --------------- Label logic for EIPs, ERCs, RIPs ---------------
 
-function computeRefinedLabels(rawLabels) {
-  const refined = [];
-  const labels = rawLabels.map(l => l.toLowerCase());
-  
-  // Review-related labels
-  if (labels.some(l => l.includes('a-review') || l.includes('author review'))) refined.push("Author Review");
-  if (labels.some(l => l.includes('e-review') || l.includes('editor review'))) refined.push("Editor Review");
-  if (labels.some(l => l.includes('discuss'))) refined.push("Discuss");
-  if (labels.some(l => l.includes('on-hold') || l.includes('on hold'))) refined.push("On Hold");
-  if (labels.some(l => l.includes('final-call') || l.includes('final call'))) refined.push("Final Call");
-  
-  // Status labels
-  if (labels.some(l => l.includes('draft'))) refined.push("Draft");
-  if (labels.some(l => l.includes('review'))) refined.push("Review");
-  if (labels.some(l => l.includes('last-call') || l.includes('last call'))) refined.push("Last Call");
-  if (labels.some(l => l.includes('final'))) refined.push("Final");
-  if (labels.some(l => l.includes('stagnant'))) refined.push("Stagnant");
-  if (labels.some(l => l.includes('withdrawn'))) refined.push("Withdrawn");
-  
-  // Category labels
-  if (labels.some(l => l.includes('c-new'))) refined.push("New");
-  if (labels.some(l => l.includes('c-update'))) refined.push("Update");
-  if (labels.some(l => l.includes('c-status'))) refined.push("Status Change");
-  
-  // Bot labels
-  if (labels.some(l => l.includes('created-by-bot') || l.includes('bot'))) refined.push("Created By Bot");
-  
-  // Type labels
-  if (labels.some(l => l.includes('core'))) refined.push("Core");
-  if (labels.some(l => l.includes('networking'))) refined.push("Networking");
-  if (labels.some(l => l.includes('interface'))) refined.push("Interface");
-  if (labels.some(l => l.includes('erc'))) refined.push("ERC");
-  if (labels.some(l => l.includes('meta'))) refined.push("Meta");
-  if (labels.some(l => l.includes('informational'))) refined.push("Informational");
-  
-  return refined.length > 0 ? refined : ["Unlabeled"];
-}
-
-function computeCustomLabels(pr, kind = "EIP") {
-  const out = [];
-  const title = pr.title ?? '';
-  const titleLC = title.toLowerCase();
-  const githubLabels = pr.githubLabels || [];
-  
-  // First check GitHub labels for refined categorization
-  const refinedFromLabels = computeRefinedLabels(githubLabels);
-  if (refinedFromLabels.length > 0 && !refinedFromLabels.includes("Unlabeled")) {
-    out.push(...refinedFromLabels);
-  }
-  
-  // Then apply title-based logic
-  if (kind === "EIP") {
-    if (title.startsWith("Update EIP-") && /typo|spelling|grammar|punctuation/i.test(title)) out.push("Typo Fix");
-    if (title.startsWith("Update EIP-") && /move to|status.*change|change.*status/i.test(titleLC)) out.push("Status Change");
-    if (title.startsWith("Update EIP-") && !out.includes("Status Change") && !out.includes("Typo Fix")) out.push("EIP Update");
-    if (githubLabels.includes('created-by-bot')) out.push("Created By Bot");
-    if (title.startsWith("Add EIP") && githubLabels.includes('c-new')) out.push("New EIP");
-  } else if (kind === "ERC") {
-    if (title.startsWith("Update ERC-") && /typo|spelling|grammar|punctuation/i.test(title)) out.push("Typo Fix");
-    if (title.startsWith("Update ERC-") && /move to|status.*change|change.*status/i.test(titleLC)) out.push("Status Change");
-    if (title.startsWith("Update ERC-") && !out.includes("Status Change") && !out.includes("Typo Fix")) out.push("ERC Update");
-    if (githubLabels.includes('created-by-bot')) out.push("Created By Bot");
-    if (title.startsWith("Add ERC") && githubLabels.includes('c-new')) out.push("New ERC");
-  } else if (kind === "RIP") {
-    if (/fix typo|fix file name|typo|grammar|punctuation/i.test(titleLC)) out.push("Typo Fix");
-    if (/update rip-|rename|review required/i.test(titleLC)) out.push("Update");
-    if (/^create rip|add rip/i.test(titleLC)) out.push("New RIP");
-  }
-  
-  // Remove duplicates and fallback to Misc if empty
-  const uniqueOut = [...new Set(out)];
-  if (uniqueOut.length === 0) uniqueOut.push("Misc");
-  return uniqueOut;
-}
-
 function logLabelSummary(prs, kind) {
   const counts = {};
   prs.forEach(pr => {
@@ -163,35 +58,7 @@ function logLabelSummary(prs, kind) {
 
 // --------------- Raw Labels Processing ---------------
 
-async function processRawLabels(prs, RawModel, kind) {
-  console.log(`[${kind}] Processing raw labels collection...`);
-  
-  const rawLabelsPRs = prs.map(pr => ({
-    prId: pr.prId,
-    number: pr.number,
-    title: pr.title,
-    author: pr.author,
-    prUrl: pr.prUrl,
-    rawGithubLabels: pr.githubLabels,
-    refinedLabels: computeRefinedLabels(pr.githubLabels),
-    state: pr.state,
-    mergeable_state: pr.mergeable_state,
-    createdAt: pr.createdAt,
-    updatedAt: pr.updatedAt,
-    closedAt: pr.closedAt,
-    mergedAt: pr.mergedAt,
-    specType: pr.specType
-  }));
-
-  console.log(`[${kind}] Deleting old raw labels...`);
-  const deleteRaw = await RawModel.deleteMany({});
-  console.log(`[${kind}] Deleted raw labels: ${deleteRaw.deletedCount}`);
-  
-  console.log(`[${kind}] Inserting new raw labels...`);
-  await RawModel.insertMany(rawLabelsPRs);
-  console.log(`[${kind}] Raw labels inserted: ${rawLabelsPRs.length}`);
-  
-  // Log refined label summary
+function logRefinedSummary(rawLabelsPRs, kind) {
   const refinedCounts = {};
   rawLabelsPRs.forEach(pr => {
     (pr.refinedLabels || []).forEach(l => {
@@ -204,62 +71,217 @@ async function processRawLabels(prs, RawModel, kind) {
   );
 }
 
-// --------------- Main Runner ---------------
-
-async function main() {
-  console.log(`[START] Connecting to MongoDB (${DBNAME})...`);
-  await mongoose.connect(MONGODB_URI, { dbName: DBNAME });
-
-  // --- EIPs ---
-  console.log(`[EIPs] Downloading and importing PRs...`);
-  let eipPRs = await getAllPRs({ owner: "ethereum", repo: "EIPs", specType: "EIP" });
-  eipPRs = eipPRs.map(pr => ({ ...pr, customLabels: computeCustomLabels(pr, "EIP") }));
-
-  console.log(`[EIPs] Deleting old PRs...`);
-  const deleteEIP = await EIP_PR.deleteMany({});
-  console.log(`[EIPs] Deleted: ${deleteEIP.deletedCount}`);
-  console.log(`[EIPs] Inserting new PRs...`);
-  await EIP_PR.insertMany(eipPRs);
-  console.log(`[EIPs] Done! Inserted ${eipPRs.length} PRs`);
-  logLabelSummary(eipPRs, "EIP");
-  
-  // Process raw labels for EIPs
-  await processRawLabels(eipPRs, EIP_RAW_LABELS, "EIP");
-
-  // --- ERCs ---
-  console.log(`[ERCs] Downloading and importing PRs...`);
-  let ercPRs = await getAllPRs({ owner: "ethereum", repo: "ERCs", specType: "ERC" });
-  ercPRs = ercPRs.map(pr => ({ ...pr, customLabels: computeCustomLabels(pr, "ERC") }));
-
-  console.log(`[ERCs] Deleting old PRs...`);
-  const deleteERC = await ERC_PR.deleteMany({});
-  console.log(`[ERCs] Deleted: ${deleteERC.deletedCount}`);
-  console.log(`[ERCs] Inserting new PRs...`);
-  await ERC_PR.insertMany(ercPRs);
-  console.log(`[ERCs] Done! Inserted ${ercPRs.length} PRs`);
-  logLabelSummary(ercPRs, "ERC");
+async function processRawLabels(prs, RawModel, kind, batch) {
+  console.log(`[${kind}] Processing raw labels collection...`);
   
-  // Process raw labels for ERCs
-  await processRawLabels(ercPRs, ERC_RAW_LABELS, "ERC");
-
-  // --- RIPs ---
-  console.log(`[RIPs] Downloading and importing PRs...`);
-  let ripPRs = await getAllPRs({ owner: "ethereum", repo: "RIPs", specType: "RIP" });
-  ripPRs = ripPRs.map(pr => ({ ...pr, customLabels: computeCustomLabels(pr, "RIP") }));
-
-  console.log(`[RIPs] Deleting old PRs...`);
-  const deleteRIP = await RIP_PR.deleteMany({});
-  console.log(`[RIPs] Deleted: ${deleteRIP.deletedCount}`);
-  console.log(`[RIPs] Inserting new PRs...`);
-  await RIP_PR.insertMany(ripPRs);
-  console.log(`[RIPs] Done! Inserted ${ripPRs.length} PRs`);
-  logLabelSummary(ripPRs, "RIP");
+  const rawLabelsPRs = buildRawLabelsDocs(prs);
+
+  console.log(`[${kind}] Staging new raw labels...`);
+  await batch.stage(RawModel, rawLabelsPRs);
+  console.log(`[${kind}] Raw labels staged: ${rawLabelsPRs.length}`);
   
-  // Process raw labels for RIPs
-  await processRawLabels(ripPRs, RIP_RAW_LABELS, "RIP");
+  logRefinedSummary(rawLabelsPRs, kind);
+}
+
+// --------------- Label History ---------------
+
+// Stores every labeled/unlabeled event and rebuilds the "time in state" intervals
+// of the given PRs. Only the GraphQL fetcher returns label timelines.
+async function recordLabelHistory(prs, kind) {
+  const withTimeline = prs.filter(pr => Array.isArray(pr.labelEvents));
+  if (withTimeline.length === 0) {
+    if (prs.length > 0) {
+      console.log(`[${kind}] Label history skipped (REST fetcher has no timeline; use --graphql)`);
+    }
+    return;
+  }
+
+  const events = withTimeline.flatMap(pr => pr.labelEvents.map(event => ({
+    ...event,
+    prId: pr.prId,
+    number: pr.number,
+    specType: pr.specType
+  })));
+  if (events.length > 0) {
+    await LABEL_EVENTS.bulkWrite(events.map(event => ({
+      updateOne: {
+        filter: { eventId: event.eventId },
+        update: { $set: event },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+  console.log(`[${kind}] Recorded ${events.length} label events for ${withTimeline.length} PRs`);
+
+  const intervals = withTimeline.flatMap(pr => buildStateIntervals(pr, pr.labelEvents, computeRefinedLabels));
+  await STATE_INTERVALS.bulkWrite([
+    { deleteMany: { filter: { specType: kind, prId: { $in: withTimeline.map(pr => pr.prId) } } } },
+    ...intervals.map(interval => ({ insertOne: { document: interval } }))
+  ], { ordered: true });
+  console.log(`[${kind}] Rebuilt ${intervals.length} state intervals`);
+}
+
+// --------------- Sync Watermarks ---------------
+
+function latestUpdatedAt(prs, fallback = null) {
+  return prs.reduce((latest, pr) =>
+    pr.updatedAt && (!latest || pr.updatedAt > latest) ? pr.updatedAt : latest
+  , fallback);
+}
+
+// The newest updatedAt fetched, but never later than when the fetch started: a
+// full resync pages by creation date, so a PR updated after its page was read
+// only shows up in a later pass, while an older PR on a later page may already
+// carry a newer updatedAt
+function nextWatermark(prs, previous, fetchStartedAt) {
+  const latest = latestUpdatedAt(prs, previous?.lastUpdatedAt || null);
+  return latest && latest > fetchStartedAt ? fetchStartedAt : latest;
+}
+
+async function saveSyncState({ fullName, specType }, prs, previous, mode, fetchStartedAt) {
+  await SyncState.findOneAndUpdate(
+    { repository: fullName },
+    {
+      repository: fullName,
+      specType,
+      lastUpdatedAt: nextWatermark(prs, previous, fetchStartedAt),
+      lastRunAt: new Date(),
+      lastMode: mode,
+      lastSyncedCount: prs.length
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// --------------- Per-repository Sync ---------------
+
+// Full resyncs are staged into `batch` and only become visible when the whole
+// fetch step publishes; the returned `finalize` callback records label history,
+// saves the watermark and then catches up with an incremental pass, because the
+// published copy replaced whatever webhook deliveries wrote while it was staged.
+// It resolves the rows that pass upserted. Incremental syncs record and save
+// immediately and report the rows they upserted in `counts`.
+async function syncRepository(target, { full = false, graphql = false, batch, signal }) {
+  const { owner, repo, specType } = target;
+  const PRModel = getPullRequestModel(target);
+  const RawModel = getRawLabelsModel(target);
+  const fetchPRs = graphql ? getAllPRsGraphQL : getAllPRs;
+  const previous = await SyncState.findOne({ repository: target.fullName }).lean();
+  const mode = full || !previous?.lastUpdatedAt ? 'full' : 'incremental';
+
+  if (mode === 'full') {
+    console.log(`[${repo}] Full resync${full ? ' (requested)' : ' (no watermark yet)'}: downloading and importing all PRs...`);
+    const fetchStartedAt = new Date();
+    let prs = await fetchPRs({ owner, repo, specType, signal });
+    prs = prs.map(pr => ({ ...pr, customLabels: computeCustomLabels(pr, specType) }));
+
+    console.log(`[${repo}] Staging new PRs...`);
+    await batch.stage(PRModel, prs);
+    console.log(`[${repo}] Done! Staged ${prs.length} PRs`);
+    logLabelSummary(prs, specType);
+
+    await processRawLabels(prs, RawModel, specType, batch);
+    return {
+      mode,
+      fetched: prs.length,
+      counts: {},
+      finalize: async () => {
+        await recordLabelHistory(prs, specType);
+        await saveSyncState(target, prs, previous, mode, fetchStartedAt);
+        if (prs.length === 0) return {};
+        console.log(`[${repo}] Catching up on PRs changed while the resync was staged...`);
+        const catchUp = await syncRepository(target, { graphql, batch: null, signal });
+        return catchUp.counts;
+      }
+    };
+  }
+
+  console.log(`[${repo}] Incremental sync from watermark ${previous.lastUpdatedAt.toISOString()}...`);
+  const fetchStartedAt = new Date();
+  let prs = await fetchPRs({ owner, repo, specType, since: previous.lastUpdatedAt, signal });
+  prs = prs.map(pr => ({ ...pr, customLabels: computeCustomLabels(pr, specType) }));
+
+  const prResult = await upsertByPrId(PRModel, prs);
+  console.log(`[${repo}] Upserted PRs: ${prResult.upserted} new, ${prResult.modified} updated`);
+  logLabelSummary(prs, specType);
+
+  const rawLabelsPRs = buildRawLabelsDocs(prs);
+  const rawResult = await upsertByPrId(RawModel, rawLabelsPRs);
+  console.log(`[${specType}] Upserted raw labels: ${rawResult.upserted} new, ${rawResult.modified} updated`);
+  logRefinedSummary(rawLabelsPRs, specType);
+
+  await recordLabelHistory(prs, specType);
+  await saveSyncState(target, prs, previous, mode, fetchStartedAt);
+  return {
+    mode,
+    fetched: prs.length,
+    counts: {
+      [PRModel.collection.collectionName]: prResult.upserted + prResult.modified,
+      [RawModel.collection.collectionName]: rawResult.upserted + rawResult.modified
+    },
+    finalize: null
+  };
+}
+
+// --------------- Main Runner ---------------
+
+// Pipeline job: syncs every registry repository over the caller's mongoose
+// connection. `full` ignores the watermarks and reloads everything, `graphql`
+// fetches with reviews and label timelines, `signal` cancels between pages.
+async function run({
+  full = false,
+  graphql = getConfig().prFetcher === 'graphql',
+  signal
+} = {}) {
+  if (!githubClient.hasCredentials()) throw new Error("Missing GITHUB_TOKEN in .env file.");
+  const labelRules = getLabelRules(); // fail fast on an invalid rules file
+  console.log(`[START] Label rules loaded from ${labelRules.source}`);
+  console.log(`[START] Using ${graphql ? 'GraphQL' : 'REST'} PR fetcher`);
+
+  const repositories = {};
+  const counts = {};
+  let published = false;
+  try {
+    const { finalizers, staged } = await withPublishBatch('FETCH', async batch => {
+      const finalizers = [];
+      for (const target of getRepositories()) {
+        signal?.throwIfAborted();
+        const result = await syncRepository(target, { full, graphql, batch, signal });
+        repositories[target.fullName] = { mode: result.mode, fetched: result.fetched };
+        mergeCounts(counts, result.counts);
+        if (result.finalize) finalizers.push(result.finalize);
+      }
+      return { finalizers, staged: batch.counts() };
+    });
+    published = Object.keys(staged).length > 0;
+    for (const finalizeRepository of finalizers) {
+      mergeCounts(counts, await finalizeRepository());
+    }
+    mergeCounts(counts, staged);
+  } finally {
+    // Incremental upserts are live as soon as they are written, even if a later
+    // repository fails; staged full resyncs only once the batch has published
+    if (published || hasRows(counts)) await bumpDataVersion('fetch-github-prs.js');
+  }
 
   console.log(`[END] MongoDB import job complete.`);
-  mongoose.connection.close();
+  return { fetcher: graphql ? 'graphql' : 'rest', repositories, counts };
+}
+
+// Pass `--full` (or { full: true }) to ignore the watermarks and reload everything.
+// Pass `--graphql` (or PR_FETCHER=graphql) to fetch with reviews and label timelines.
+async function main({
+  full = process.argv.includes('--full'),
+  graphql = process.argv.includes('--graphql') || getConfig().prFetcher === 'graphql'
+} = {}) {
+  const config = loadStartupConfig({ required: ['mongodbUri', 'database', 'githubToken'], purpose: 'the PR fetch' });
+  console.log(`[START] Connecting to MongoDB (${config.database})...`);
+  await mongoose.connect(config.mongodbUri, { dbName: config.database });
+  try {
+    reportResult(await run({ full, graphql }));
+  } finally {
+    await mongoose.connection.close();
+  }
 }
 
 if (require.main === module) {
@@ -270,3 +292,4 @@ if (require.main === module) {
 }
 
 module.exports = main;
+module.exports.run = run;
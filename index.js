@@ -2,13 +2,31 @@
 
 require('dotenv').config();
 const cron = require('node-cron');
-
-// Use child_process to call the other JS files as scripts
-const { exec } = require('child_process');
+const mongoose = require('mongoose');
+const { getRepositories } = require('./lib/repositories');
+const pipelineHistory = require('./lib/pipeline-history');
+const { getPipelineSteps, getPipelineLockConfig, withDependents, retryDelayMs } = require('./lib/pipeline-config');
+const { acquireLock, getLockHolder } = require('./lib/pipeline-lock');
+const { runJob, isAbortError } = require('./lib/job-runner');
+const { hasRows } = require('./lib/job-result');
+const { formatMetrics } = require('./lib/github-client');
+const pipelineJobs = require('./lib/pipeline-jobs');
+const { loadStartupConfig } = require('./lib/config');
+const { getLabelRules } = require('./lib/label-rules');
 
 // Check for test mode
 const isTestMode = process.argv.includes('--test') || process.argv.includes('-t');
 
+// --once: run the whole pipeline a single time and exit with its outcome (CI,
+// fixture replays); no schedules or admin jobs are started
+const isOnceMode = process.argv.includes('--once');
+
+// --resume [runId]: re-run a failed run from its failing step
+const resumeIndex = process.argv.indexOf('--resume');
+const resumeRequest = resumeIndex === -1
+  ? null
+  : (process.argv[resumeIndex + 1] && !process.argv[resumeIndex + 1].startsWith('-') ? process.argv[resumeIndex + 1] : true);
+
 // --- Enhanced Logging Functions ---
 
 function logWithTimestamp(message, type = 'INFO') {
@@ -34,69 +52,50 @@ function logError(jobName, error) {
   }
 }
 
+// --- Startup Checks ---
+
+// Settings, pipeline steps, repository registry and label rules are all checked
+// before anything is scheduled, so a misconfigured deploy exits here instead of
+// failing in the middle of its first run
+let config;
+try {
+  config = loadStartupConfig({ required: ['mongodbUri', 'database', 'githubToken'], purpose: 'the scheduler' });
+  getPipelineSteps();
+  getRepositories();
+  getLabelRules();
+} catch (error) {
+  logWithTimestamp(`❌ Invalid configuration: ${error.message}`, 'STARTUP');
+  process.exit(1);
+}
+
 // --- Status and Heartbeat Logging ---
 
+function formatNextRun(date, timezone) {
+  return date ? `${date.toLocaleString('en-US', { timeZone: timezone })} (${timezone})` : 'not scheduled';
+}
+
+// Next cron fire time of every scheduled step, soonest first
 function getNextJobTimes() {
-  const now = new Date();
-  const currentMinute = now.getMinutes();
-  const currentHour = now.getHours();
-  
-  // Calculate next job times
-  let nextFetch, nextSnapshot, nextCharts;
-  
-  if (currentMinute < 30) {
-    // Next jobs are today
-    nextFetch = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour, 30);
-    nextSnapshot = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour, 45);
-    nextCharts = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour + 2, 0);
-  } else if (currentMinute < 45) {
-    // Next fetch is today, others are next cycle
-    nextFetch = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour + 2, 0);
-    nextSnapshot = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour, 45);
-    nextCharts = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour + 2, 0);
-  } else {
-    // Next fetch is next cycle
-    nextFetch = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour + 2, 0);
-    nextSnapshot = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour + 2, 30);
-    nextCharts = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour + 2, 45);
-  }
-  
-  return {
-    fetch: nextFetch,
-    snapshot: nextSnapshot,
-    charts: nextCharts
-  };
+  return scheduledSteps
+    .map(({ step, task }) => ({ step, nextRun: task.getNextRun() }))
+    .sort((a, b) => (a.nextRun ? a.nextRun.getTime() : Infinity) - (b.nextRun ? b.nextRun.getTime() : Infinity));
 }
 
 function logStatusUpdate() {
   const now = new Date();
-  const currentMinute = now.getMinutes();
-  const currentHour = now.getHours();
-  
-  // Calculate next pipeline run (every 2 hours at :00)
-  let nextPipelineRun;
-  if (currentMinute === 0) {
-    // If we're exactly at :00, next run is in 2 hours
-    nextPipelineRun = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour + 2, 0);
-  } else {
-    // Next run is at the next :00 (either this hour or next)
-    if (currentMinute < 60) {
-      nextPipelineRun = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour + 2, 0);
-    } else {
-      nextPipelineRun = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour + 1, 0);
-    }
-  }
   
   logWithTimestamp('📊 SCHEDULER STATUS UPDATE', 'STATUS');
   logWithTimestamp(`Current time: ${now.toLocaleString()}`, 'STATUS');
   logWithTimestamp('', 'STATUS');
-  logWithTimestamp('⏰ Next scheduled pipeline run:', 'STATUS');
-  logWithTimestamp(`  🚀 Complete Pipeline: ${nextPipelineRun.toLocaleString()}`, 'STATUS');
-  logWithTimestamp('', 'STATUS');
-  logWithTimestamp('📋 Pipeline steps (run sequentially):', 'STATUS');
-  logWithTimestamp('  1️⃣ Fetch PRs from GitHub API', 'STATUS');
-  logWithTimestamp('  2️⃣ Generate historical snapshots', 'STATUS');
-  logWithTimestamp('  3️⃣ Populate chart collections', 'STATUS');
+  logWithTimestamp('⏰ Next scheduled runs:', 'STATUS');
+  getNextJobTimes().forEach(({ step, nextRun }) => {
+    const followedBy = withDependents([step.key]).filter(key => key !== step.key);
+    const then = followedBy.length > 0 ? `, then ${followedBy.join(', ')} when there is new data` : '';
+    logWithTimestamp(`  🚀 ${step.name}: ${formatNextRun(nextRun, step.timezone)}${then}`, 'STATUS');
+  });
+  if (activeRun) {
+    logWithTimestamp(`🔄 A ${activeRun.trigger} run is in progress`, 'STATUS');
+  }
   logWithTimestamp('', 'STATUS');
   logWithTimestamp('💡 Scheduler is running and monitoring...', 'STATUS');
 }
@@ -111,117 +110,377 @@ setInterval(() => {
 
 // --- Sequential Job Pipeline Functions ---
 
-function runJob(scriptPath, jobName, logPrefix) {
-  return new Promise((resolve, reject) => {
-    logWithTimestamp(`🔄 Starting ${jobName}...`, logPrefix);
-    logWithTimestamp(`📄 Running: node ${scriptPath}`, logPrefix);
-    
-    const child = exec(`node ${scriptPath}`, (error, stdout, stderr) => {
-      if (error) {
-        logError(jobName, error);
-        reject(error);
-        return;
+function formatDuration(ms) {
+  return ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+function logCounts(counts, logPrefix) {
+  const entries = Object.entries(counts || {});
+  if (entries.length === 0) return;
+  logWithTimestamp(`📦 Rows written: ${entries.map(([collection, rows]) => `${collection}=${rows}`).join(', ')}`, logPrefix);
+}
+
+// Resolves after `ms`, or early once `signal` is aborted
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Runs one step in-process with its retry policy.
+// Resolves { ok, result, cancelled, error } instead of throwing; a cancelled step is never retried.
+async function runPipelineStep(step, runId, signal) {
+  const startedAt = new Date();
+  const maxAttempts = step.retries + 1;
+  await pipelineHistory.startStep(runId, step.key);
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      logWithTimestamp(`🔄 Starting ${step.name}...`, step.logPrefix);
+      const { result, durationMs } = await runJob(step, { signal });
+      logWithTimestamp(`✅ ${step.name} completed successfully (${formatDuration(durationMs)})`, step.logPrefix);
+      logCounts(result?.counts, step.logPrefix);
+      if (result?.github) logWithTimestamp(`🐙 GitHub: ${formatMetrics(result.github)}`, step.logPrefix);
+      await pipelineHistory.finishStep(runId, step.key, { status: 'success', startedAt, attempts: attempt, result });
+      return { ok: true, result };
+    } catch (error) {
+      if (isAbortError(error, signal)) {
+        const reason = signal?.reason || error;
+        logWithTimestamp(`⏹️ ${step.name} cancelled: ${reason.message || reason}`, step.logPrefix);
+        await pipelineHistory.finishStep(runId, step.key, { status: 'cancelled', startedAt, attempts: attempt, error: reason });
+        return { ok: false, cancelled: true, error: reason };
       }
-      
-      // Log ALL stdout from the script
-      if (stdout) {
-        const lines = stdout.split('\n');
-        lines.forEach(line => {
-          if (line.trim()) {
-            // Prefix each line with the job name for clarity
-            logWithTimestamp(`${line.trim()}`, logPrefix);
-          }
-        });
+      logError(step.name, error);
+      if (attempt >= maxAttempts) {
+        await pipelineHistory.finishStep(runId, step.key, { status: 'failed', startedAt, attempts: attempt, error });
+        return { ok: false, error };
       }
-      
-      // Log ALL stderr from the script
-      if (stderr) {
-        const lines = stderr.split('\n');
-        lines.forEach(line => {
-          if (line.trim()) {
-            logWithTimestamp(`STDERR: ${line.trim()}`, 'WARN');
-          }
-        });
+      const delay = retryDelayMs(step, attempt);
+      logWithTimestamp(`🔁 ${step.name} failed (attempt ${attempt}/${maxAttempts}) - retrying in ${Math.round(delay / 1000)}s`, step.logPrefix);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// --- Overlap Lock ---
+
+let localPipelineQueued = false;
+
+function describeLockHolder(holder) {
+  if (!holder) return 'another scheduler';
+  return `${holder.owner}${holder.runId ? ` (run ${holder.runId})` : ''} since ${holder.acquiredAt.toISOString()}`;
+}
+
+// Takes the pipeline lock in MongoDB.
+// Resolves { lock, waitedMs, release } or null when the run has to be skipped.
+async function acquirePipelineLock(trigger, steps) {
+  const config = getPipelineLockConfig();
+  const waitStart = Date.now();
+  
+  let queued = false;
+  try {
+    for (;;) {
+      const lock = await acquireLock(config.name, {
+        ttlMs: config.ttlMs,
+        heartbeatMs: config.heartbeatMs,
+        onLost: () => logWithTimestamp(`⚠️ Pipeline lock "${config.name}" was lost - another run may start`, 'LOCK')
+      });
+      if (lock) {
+        return { lock, waitedMs: Date.now() - waitStart, release: () => lock.release() };
       }
       
-      logWithTimestamp(`✅ ${jobName} completed successfully`, logPrefix);
-      resolve();
-    });
-
-    // Real-time output logging - show ALL output as it comes
-    child.stdout.on('data', (data) => {
-      const lines = data.toString().split('\n');
-      lines.forEach(line => {
-        if (line.trim()) {
-          logWithTimestamp(`${line.trim()}`, logPrefix);
+      const holder = await getLockHolder(config.name);
+      const canQueue = config.onOverlap === 'queue' &&
+        (queued || !localPipelineQueued) &&
+        Date.now() - waitStart + config.queuePollMs <= config.queueTimeoutMs;
+      if (canQueue) {
+        if (!queued) {
+          queued = localPipelineQueued = true;
+          logWithTimestamp(`⏳ Pipeline locked by ${describeLockHolder(holder)} - queued (polling every ${config.queuePollMs / 1000}s)`, 'LOCK');
         }
+        await sleep(config.queuePollMs);
+        continue;
+      }
+      
+      const reason = queued
+        ? `Pipeline still locked by ${describeLockHolder(holder)} after queueing for ${Math.round((Date.now() - waitStart) / 1000)}s`
+        : `Pipeline locked by ${describeLockHolder(holder)}`;
+      logWithTimestamp(`⏭️ ${reason} - skipping this run`, 'LOCK');
+      await pipelineHistory.recordSkippedRun({
+        trigger,
+        steps,
+        reason,
+        lockHolder: holder ? { owner: holder.owner, runId: holder.runId, acquiredAt: holder.acquiredAt } : null
       });
-    });
+      return null;
+    }
+  } finally {
+    if (queued) localPipelineQueued = false;
+  }
+}
 
-    child.stderr.on('data', (data) => {
-      const lines = data.toString().split('\n');
-      lines.forEach(line => {
-        if (line.trim()) {
-          logWithTimestamp(`STDERR: ${line.trim()}`, 'WARN');
-        }
-      });
-    });
-  });
+// The run in progress in this process: { trigger, jobId, controller, done }
+let activeRun = null;
+
+// `resume`: true for the latest failed run, or a run id.
+// `stepKeys`: run only these steps (default: all). `dependentKeys`: those of them that
+// only run when a step they depend on wrote rows in this run (scheduled runs).
+// `jobId`: the pipeline_jobs document behind an admin run.
+// Resolves { status, runId, error }, or null when there was nothing to resume.
+async function runJobPipeline(trigger = 'schedule', { resume = null, stepKeys = null, dependentKeys = [], jobId = null } = {}) {
+  const steps = getPipelineSteps().filter(step => !stepKeys || stepKeys.includes(step.key));
+  if (steps.length === 0) {
+    return { status: 'failed', runId: null, error: `Unknown pipeline step(s) ${stepKeys.join(', ')}` };
+  }
+  
+  await databaseReady;
+  if (mongoose.connection.readyState === 0) await connectDatabase();
+  if (mongoose.connection.readyState !== 1) {
+    logWithTimestamp('❌ MongoDB is not connected - skipping this pipeline run', 'PIPELINE');
+    return { status: 'skipped', runId: null, error: 'MongoDB is not connected' };
+  }
+  
+  const pipelineLock = await acquirePipelineLock(trigger, steps);
+  if (!pipelineLock) return { status: 'skipped', runId: null, error: 'Another pipeline run held the lock' };
+
+  // Holding the lock, any run still marked running belongs to a dead scheduler
+  const interruptedRuns = await pipelineHistory.failInterruptedRuns();
+  if (interruptedRuns > 0) {
+    logWithTimestamp(`⚠️ Marked ${interruptedRuns} interrupted pipeline run(s) as failed`, 'PIPELINE');
+  }
+  await failInterruptedJobs();
+
+  const controller = new AbortController();
+  const done = (async () => {
+    try {
+      return await runLockedPipeline(trigger, { resume, steps, dependentKeys, jobId, pipelineLock, signal: controller.signal });
+    } finally {
+      await pipelineLock.release().catch(error =>
+        logWithTimestamp(`⚠️ Failed to release pipeline lock: ${error.message}`, 'LOCK')
+      );
+    }
+  })();
+  activeRun = { trigger, jobId, controller, done };
+  
+  try {
+    return await done;
+  } finally {
+    activeRun = null;
+  }
 }
 
-async function runJobPipeline() {
+async function runLockedPipeline(trigger, { resume, steps, dependentKeys, jobId, pipelineLock, signal }) {
   const pipelineName = 'PR & Contributor Processing Pipeline';
-  const nextRun = new Date(Date.now() + 2 * 60 * 60 * 1000).toLocaleString(); // 2 hours from now
+  const [next] = getNextJobTimes();
+  const nextRun = next ? `${next.step.name} at ${formatNextRun(next.nextRun, next.step.timezone)}` : 'none';
+  
+  let resumePoint = null;
+  if (resume) {
+    resumePoint = await pipelineHistory.findResumePoint(resume === true ? null : resume);
+    if (!resumePoint) {
+      logWithTimestamp('⚠️ Nothing to resume (no failed run found in pipeline_runs)', 'PIPELINE');
+      return null;
+    }
+    // A resumed run covers the same steps as the run it continues
+    steps = steps.filter(step => resumePoint.stepKeys.includes(step.key));
+  }
+  const firstIndex = resumePoint ? Math.max(steps.findIndex(s => s.key === resumePoint.stepKey), 0) : 0;
+  const startedAt = new Date();
   
   logWithTimestamp(`🚀 ${pipelineName} - STARTING`, 'PIPELINE');
+  logWithTimestamp(`Steps: ${steps.map(step => step.key).join(' → ')}`, 'PIPELINE');
   logWithTimestamp(`Next scheduled run: ${nextRun}`, 'PIPELINE');
+  if (resumePoint) {
+    logWithTimestamp(`⏩ Resuming run ${resumePoint.runId} from step "${steps[firstIndex].name}"`, 'PIPELINE');
+  }
   logWithTimestamp('', 'PIPELINE');
   logWithTimestamp('═══════════════════════════════════════════════════════════', 'PIPELINE');
   
-  try {
-    // Step 1: Fetch PRs from GitHub
-    logWithTimestamp('📋 STEP 1/4: GitHub PR Import', 'PIPELINE');
-    logWithTimestamp('─────────────────────────────────────────────────────────', 'PIPELINE');
-    await runJob('fetch-github-prs.js', 'GitHub PR Import', 'FETCH');
-    
-    logWithTimestamp('', 'PIPELINE');
-    logWithTimestamp('─────────────────────────────────────────────────────────', 'PIPELINE');
-    
-    // Step 2: Fetch Contributors from GitHub
-    logWithTimestamp('📋 STEP 2/4: GitHub Contributors Import', 'PIPELINE');
-    logWithTimestamp('─────────────────────────────────────────────────────────', 'PIPELINE');
-    await runJob('fetch-github-contributors.js', 'GitHub Contributors Import', 'CONTRIBUTORS');
+  const runId = await pipelineHistory.startRun({
+    trigger,
+    steps,
+    resumedFrom: resumePoint?.runId || null,
+    jobId,
+    lockWaitMs: pipelineLock.waitedMs
+  });
+  if (runId) logWithTimestamp(`📝 Recording run ${runId} in pipeline_runs`, 'PIPELINE');
+  if (runId && pipelineLock.lock) await pipelineLock.lock.setRunId(runId).catch(() => {});
+  if (runId && jobId) await pipelineJobs.attachRun(jobId, runId).catch(() => {});
+  
+  for (const step of steps.slice(0, firstIndex)) {
+    const completed = resumePoint.completed.find(c => c.key === step.key);
+    await pipelineHistory.skipStep(runId, step.key, `completed in run ${completed.runId}`, completed.runId);
+  }
+  
+  let firstError = null;
+  let blockingStep = null;
+  let cancelled = false;
+  let partial = false;
+  const stepsWithNewData = new Set();
+  
+  for (const [index, step] of steps.entries()) {
+    if (index < firstIndex) continue;
+    if (cancelled) {
+      await pipelineHistory.skipStep(runId, step.key, 'run cancelled');
+      continue;
+    }
+    if (blockingStep) {
+      await pipelineHistory.skipStep(runId, step.key, `${blockingStep.name} failed`);
+      continue;
+    }
+    if (dependentKeys.includes(step.key) && !step.dependsOn.some(key => stepsWithNewData.has(key))) {
+      const reason = `no new data from ${step.dependsOn.join(' / ')}`;
+      logWithTimestamp(`⏭️ ${step.name} skipped: ${reason}`, step.logPrefix);
+      await pipelineHistory.skipStep(runId, step.key, reason);
+      continue;
+    }
     
-    logWithTimestamp('', 'PIPELINE');
+    if (index > firstIndex) {
+      logWithTimestamp('', 'PIPELINE');
+      logWithTimestamp('─────────────────────────────────────────────────────────', 'PIPELINE');
+    }
+    logWithTimestamp(`📋 STEP ${index + 1}/${steps.length}: ${step.name}`, 'PIPELINE');
     logWithTimestamp('─────────────────────────────────────────────────────────', 'PIPELINE');
     
-    // Step 3: Generate Snapshots
-    logWithTimestamp('📋 STEP 3/4: PR Snapshots Generation', 'PIPELINE');
-    logWithTimestamp('─────────────────────────────────────────────────────────', 'PIPELINE');
-    await runJob('snapshot-open-prs.js', 'PR Snapshots Generation', 'SNAPSHOT');
+    const result = await runPipelineStep(step, runId, signal);
+    if (result.ok) {
+      if (hasRows(result.result?.counts)) stepsWithNewData.add(step.key);
+      continue;
+    }
     
-    logWithTimestamp('', 'PIPELINE');
-    logWithTimestamp('─────────────────────────────────────────────────────────', 'PIPELINE');
+    firstError = firstError || result.error;
+    if (result.cancelled) {
+      cancelled = true;
+    } else if (step.continueOnFailure) {
+      partial = true;
+      logWithTimestamp(`⚠️ ${step.name} failed - continuing with the remaining steps (continueOnFailure)`, 'PIPELINE');
+    } else {
+      blockingStep = step;
+    }
+  }
+  
+  const status = cancelled ? 'cancelled' : blockingStep ? 'failed' : partial ? 'partial' : 'success';
+  await pipelineHistory.finishRun(runId, {
+    status,
+    startedAt,
+    error: firstError,
+    lockLost: Boolean(pipelineLock.lock?.lost)
+  });
+  
+  logWithTimestamp('', 'PIPELINE');
+  logWithTimestamp('═══════════════════════════════════════════════════════════', 'PIPELINE');
+  if (status === 'success') {
+    logWithTimestamp(`✅ ${pipelineName} - COMPLETED`, 'PIPELINE');
+  } else if (status === 'partial') {
+    logWithTimestamp(`⚠️ ${pipelineName} - COMPLETED WITH FAILED STEPS`, 'PIPELINE');
+    logWithTimestamp('💡 Re-run the failed steps with: node index.js --resume', 'PIPELINE');
+  } else if (status === 'cancelled') {
+    logWithTimestamp(`⏹️ ${pipelineName} - CANCELLED`, 'PIPELINE');
+    logWithTimestamp('💡 Continue from the cancelled step with: node index.js --resume', 'PIPELINE');
+  } else {
+    logError(pipelineName, firstError);
+    logWithTimestamp(`❌ ${pipelineName} - FAILED`, 'PIPELINE');
+    logWithTimestamp('💡 Continue from the failed step with: node index.js --resume', 'PIPELINE');
+  }
+  logWithTimestamp('', 'PIPELINE');
+  
+  return { status, runId, error: firstError ? firstError.message || String(firstError) : null };
+}
+
+// --- Admin Job Queue ---
+
+// Runs requested through the admin API (POST /api/admin/...) wait in pipeline_jobs.
+// The scheduler claims the oldest one whenever no run is in progress, and turns a
+// cancel request (DELETE /api/admin/jobs/:id) for the running job into an abort.
+const JOB_POLL_MS = 10 * 1000;
+let jobPollBusy = false;
+let adminJobDone = null;
+
+async function runAdminJob(job) {
+  const target = job.kind === 'step' ? `step "${job.step}"` : 'the pipeline';
+  const requester = job.requestedBy ? ` (requested by ${job.requestedBy})` : '';
+  logWithTimestamp(`📥 Admin job ${job._id}: running ${target}${requester}`, 'ADMIN');
+  
+  let outcome;
+  try {
+    outcome = await runJobPipeline('admin', { stepKeys: job.kind === 'step' ? [job.step] : null, jobId: job._id });
+  } catch (error) {
+    logError(`admin job ${job._id}`, error);
+    outcome = { status: 'failed', error: error.message };
+  }
+  await pipelineJobs.finishJob(job._id, { status: outcome.status, error: outcome.error }).catch(error =>
+    logWithTimestamp(`⚠️ Failed to update admin job ${job._id}: ${error.message}`, 'ADMIN')
+  );
+  logWithTimestamp(`📥 Admin job ${job._id} finished: ${outcome.status}`, 'ADMIN');
+}
+
+// Fails the admin jobs of schedulers that died mid-job; see pipelineJobs.failInterruptedJobs
+async function failInterruptedJobs() {
+  const { ttlMs, queueTimeoutMs } = getPipelineLockConfig();
+  try {
+    const count = await pipelineJobs.failInterruptedJobs({ claimedBefore: new Date(Date.now() - queueTimeoutMs - ttlMs) });
+    if (count > 0) logWithTimestamp(`⚠️ Marked ${count} interrupted admin job(s) as failed`, 'ADMIN');
+  } catch (error) {
+    logWithTimestamp(`⚠️ Failed to clean up interrupted admin jobs: ${error.message}`, 'ADMIN');
+  }
+}
+
+async function pollAdminJobs() {
+  if (jobPollBusy || shuttingDown || mongoose.connection.readyState !== 1) return;
+  jobPollBusy = true;
+  try {
+    if (activeRun) {
+      const { jobId, controller } = activeRun;
+      if (jobId && !controller.signal.aborted && await pipelineJobs.isCancelRequested(jobId)) {
+        logWithTimestamp(`⏹️ Cancel requested for admin job ${jobId}`, 'ADMIN');
+        controller.abort(new Error('Cancelled via the admin API'));
+      }
+      return;
+    }
+    if (adminJobDone) return;
     
-    // Step 4: Populate Chart Collections
-    logWithTimestamp('📋 STEP 4/4: Chart Collections Population', 'PIPELINE');
-    logWithTimestamp('─────────────────────────────────────────────────────────', 'PIPELINE');
-    await runJob('populate-chart-collections.js', 'Chart Collections Population', 'CHARTS');
+    // Leave the queue alone while another scheduler holds the pipeline lock
+    if (await getLockHolder(getPipelineLockConfig().name)) return;
     
-    logWithTimestamp('', 'PIPELINE');
-    logWithTimestamp('═══════════════════════════════════════════════════════════', 'PIPELINE');
-    logWithTimestamp(`✅ ${pipelineName} - COMPLETED`, 'PIPELINE');
-    logWithTimestamp('', 'PIPELINE');
+    // Nobody holds the lock, so no job still marked running has a live run
+    await failInterruptedJobs();
     
+    const job = await pipelineJobs.claimNextJob();
+    if (!job) return;
+    adminJobDone = runAdminJob(job).finally(() => {
+      adminJobDone = null;
+    });
   } catch (error) {
-    logWithTimestamp('', 'PIPELINE');
-    logWithTimestamp('═══════════════════════════════════════════════════════════', 'PIPELINE');
-    logError(pipelineName, error);
-    logWithTimestamp(`❌ ${pipelineName} - FAILED`, 'PIPELINE');
-    logWithTimestamp('', 'PIPELINE');
+    logWithTimestamp(`⚠️ Failed to poll pipeline_jobs: ${error.message}`, 'ADMIN');
+  } finally {
+    jobPollBusy = false;
+  }
+}
+
+if (!isOnceMode) setInterval(pollAdminJobs, JOB_POLL_MS);
+
+// --- Shared Database Connection ---
+
+// One connection for the whole scheduler; every job runs on it in-process
+async function connectDatabase() {
+  try {
+    await mongoose.connect(config.mongodbUri, { dbName: config.database });
+    logWithTimestamp(`🗄️ Connected to MongoDB (${config.database})`, 'STARTUP');
+  } catch (error) {
+    logWithTimestamp(`⚠️ MongoDB unavailable, retrying at the next pipeline run: ${error.message}`, 'WARN');
   }
 }
 
+const databaseReady = connectDatabase();
+
 // --- Test Mode Job Execution ---
 if (isTestMode) {
   logWithTimestamp('🧪 TEST MODE ENABLED - Pipeline will run immediately', 'TEST');
@@ -229,37 +488,88 @@ if (isTestMode) {
   // Run pipeline immediately in test mode
   setTimeout(async () => {
     logWithTimestamp('🧪 Running pipeline in test mode...', 'TEST');
-    await runJobPipeline();
+    await runJobPipeline('test');
   }, 3000);
 }
 
-// --- Single Pipeline Scheduler ---
+// --- One-off Run ---
+if (isOnceMode) {
+  setTimeout(async () => {
+    logWithTimestamp('1️⃣ Running the pipeline once...', 'ONCE');
+    let outcome = null;
+    try {
+      outcome = await runJobPipeline('once');
+    } catch (error) {
+      logError('one-off pipeline run', error);
+    }
+    const status = outcome?.status || 'failed';
+    logWithTimestamp(`🏁 One-off run finished: ${status}`, 'ONCE');
+    await mongoose.connection.close().catch(() => {});
+    process.exit(status === 'success' ? 0 : 1);
+  }, 0);
+}
 
-// Every 2 hours: run the complete pipeline
-cron.schedule('0 */2 * * *', async () => {
-  await runJobPipeline();
-});
+// --- Resume Execution ---
+if (resumeRequest) {
+  setTimeout(async () => {
+    logWithTimestamp(`⏩ Resuming ${resumeRequest === true ? 'the latest failed run' : `run ${resumeRequest}`}...`, 'RESUME');
+    await runJobPipeline('resume', { resume: resumeRequest });
+  }, 3000);
+}
+
+// --- Job Schedules ---
+
+// Every step with a `schedule` in config/pipeline.json gets its own cron task.
+// Steps whose ticks land within SCHEDULE_COALESCE_MS of each other share one
+// pipeline run, in pipeline order, followed by the steps that depend on them.
+const SCHEDULE_COALESCE_MS = 2000;
+const dueStepKeys = new Set();
+let dueTimer = null;
+
+function queueScheduledStep(key) {
+  dueStepKeys.add(key);
+  if (dueTimer) return;
+  dueTimer = setTimeout(() => {
+    const stepKeys = withDependents([...dueStepKeys]);
+    const dependentKeys = stepKeys.filter(stepKey => !dueStepKeys.has(stepKey));
+    dueStepKeys.clear();
+    dueTimer = null;
+    runJobPipeline('schedule', { stepKeys, dependentKeys }).catch(error => logError('scheduled pipeline run', error));
+  }, SCHEDULE_COALESCE_MS);
+}
+
+const scheduledSteps = getPipelineSteps()
+  .filter(step => step.schedule && !isOnceMode)
+  .map(step => ({
+    step,
+    task: cron.schedule(step.schedule, () => queueScheduledStep(step.key), { timezone: step.timezone, name: step.key })
+  }));
 
 
 // --- Startup Information ---
 
 function logStartupInfo() {
   logWithTimestamp('🚀 PR & Contributor Analytics Scheduler Starting...', 'STARTUP');
-  logWithTimestamp('📊 Monitoring: EIPs, ERCs, RIPs repositories', 'STARTUP');
-  logWithTimestamp('⏰ Schedule: Every 2 hours', 'STARTUP');
+  logWithTimestamp(`📊 Monitoring: ${getRepositories().map(r => r.repo).join(', ')} repositories`, 'STARTUP');
   logWithTimestamp('', 'STARTUP');
-  logWithTimestamp('📅 Pipeline Execution Order:', 'STARTUP');
-  logWithTimestamp('  :00 - 🔄 Step 1: Fetch PRs from GitHub API', 'STARTUP');
-  logWithTimestamp('         ⏳ Step 2: Fetch Contributors from GitHub API', 'STARTUP');
-  logWithTimestamp('         ⏳ Step 3: Generate historical snapshots', 'STARTUP');
-  logWithTimestamp('         ⏳ Step 4: Populate chart collections', 'STARTUP');
+  logWithTimestamp('📅 Step schedules (config/pipeline.json):', 'STARTUP');
+  getPipelineSteps().forEach((step, index) => {
+    const when = step.schedule ? `"${step.schedule}" (${step.timezone})` : 'no schedule of its own';
+    const after = step.dependsOn.length > 0 ? `, also after ${step.dependsOn.join(' / ')} when they write new data` : '';
+    logWithTimestamp(`  ${index + 1}. ${step.name}: ${when}${after}`, 'STARTUP');
+  });
   logWithTimestamp('', 'STARTUP');
   logWithTimestamp('📈 Data Collection:', 'STARTUP');
   logWithTimestamp('  • Pull Requests (status, labels, timelines)', 'STARTUP');
   logWithTimestamp('  • Contributors (commits, additions, deletions)', 'STARTUP');
   logWithTimestamp('  • Repository statistics & rankings', 'STARTUP');
   logWithTimestamp('', 'STARTUP');
-  logWithTimestamp('🔄 Jobs run sequentially (one after another)', 'STARTUP');
+  logWithTimestamp('🔄 Steps due together run sequentially in one pipeline run', 'STARTUP');
+  logWithTimestamp('🔁 Step retry policies (config/pipeline.json):', 'STARTUP');
+  getPipelineSteps().forEach(step => {
+    const onFailure = step.continueOnFailure ? 'continue on failure' : 'stop on failure';
+    logWithTimestamp(`  • ${step.name}: ${step.retries} retries, ${step.backoffMs / 1000}s backoff x${step.backoffFactor}, ${onFailure}`, 'STARTUP');
+  });
   logWithTimestamp('✅ Pipeline scheduler is active and running', 'STARTUP');
   logWithTimestamp('💡 Use Ctrl+C to stop the scheduler', 'STARTUP');
   logWithTimestamp('📝 Check logs for pipeline execution details', 'STARTUP');
@@ -275,20 +585,37 @@ setTimeout(() => {
   logStatusUpdate();
 }, 2000);
 
-// Graceful shutdown handling
-process.on('SIGINT', () => {
-  logWithTimestamp('🛑 Received SIGINT signal', 'SHUTDOWN');
-  logWithTimestamp('⏹️ Stopping PR Scheduler...', 'SHUTDOWN');
-  logWithTimestamp('✅ Shutdown complete', 'SHUTDOWN');
-  process.exit(0);
-});
+// Graceful shutdown handling: cancel the running pipeline and give its current
+// step up to SHUTDOWN_GRACE_MS to reach a checkpoint; a second signal exits at once
+const SHUTDOWN_GRACE_MS = 30 * 1000;
+let shuttingDown = false;
 
-process.on('SIGTERM', () => {
-  logWithTimestamp('🛑 Received SIGTERM signal', 'SHUTDOWN');
+async function shutdown(signalName) {
+  if (shuttingDown) {
+    logWithTimestamp(`🛑 Received ${signalName} again - exiting immediately`, 'SHUTDOWN');
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logWithTimestamp(`🛑 Received ${signalName} signal`, 'SHUTDOWN');
   logWithTimestamp('⏹️ Stopping PR Scheduler...', 'SHUTDOWN');
+  scheduledSteps.forEach(({ task }) => task.stop());
+  clearTimeout(dueTimer);
+  
+  if (activeRun) {
+    logWithTimestamp(`⏳ Cancelling the running pipeline (waiting up to ${SHUTDOWN_GRACE_MS / 1000}s)...`, 'SHUTDOWN');
+    activeRun.controller.abort(new Error(`Scheduler received ${signalName}`));
+  }
+  const pending = [activeRun?.done, adminJobDone].filter(Boolean).map(promise => promise.catch(() => {}));
+  if (pending.length > 0) {
+    await Promise.race([Promise.all(pending), sleep(SHUTDOWN_GRACE_MS)]);
+  }
+  await mongoose.connection.close().catch(() => {});
   logWithTimestamp('✅ Shutdown complete', 'SHUTDOWN');
   process.exit(0);
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Keep the process running
 setInterval(() => {}, 1 << 30);
@@ -0,0 +1,201 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { getPullRequestModel } = require('./models/PullRequest');
+const { getRawLabelsModel } = require('./models/RawLabelsPr');
+const { getRepositories, findRepository } = require('./lib/repositories');
+const { loadLabelRules } = require('./lib/label-rules');
+const { getCustomLabelsCountsByMonthYear } = require('./lib/pr-charts');
+const { loadStartupConfig } = require('./lib/config');
+
+// Label rule dry run.
+// Re-classifies the stored PR and raw-labels documents with a candidate rules file
+// and reports what would change compared to the labels currently in MongoDB:
+// per-label count deltas, the PRs whose labels change, and the Graph 2 (custom
+// labels by month) series deltas. Nothing is written.
+//
+//   node label-rules-dry-run.js --rules ./candidate-rules.json [--spec EIP] [--json] [--limit 50]
+
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function countLabels(docs, field) {
+  const counts = {};
+  docs.forEach(doc => {
+    (doc[field] || []).forEach(label => {
+      counts[label] = (counts[label] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+// Per-label before/after counts, only for labels whose count changed
+function diffCounts(before, after) {
+  const labels = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...labels]
+    .map(label => ({
+      label,
+      before: before[label] || 0,
+      after: after[label] || 0,
+      delta: (after[label] || 0) - (before[label] || 0)
+    }))
+    .filter(row => row.delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.label.localeCompare(b.label));
+}
+
+function diffLabelLists(before = [], after = []) {
+  const added = after.filter(label => !before.includes(label));
+  const removed = before.filter(label => !after.includes(label));
+  return { added, removed };
+}
+
+// PRs whose label set differs between the stored and the reclassified documents
+function changedDocs(docs, reclassified, field) {
+  const changed = [];
+  docs.forEach((doc, i) => {
+    const before = doc[field] || [];
+    const after = reclassified[i][field];
+    const { added, removed } = diffLabelLists(before, after);
+    if (added.length > 0 || removed.length > 0) {
+      changed.push({ number: doc.number, title: doc.title, before, after, added, removed });
+    }
+  });
+  return changed.sort((a, b) => b.number - a.number);
+}
+
+// Graph 2 documents keyed by month + label, diffed like the label counts
+function diffMonthlySeries(beforeSeries, afterSeries) {
+  const toMap = series => new Map(series.map(d => [`${d.monthYear}|${d.type}`, d.count]));
+  const before = toMap(beforeSeries);
+  const after = toMap(afterSeries);
+  const keys = new Set([...before.keys(), ...after.keys()]);
+  return [...keys]
+    .map(key => {
+      const [monthYear, type] = key.split('|');
+      const b = before.get(key) || 0;
+      const a = after.get(key) || 0;
+      return { monthYear, type, before: b, after: a, delta: a - b };
+    })
+    .filter(row => row.delta !== 0)
+    .sort((a, b) => b.monthYear.localeCompare(a.monthYear) || a.type.localeCompare(b.type));
+}
+
+async function dryRunRepository(repository, rules) {
+  const { specType } = repository;
+  const prs = await getPullRequestModel(repository)
+    .find({}, 'prId number title githubLabels customLabels createdAt')
+    .lean();
+  const rawLabelsPrs = await getRawLabelsModel(repository)
+    .find({}, 'prId number title rawGithubLabels refinedLabels')
+    .lean();
+
+  const reclassifiedPrs = prs.map(pr => ({ ...pr, customLabels: rules.computeCustomLabels(pr, specType) }));
+  const reclassifiedRaw = rawLabelsPrs.map(pr => ({ ...pr, refinedLabels: rules.computeRefinedLabels(pr.rawGithubLabels || []) }));
+
+  return {
+    specType,
+    totals: { prs: prs.length, rawLabelsPrs: rawLabelsPrs.length },
+    customLabels: {
+      counts: diffCounts(countLabels(prs, 'customLabels'), countLabels(reclassifiedPrs, 'customLabels')),
+      changedPrs: changedDocs(prs, reclassifiedPrs, 'customLabels')
+    },
+    refinedLabels: {
+      counts: diffCounts(countLabels(rawLabelsPrs, 'refinedLabels'), countLabels(reclassifiedRaw, 'refinedLabels')),
+      changedPrs: changedDocs(rawLabelsPrs, reclassifiedRaw, 'refinedLabels')
+    },
+    graph2: diffMonthlySeries(
+      getCustomLabelsCountsByMonthYear(prs, specType),
+      getCustomLabelsCountsByMonthYear(reclassifiedPrs, specType)
+    )
+  };
+}
+
+// Evaluates `rulesPath` against the stored data of every (or the given) repository.
+// Expects an open mongoose connection.
+async function dryRun({ rulesPath, specTypes = null } = {}) {
+  const rules = loadLabelRules(rulesPath);
+  const repositories = getRepositories().filter(r => !specTypes || specTypes.includes(r.specType));
+
+  const results = [];
+  for (const repository of repositories) {
+    results.push(await dryRunRepository(repository, rules));
+  }
+  return { rules: rules.source, repositories: results };
+}
+
+function printSection(title, rows, formatRow) {
+  console.log(`  ${title}:`);
+  if (rows.length === 0) {
+    console.log(`     (no changes)`);
+    return;
+  }
+  rows.forEach(row => console.log(`     ${formatRow(row)}`));
+}
+
+const signed = n => (n > 0 ? `+${n}` : `${n}`);
+
+function printChangedPrs(title, changed, limit) {
+  printSection(`${title} (${changed.length})`, changed.slice(0, limit), pr => {
+    const parts = [];
+    if (pr.added.length > 0) parts.push(`+[${pr.added.join(', ')}]`);
+    if (pr.removed.length > 0) parts.push(`-[${pr.removed.join(', ')}]`);
+    return `#${pr.number} ${parts.join(' ')}  ${pr.title}`;
+  });
+  if (changed.length > limit) console.log(`     ... ${changed.length - limit} more (use --limit or --json)`);
+}
+
+function printReport(report, limit) {
+  console.log(`[DRY RUN] Candidate rules: ${report.rules}`);
+  report.repositories.forEach(result => {
+    console.log(`\n=== ${result.specType} (${result.totals.prs} PRs, ${result.totals.rawLabelsPrs} raw label docs) ===`);
+
+    printSection('Custom label counts', result.customLabels.counts,
+      r => `${r.label}: ${r.before} -> ${r.after} (${signed(r.delta)})`);
+    printSection('Refined label counts', result.refinedLabels.counts,
+      r => `${r.label}: ${r.before} -> ${r.after} (${signed(r.delta)})`);
+
+    printChangedPrs('PRs with changed custom labels', result.customLabels.changedPrs, limit);
+    printChangedPrs('PRs with changed refined labels', result.refinedLabels.changedPrs, limit);
+
+    printSection('Graph 2 monthly series', result.graph2,
+      r => `${r.monthYear} ${r.type}: ${r.before} -> ${r.after} (${signed(r.delta)})`);
+  });
+}
+
+async function main() {
+  const config = loadStartupConfig({ required: ['mongodbUri', 'database'], purpose: 'the label rules dry run' });
+  const rulesPath = getArgValue('--rules');
+  const spec = getArgValue('--spec');
+  const json = process.argv.includes('--json');
+  const limit = parseInt(getArgValue('--limit') || '50', 10);
+
+  if (!rulesPath) throw new Error("Usage: node label-rules-dry-run.js --rules <file> [--spec EIP] [--json] [--limit N]");
+
+  let specTypes = null;
+  if (spec) {
+    const repository = findRepository(spec);
+    if (!repository) throw new Error(`Unknown spec type "${spec}"`);
+    specTypes = [repository.specType];
+  }
+
+  await mongoose.connect(config.mongodbUri, { dbName: config.database });
+  try {
+    const report = await dryRun({ rulesPath, specTypes });
+    if (json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report, limit);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(`[FATAL ERROR]`, e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  dryRun
+};
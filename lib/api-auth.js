@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { sendError } = require('./api-response');
+const { findActiveKey } = require('./api-keys');
+const { getConfig } = require('./config');
+
+// API authentication and rate limiting.
+//
+// Clients send an API key (lib/api-keys.js) as "X-API-Key: <key>" or
+// "Authorization: Bearer <key>". API_AUTH decides what keys are needed for:
+//   off       keys are ignored, every client can read (default)
+//   optional  anonymous clients can read; a key raises the rate limit
+//   required  reading needs a key
+// The admin routes need an admin-scoped key, or ADMIN_API_TOKEN as a Bearer
+// token, in every mode. Routes declare their access level ('public', 'read' or
+// 'admin') through createApiRouter() in lib/api-router.js.
+//
+// Rate limits are fixed windows of RATE_LIMIT_WINDOW_SECONDS per API key, or per
+// client IP for anonymous clients (see TRUST_PROXY behind a reverse proxy), and
+// are reported in RateLimit-* headers. They are kept in memory, so each server
+// process counts on its own. ADMIN_API_TOKEN requests are not limited.
+
+const ACCESS_LEVELS = ['public', 'read', 'admin'];
+
+const ANONYMOUS = Object.freeze({ type: 'anonymous', id: null, name: null, scope: null, rateLimit: null });
+const ADMIN_TOKEN_CLIENT = Object.freeze({ type: 'admin-token', id: null, name: 'ADMIN_API_TOKEN', scope: 'admin', rateLimit: null });
+
+// Response headers browsers may read (exposed through CORS)
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'];
+
+function presentedCredential(req) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) return apiKey.trim();
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : null;
+}
+
+function isAdminToken(credential) {
+  const { adminApiToken } = getConfig();
+  if (!adminApiToken) return false;
+  const given = Buffer.from(credential);
+  const expected = Buffer.from(adminApiToken);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Sets req.apiClient: { type: 'anonymous' | 'key' | 'admin-token', id, name, scope, rateLimit }.
+// A key that is unknown or revoked is answered with a 401 rather than treated as
+// anonymous, so a misconfigured client notices.
+async function identifyClient(req, res, next) {
+  const credential = presentedCredential(req);
+  req.apiClient = ANONYMOUS;
+  if (!credential) return next();
+  if (isAdminToken(credential)) {
+    req.apiClient = ADMIN_TOKEN_CLIENT;
+    return next();
+  }
+  if (getConfig().apiAuth === 'off') return next();
+
+  const apiKey = await findActiveKey(credential);
+  if (!apiKey) {
+    return sendError(res, 401, 'Invalid or revoked API key');
+  }
+  req.apiClient = {
+    type: 'key',
+    id: String(apiKey._id),
+    name: apiKey.name,
+    scope: apiKey.scope,
+    rateLimit: apiKey.rateLimit ?? null
+  };
+  next();
+}
+
+function authenticate(req, res, next) {
+  identifyClient(req, res, next).catch(next);
+}
+
+// client key ("key:<id>" or "ip:<address>") -> { count, resetAt }
+const rateLimitWindows = new Map();
+let lastSweep = 0;
+
+function sweepWindows(now, windowMs) {
+  if (now - lastSweep < windowMs) return;
+  lastSweep = now;
+  for (const [client, window] of rateLimitWindows) {
+    if (window.resetAt <= now) rateLimitWindows.delete(client);
+  }
+}
+
+// Requests per window for a client; 0 means unlimited
+function rateLimitFor(client) {
+  const { rateLimitAnonymous, rateLimitApiKey } = getConfig();
+  if (client.type === 'admin-token') return 0;
+  if (client.type === 'key') return client.rateLimit ?? rateLimitApiKey;
+  return rateLimitAnonymous;
+}
+
+function rateLimit(req, res, next) {
+  const client = req.apiClient || ANONYMOUS;
+  const limit = rateLimitFor(client);
+  if (!limit) return next();
+
+  const windowSeconds = getConfig().rateLimitWindowSeconds;
+  const windowMs = windowSeconds * 1000;
+  const now = Date.now();
+  const clientKey = client.type === 'key' ? `key:${client.id}` : `ip:${req.ip}`;
+  sweepWindows(now, windowMs);
+
+  let window = rateLimitWindows.get(clientKey);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + windowMs };
+    rateLimitWindows.set(clientKey, window);
+  }
+  window.count++;
+
+  const resetSeconds = Math.max(1, Math.ceil((window.resetAt - now) / 1000));
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${limit};w=${windowSeconds}`
+  });
+  if (window.count > limit) {
+    res.set('Retry-After', String(resetSeconds));
+    return sendError(res, 429, `Rate limit of ${limit} requests per ${windowSeconds}s exceeded; retry in ${resetSeconds}s`);
+  }
+  next();
+}
+
+// Route middleware for an access level
+function requireAccess(level) {
+  if (!ACCESS_LEVELS.includes(level)) {
+    throw new Error(`Unknown access level "${level}" (use ${ACCESS_LEVELS.join(', ')})`);
+  }
+  return (req, res, next) => {
+    const client = req.apiClient || ANONYMOUS;
+    const { apiAuth, adminApiToken } = getConfig();
+    if (level === 'public') return next();
+
+    if (level === 'read') {
+      if (apiAuth === 'required' && client.type === 'anonymous') {
+        return sendError(res, 401, 'API key required (X-API-Key header)');
+      }
+      return next();
+    }
+
+    if (client.scope === 'admin') return next();
+    if (!adminApiToken && apiAuth === 'off') {
+      return sendError(res, 503, 'Admin API is disabled (set ADMIN_API_TOKEN, or API_AUTH with an admin API key)');
+    }
+    if (client.type === 'key') {
+      return sendError(res, 403, 'This API key has read access only');
+    }
+    return sendError(res, 401, 'Invalid or missing admin credentials');
+  };
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  RATE_LIMIT_HEADERS,
+  authenticate,
+  rateLimit,
+  requireAccess
+};
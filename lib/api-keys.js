@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+
+// API keys in api_keys.
+// A key is "prs_" followed by 32 random bytes (base64url). Only its SHA-256 hash
+// is stored, so a lost key can't be recovered, only revoked and replaced.
+// Lookups are cached in memory for a minute: a revoked key keeps working for up
+// to a minute on servers that used it recently, and lastUsedAt is written at
+// most once a minute per key.
+
+const KEY_PREFIX = 'prs_';
+const SCOPES = ['read', 'admin'];
+const CACHE_TTL_MS = 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+
+// hash -> { apiKey (null for unknown or revoked keys), expiresAt }
+const lookupCache = new Map();
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Returns { key, apiKey }; `key` is the only copy of the plaintext key
+async function createApiKey({ name, scope = 'read', rateLimit = null }) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('An API key needs a name');
+  }
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Invalid scope "${scope}" (use ${SCOPES.join(' or ')})`);
+  }
+  if (rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 0)) {
+    throw new Error(`Invalid rate limit "${rateLimit}" (requests per window, 0 for unlimited)`);
+  }
+
+  const key = generateKey();
+  const apiKey = await ApiKey.create({
+    name: name.trim(),
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    hash: hashKey(key),
+    scope,
+    rateLimit,
+    createdAt: new Date(),
+    lastUsedAt: null,
+    revokedAt: null
+  });
+  const { hash, ...stored } = apiKey.toObject();
+  return { key, apiKey: stored };
+}
+
+function pruneCache(now) {
+  for (const [hash, entry] of lookupCache) {
+    if (entry.expiresAt <= now) lookupCache.delete(hash);
+  }
+  if (lookupCache.size >= CACHE_MAX_ENTRIES) lookupCache.clear();
+}
+
+// The active (not revoked) key document for a presented key, or null
+async function findActiveKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+  const hash = hashKey(key);
+  const now = Date.now();
+  const cached = lookupCache.get(hash);
+  if (cached && cached.expiresAt > now) return cached.apiKey;
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { hash, revokedAt: null },
+    { $set: { lastUsedAt: new Date(now) } },
+    { new: true, projection: { hash: 0 } }
+  ).lean();
+
+  if (lookupCache.size >= CACHE_MAX_ENTRIES) pruneCache(now);
+  lookupCache.set(hash, { apiKey, expiresAt: now + CACHE_TTL_MS });
+  return apiKey;
+}
+
+async function listApiKeys({ includeRevoked = false } = {}) {
+  const query = includeRevoked ? {} : { revokedAt: null };
+  return ApiKey.find(query, { hash: 0 }).sort({ createdAt: -1 }).lean();
+}
+
+// Revokes the key with this id or prefix. Returns the revoked key, or null when
+// nothing matches; throws when a prefix matches several active keys.
+async function revokeApiKey(idOrPrefix) {
+  const query = mongoose.isValidObjectId(idOrPrefix) ? { _id: idOrPrefix } : { prefix: idOrPrefix };
+  const matches = await ApiKey.find({ ...query, revokedAt: null }, { _id: 1 }).limit(2).lean();
+  if (matches.length === 0) return null;
+  if (matches.length > 1) {
+    throw new Error(`${idOrPrefix} matches more than one active key; revoke by id`);
+  }
+
+  const revoked = await ApiKey.findOneAndUpdate(
+    { _id: matches[0]._id },
+    { $set: { revokedAt: new Date() } },
+    { new: true, projection: { hash: 0 } }
+  ).lean();
+  lookupCache.clear();
+  return revoked;
+}
+
+module.exports = {
+  KEY_PREFIX,
+  SCOPES,
+  hashKey,
+  createApiKey,
+  findActiveKey,
+  listApiKeys,
+  revokeApiKey
+};
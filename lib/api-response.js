@@ -0,0 +1,17 @@
+// Response envelope of the API. Every response uses it:
+//
+//   success: { "success": true, "data": ..., ...metadata (count, pagination, ...) }
+//   failure: { "success": false, "error": "message", "details": ... }
+
+function sendSuccess(res, body = {}, status = 200) {
+  return res.status(status).json({ success: true, ...body });
+}
+
+function sendError(res, status, error, extra = {}) {
+  return res.status(status).json({ success: false, error, ...extra });
+}
+
+module.exports = {
+  sendSuccess,
+  sendError
+};
@@ -0,0 +1,94 @@
+const express = require('express');
+const { validateRequest } = require('./openapi');
+const { sendSuccess, sendError } = require('./api-response');
+const { requireAccess } = require('./api-auth');
+const { cacheResponse } = require('./response-cache');
+
+// HTTP plumbing shared by the route modules in routes/. Responses use the
+// envelope of lib/api-response.js.
+//
+// createApiRouter() wraps an express.Router mounted at `basePath`. Routes are
+// declared with metadata (lib/openapi.js): the registry (routes/index.js) builds
+// the OpenAPI document, the 404 listing and the startup log from it, and requests
+// that violate the declared parameters are answered with a 400. Handlers may be
+// async; a rejected promise goes to errorHandler() like a thrown error.
+
+function wrapAsync(handler) {
+  return (req, res, next) => {
+    try {
+      const result = handler(req, res, next);
+      if (result && typeof result.catch === 'function') result.catch(next);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Answers a request that doesn't match the route's declared parameters with a 400
+function requestValidator(meta) {
+  return (req, res, next) => {
+    const problems = validateRequest(req, meta);
+    if (problems.length > 0) {
+      return sendError(res, 400, 'Invalid request parameters', { details: problems });
+    }
+    next();
+  };
+}
+
+// { name, basePath, description, rawBody, access, router, endpoints, get(), post(), delete() }.
+// get/post/delete(path, meta, ...handlers) take a path relative to basePath and the
+// route metadata (or just its summary).
+// rawBody: the router parses request bodies itself and is mounted ahead of express.json()
+// (and ahead of API key authentication and rate limiting).
+// access: 'public', 'read' or 'admin' (see lib/api-auth.js); a route's metadata can
+// override it with its own `access`.
+// cache: GET responses are cached until the data changes (see lib/response-cache.js);
+// for routers whose data only changes when the pipeline or a webhook writes. A
+// route's metadata can override it with its own `cache`.
+function createApiRouter({ name, basePath, description, rawBody = false, access = 'read', cache = false }) {
+  const router = express.Router();
+  const endpoints = [];
+  const api = { name, basePath, description, rawBody, access, cache, router, endpoints };
+
+  ['get', 'post', 'delete'].forEach(method => {
+    api[method] = (routePath, meta, ...handlers) => {
+      const routeMeta = { access, cache, ...(typeof meta === 'string' ? { summary: meta } : meta) };
+      const fullPath = routePath === '/' ? basePath : `${basePath}${routePath}`;
+      endpoints.push({ method: method.toUpperCase(), path: fullPath, router: name, ...routeMeta });
+      const middleware = [requireAccess(routeMeta.access), requestValidator(routeMeta)];
+      if (routeMeta.cache && method === 'get') middleware.push(wrapAsync(cacheResponse));
+      router[method](routePath, ...middleware, ...handlers.map(wrapAsync));
+      return api;
+    };
+  });
+  return api;
+}
+
+// Last middleware of the app. Errors carrying an HTTP status below 500 (e.g. the
+// JSON body parser's 400) are passed on to the client as they are.
+// Once a response has started (e.g. a streamed export) it can only be aborted.
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    console.error(`[API ERROR] ${req.method} ${req.originalUrl} (response aborted):`, error);
+    return next(error);
+  }
+  const status = error.status || error.statusCode || 500;
+  if (status < 500) {
+    return sendError(res, status, error.expose ? error.message : 'Bad request');
+  }
+  console.error(`[API ERROR] ${req.method} ${req.originalUrl}:`, error);
+  sendError(res, 500, 'Internal server error', { details: error.message });
+}
+
+function notFoundHandler(endpoints) {
+  const availableEndpoints = endpoints.map(({ method, path, summary }) => `${method} ${path} - ${summary}`);
+  return (req, res) => sendError(res, 404, 'Endpoint not found', { availableEndpoints });
+}
+
+module.exports = {
+  sendSuccess,
+  sendError,
+  createApiRouter,
+  errorHandler,
+  notFoundHandler
+};
@@ -0,0 +1,65 @@
+const dayjs = require('dayjs');
+const ChartDirtyMonth = require('../models/ChartDirtyMonth');
+
+// Months whose chart collections are stale.
+// A PR counts towards every month from its creation to the month it was merged or
+// closed (Graph 1 "open" and Graph 3 are cumulative), so changing one PR can touch
+// many months. The webhook receiver marks them here and queues a charts job
+// (lib/pipeline-jobs.js); the charts step clears the marks it has covered once it
+// publishes.
+
+// "YYYY-MM" keys from each PR's creation month through its merge/close month
+// (or the current month while it is open)
+function affectedMonths(...prs) {
+  const months = new Set();
+  prs.filter(pr => pr && pr.createdAt).forEach(pr => {
+    const end = dayjs(pr.mergedAt || pr.closedAt || new Date()).startOf('month');
+    for (let month = dayjs(pr.createdAt).startOf('month'); !month.isAfter(end); month = month.add(1, 'month')) {
+      months.add(month.format('YYYY-MM'));
+    }
+  });
+  return [...months].sort();
+}
+
+async function markDirtyMonths(specType, months, event) {
+  if (months.length === 0) return 0;
+  const now = new Date();
+  await ChartDirtyMonth.bulkWrite(months.map(monthYear => ({
+    updateOne: {
+      filter: { specType, monthYear },
+      update: {
+        $setOnInsert: { firstMarkedAt: now },
+        $set: { lastMarkedAt: now, lastEvent: event },
+        $inc: { events: 1 }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+  return months.length;
+}
+
+// Drops marks that were last set before `before` (the start of a chart rebuild),
+// so months touched while the rebuild ran stay dirty
+async function clearDirtyMonths(before) {
+  const result = await ChartDirtyMonth.deleteMany({ lastMarkedAt: { $lte: before } });
+  return result.deletedCount;
+}
+
+// Months still waiting for a chart rebuild, e.g. { total: 3, bySpecType: { EIP: ['2024-12', '2025-01'] } }
+async function listDirtyMonths() {
+  const marks = await ChartDirtyMonth.find({}, { specType: 1, monthYear: 1 })
+    .sort({ specType: 1, monthYear: 1 })
+    .lean();
+  const bySpecType = {};
+  marks.forEach(({ specType, monthYear }) => {
+    (bySpecType[specType] = bySpecType[specType] || []).push(monthYear);
+  });
+  return { total: marks.length, bySpecType };
+}
+
+module.exports = {
+  affectedMonths,
+  markDirtyMonths,
+  clearDirtyMonths,
+  listDirtyMonths
+};
@@ -0,0 +1,205 @@
+// Atomic collection replacement for the pipeline steps.
+//
+// Instead of deleteMany({}) + insertMany() on the live collection, new data is
+// written to a "<name>__staging" collection and renamed over the live one
+// (renameCollection with dropTarget) once everything has been written. API
+// readers therefore only ever see the previous data set or the complete new one.
+//
+// A rename is atomic for one collection only. When a step publishes several, the
+// live ones are first copied to "<name>__previous", so a rename that fails halfway
+// can put back the collections already replaced.
+//
+// Writes to a live collection while its staging copy is being built (webhook
+// deliveries, see lib/github-webhook.js) are replaced by the staged data when it
+// is published; the PR fetch re-applies them with an incremental pass afterwards.
+
+const STAGING_SUFFIX = '__staging';
+const BACKUP_SUFFIX = '__previous';
+
+function isNamespaceNotFound(error) {
+  return error && (error.codeName === 'NamespaceNotFound' || error.code === 26);
+}
+
+async function collectionExists(db, name) {
+  const collections = await db.listCollections({ name }, { nameOnly: true }).toArray();
+  return collections.length > 0;
+}
+
+async function dropIfExists(db, name) {
+  try {
+    await db.collection(name).drop();
+  } catch (error) {
+    if (!isNamespaceNotFound(error)) throw error;
+  }
+}
+
+// Run documents through the mongoose schema so staged data is cast exactly
+// like Model.insertMany() would cast it (dates, numbers, _id, ...)
+function castDocs(Model, docs) {
+  return docs.map(doc => new Model(doc).toObject());
+}
+
+// Creates an empty staging collection for Model, carrying over the schema's indexes
+async function openStaging(Model) {
+  const db = Model.db.db;
+  const target = Model.collection.collectionName;
+  const name = `${target}${STAGING_SUFFIX}`;
+  const backupName = `${target}${BACKUP_SUFFIX}`;
+
+  await dropIfExists(db, name);
+  const collection = await db.createCollection(name);
+  for (const [fields, options] of Model.schema.indexes()) {
+    await collection.createIndex(fields, options);
+  }
+
+  let written = 0;
+  let backedUp = false;
+
+  return {
+    target,
+    name,
+    backupName,
+    get written() {
+      return written;
+    },
+    async insertMany(docs) {
+      if (docs.length === 0) return 0;
+      await collection.insertMany(castDocs(Model, docs), { ordered: false });
+      written += docs.length;
+      return docs.length;
+    },
+    // Copies the live collection to <name>__previous (nothing to copy on the first publish)
+    async backup() {
+      await dropIfExists(db, backupName);
+      backedUp = await collectionExists(db, target);
+      if (backedUp) {
+        await db.collection(target).aggregate([{ $match: {} }, { $out: backupName }]).toArray();
+      }
+    },
+    async publish() {
+      await collection.rename(target, { dropTarget: true });
+    },
+    // Puts the backed-up collection back in place of the published one
+    async restore() {
+      if (!backedUp) {
+        await dropIfExists(db, target);
+        return;
+      }
+      await db.collection(backupName).rename(target, { dropTarget: true });
+      await Model.createIndexes();
+    },
+    async dropBackup() {
+      await dropIfExists(db, backupName);
+    },
+    async discard() {
+      await dropIfExists(db, name);
+    }
+  };
+}
+
+// Groups the staging collections of one pipeline step so the step publishes
+// all of its collections together, or none of them (a failed publish restores
+// the collections it had already replaced)
+function createPublishBatch(label = 'BATCH') {
+  const stagings = [];
+
+  return {
+    async open(Model) {
+      const staging = await openStaging(Model);
+      stagings.push(staging);
+      return staging;
+    },
+
+    async stage(Model, docs) {
+      const staging = await this.open(Model);
+      await staging.insertMany(docs);
+      return staging;
+    },
+
+    // Rows written so far per target collection, e.g. { eipprs: 1200 }
+    counts() {
+      const counts = {};
+      stagings.forEach(staging => {
+        counts[staging.target] = (counts[staging.target] || 0) + staging.written;
+      });
+      return counts;
+    },
+
+    async publish() {
+      const rollback = stagings.length > 1;
+      const published = [];
+      const unrestored = new Set();
+      try {
+        if (rollback) {
+          for (const staging of stagings) await staging.backup();
+        }
+        for (const staging of stagings) {
+          await staging.publish();
+          published.push(staging);
+          console.log(`[${label}] Published ${staging.written} records to ${staging.target}`);
+        }
+      } catch (error) {
+        for (const staging of published.reverse()) {
+          try {
+            await staging.restore();
+            console.log(`[${label}] Publish failed - restored the previous ${staging.target}`);
+          } catch (restoreError) {
+            // Its backup is kept for a manual restore
+            unrestored.add(staging);
+            console.error(`[${label}] Failed to restore ${staging.target} (previous data left in ${staging.backupName}):`, restoreError.message);
+          }
+        }
+        throw error;
+      } finally {
+        if (rollback) {
+          for (const staging of stagings.filter(s => !unrestored.has(s))) {
+            await staging.dropBackup().catch(error =>
+              console.error(`[${label}] Failed to drop the backup of ${staging.target}:`, error.message)
+            );
+          }
+        }
+      }
+      stagings.length = 0;
+    },
+
+    async discard() {
+      for (const staging of stagings) {
+        await staging.discard().catch(error =>
+          console.error(`[${label}] Failed to drop ${staging.name}:`, error.message)
+        );
+      }
+      if (stagings.length > 0) {
+        console.log(`[${label}] Discarded ${stagings.length} staging collection(s); live data left untouched`);
+      }
+      stagings.length = 0;
+    }
+  };
+}
+
+// Runs `fn(batch)` and publishes everything it staged, or discards it all if fn throws
+async function withPublishBatch(label, fn) {
+  const batch = createPublishBatch(label);
+  try {
+    const result = await fn(batch);
+    await batch.publish();
+    return result;
+  } catch (error) {
+    await batch.discard();
+    throw error;
+  }
+}
+
+// Replaces the contents of Model's collection with docs in one atomic swap
+async function replaceCollection(Model, docs, label = 'SWAP') {
+  return withPublishBatch(label, async batch => {
+    await batch.stage(Model, docs);
+    return docs.length;
+  });
+}
+
+module.exports = {
+  openStaging,
+  createPublishBatch,
+  withPublishBatch,
+  replaceCollection
+};
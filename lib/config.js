@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ quiet: true });
+
+// Runtime configuration.
+// Every script and server reads its settings here instead of from process.env.
+// Each setting has a type and a default. Values are resolved, lowest to highest
+// precedence, from:
+//
+//   1. the defaults below
+//   2. the environment file config/env/<environment>.json (or CONFIG_FILE), where
+//      <environment> is APP_ENV, else NODE_ENV, else "development"; keys are the
+//      setting names, e.g. { "apiPort": 3001, "githubFixtureMode": "replay" }
+//   3. environment variables (and .env)
+//
+// Invalid values fail when the config is loaded. Entry points call
+// loadStartupConfig() with the settings they need, so a missing token or database
+// fails at startup rather than halfway through a run. Any entry point run with
+// --print-config prints the resolved settings (secrets redacted) and exits.
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ENV_CONFIG_DIR = path.join(ROOT_DIR, 'config', 'env');
+
+// env: variable names, first one set wins. secret: redacted by --print-config.
+const SETTINGS = {
+  mongodbUri: { env: ['OPENPRS_MONGODB_URI'], type: 'string', default: null, secret: true, description: 'MongoDB connection string' },
+  database: { env: ['OPENPRS_DATABASE'], type: 'string', default: null, description: 'MongoDB database name' },
+  githubToken: { env: ['GITHUB_TOKEN'], type: 'string', default: null, secret: true, description: 'GitHub personal access token' },
+  apiPort: { env: ['API_PORT', 'PORT'], type: 'port', default: 3001, description: 'Port of api-server.js' },
+  apiRouters: { env: ['API_ROUTERS'], type: 'list', default: null, description: 'Routers api-server.js mounts (default: all)' },
+  contributorsApiPort: { env: ['CONTRIBUTORS_API_PORT'], type: 'port', default: 3002, description: 'Port of the deprecated contributors-api.js' },
+  adminApiToken: { env: ['ADMIN_API_TOKEN'], type: 'string', default: null, secret: true, description: 'Bearer token of the /api/admin routes (next to admin API keys)' },
+  apiAuth: { env: ['API_AUTH'], type: 'enum', values: ['off', 'optional', 'required'], default: 'off', description: 'API key authentication of the read routes' },
+  corsOrigins: { env: ['CORS_ORIGINS'], type: 'list', default: null, description: 'Origins allowed by CORS (default: any)' },
+  trustProxy: { env: ['TRUST_PROXY'], type: 'integer', default: 0, description: 'Reverse proxies in front of the API (for client IPs)' },
+  rateLimitWindowSeconds: { env: ['RATE_LIMIT_WINDOW_SECONDS'], type: 'integer', default: 60, description: 'API rate-limit window' },
+  rateLimitAnonymous: { env: ['RATE_LIMIT_ANONYMOUS'], type: 'integer', default: 120, description: 'Requests per window per IP without a key (0: unlimited)' },
+  rateLimitApiKey: { env: ['RATE_LIMIT_API_KEY'], type: 'integer', default: 1200, description: 'Requests per window per API key (0: unlimited)' },
+  apiCache: { env: ['API_CACHE'], type: 'enum', values: ['off', 'memory', 'redis'], default: 'memory', description: 'Response cache of the read routes' },
+  apiCacheMaxEntries: { env: ['API_CACHE_MAX_ENTRIES'], type: 'integer', default: 500, description: 'Responses kept by the memory cache' },
+  apiCacheTtlSeconds: { env: ['API_CACHE_TTL_SECONDS'], type: 'integer', default: 3600, description: 'Longest time a cached response is served' },
+  apiCacheMaxAgeSeconds: { env: ['API_CACHE_MAX_AGE_SECONDS'], type: 'integer', default: 60, description: 'Cache-Control max-age for browsers and CDNs' },
+  redisUrl: { env: ['REDIS_URL'], type: 'string', default: null, secret: true, description: 'Redis server of API_CACHE=redis' },
+  dataVersionPollSeconds: { env: ['DATA_VERSION_POLL_SECONDS'], type: 'integer', default: 10, description: 'How often API servers check for new data' },
+  postgresUrl: { env: ['POSTGRES_URL'], type: 'string', default: null, secret: true, description: 'PostgreSQL connection string of postgres-mirror.js' },
+  postgresSchema: { env: ['POSTGRES_SCHEMA'], type: 'string', default: 'public', description: 'PostgreSQL schema of the mirror tables' },
+  githubWebhookSecret: { env: ['GITHUB_WEBHOOK_SECRET'], type: 'string', default: null, secret: true, description: 'Secret of the GitHub webhook' },
+  prFetcher: { env: ['PR_FETCHER'], type: 'enum', values: ['rest', 'graphql'], default: 'rest', description: 'Default PR fetcher' },
+  githubRateLimitReserve: { env: ['GITHUB_RATE_LIMIT_RESERVE'], type: 'integer', default: 100, description: 'Requests left unused per rate-limit window' },
+  githubEnhancedReserve: { env: ['GITHUB_ENHANCED_RESERVE'], type: 'integer', default: 1000, description: 'The same for fetch-github-contributors-enhanced.js' },
+  githubRateLimitMaxWaitSeconds: { env: ['GITHUB_RATE_LIMIT_MAX_WAIT_SECONDS'], type: 'integer', default: 900, description: 'Longest wait for a rate-limit reset' },
+  githubHttpCache: { env: ['GITHUB_HTTP_CACHE'], type: 'boolean', default: true, description: 'ETag cache of GitHub GETs' },
+  githubFixtureMode: { env: ['GITHUB_FIXTURE_MODE'], type: 'enum', values: ['record', 'replay'], default: null, description: 'Record or replay GitHub fixtures' },
+  githubFixtureDir: { env: ['GITHUB_FIXTURE_DIR'], type: 'path', default: 'fixtures/github', description: 'GitHub fixture directory' },
+  repositoriesConfig: { env: ['REPOSITORIES_CONFIG'], type: 'path', default: 'config/repositories.json', description: 'Repository registry' },
+  pipelineConfig: { env: ['PIPELINE_CONFIG'], type: 'path', default: 'config/pipeline.json', description: 'Pipeline steps and schedules' },
+  labelRulesPath: { env: ['LABEL_RULES_PATH'], type: 'path', default: 'config/label-rules.json', description: 'Label classification rules' }
+};
+
+const BOOLEAN_VALUES = { true: true, on: true, yes: true, 1: true, false: false, off: false, no: false, 0: false };
+
+let cached = null;
+
+// Converts a raw value (string from the environment, JSON value from a file) to the
+// setting's type; throws with a message that names `where`
+function parseValue(key, raw, where) {
+  const setting = SETTINGS[key];
+  if (raw === null) return null;
+  const text = String(raw).trim();
+  switch (setting.type) {
+    case 'string':
+      if (typeof raw !== 'string' || text === '') throw new Error(`${where} must be a non-empty string`);
+      return text;
+    case 'path':
+      if (typeof raw !== 'string' || text === '') throw new Error(`${where} must be a file path`);
+      return path.resolve(ROOT_DIR, text);
+    case 'integer':
+    case 'port': {
+      const value = Number(text);
+      if (text === '' || !Number.isInteger(value) || value < 0) throw new Error(`${where} must be a non-negative integer (got "${raw}")`);
+      if (setting.type === 'port' && (value < 1 || value > 65535)) throw new Error(`${where} must be a port between 1 and 65535 (got "${raw}")`);
+      return value;
+    }
+    case 'boolean': {
+      const value = BOOLEAN_VALUES[text.toLowerCase()];
+      if (value === undefined) throw new Error(`${where} must be true/false or on/off (got "${raw}")`);
+      return value;
+    }
+    case 'list': {
+      // Comma-separated in the environment, an array of strings in config files
+      const items = Array.isArray(raw) ? raw : text.split(',');
+      if (items.some(item => typeof item !== 'string')) throw new Error(`${where} must be a list of names`);
+      const list = items.map(item => item.trim()).filter(Boolean);
+      if (list.length === 0) throw new Error(`${where} must name at least one entry`);
+      return list;
+    }
+    case 'enum':
+      if (!setting.values.includes(text)) throw new Error(`${where} must be one of ${setting.values.join(', ')} (got "${raw}")`);
+      return text;
+    default:
+      throw new Error(`${where}: unknown setting type ${setting.type}`);
+  }
+}
+
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Config file ${file} does not exist`);
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read config file ${file}: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Config file ${file} must be a JSON object of settings`);
+  }
+  const unknown = Object.keys(parsed).filter(key => !SETTINGS[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Config file ${file}: unknown setting(s) ${unknown.join(', ')} (known: ${Object.keys(SETTINGS).join(', ')})`);
+  }
+  return parsed;
+}
+
+// Resolves every setting; returns a frozen { environment, file, values, sources }
+function loadConfig(env = process.env) {
+  const environment = env.APP_ENV || env.NODE_ENV || 'development';
+  const file = env.CONFIG_FILE
+    ? path.resolve(ROOT_DIR, env.CONFIG_FILE)
+    : path.join(ENV_CONFIG_DIR, `${environment}.json`);
+  const fileValues = readConfigFile(file, Boolean(env.CONFIG_FILE));
+
+  const values = {};
+  const sources = {};
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    const envName = setting.env.find(name => env[name] !== undefined && env[name] !== '');
+    if (envName) {
+      values[key] = parseValue(key, env[envName], envName);
+      sources[key] = envName;
+    } else if (fileValues && fileValues[key] !== undefined) {
+      values[key] = parseValue(key, fileValues[key], `${path.relative(ROOT_DIR, file)}: ${key}`);
+      sources[key] = path.relative(ROOT_DIR, file);
+    } else {
+      values[key] = setting.type === 'path' && setting.default ? path.resolve(ROOT_DIR, setting.default) : setting.default;
+      sources[key] = 'default';
+    }
+  });
+
+  if (values.apiPort === values.contributorsApiPort) {
+    throw new Error(`apiPort and contributorsApiPort are both ${values.apiPort}; the two servers need different ports`);
+  }
+  if (!/^[a-z_][a-z0-9_]*$/.test(values.postgresSchema)) {
+    throw new Error(`postgresSchema must be a lower-case SQL identifier (got "${values.postgresSchema}")`);
+  }
+  if (values.apiCache === 'redis' && !values.redisUrl) {
+    throw new Error('apiCache is "redis" but redisUrl (REDIS_URL) is not set');
+  }
+  if (values.apiCacheMaxEntries < 1 || values.apiCacheTtlSeconds < 1 || values.dataVersionPollSeconds < 1) {
+    throw new Error('apiCacheMaxEntries, apiCacheTtlSeconds and dataVersionPollSeconds must be at least 1 (set apiCache to "off" to disable the cache)');
+  }
+  if (values.rateLimitWindowSeconds < 1) {
+    throw new Error('rateLimitWindowSeconds must be at least 1 (use rateLimitAnonymous/rateLimitApiKey 0 to turn rate limiting off)');
+  }
+
+  return Object.freeze({
+    environment,
+    file: fileValues ? file : null,
+    values: Object.freeze(values),
+    sources: Object.freeze(sources)
+  });
+}
+
+function getConfigState() {
+  if (!cached) cached = loadConfig();
+  return cached;
+}
+
+// The resolved settings, e.g. getConfig().apiPort
+function getConfig() {
+  return getConfigState().values;
+}
+
+// Throws unless every key in `keys` has a value. The GitHub token is not needed
+// while GitHub fixtures are replayed.
+function requireSettings(keys, purpose) {
+  const values = getConfig();
+  const missing = keys.filter(key => {
+    if (key === 'githubToken' && values.githubFixtureMode === 'replay') return false;
+    return values[key] === null || values[key] === undefined;
+  });
+  if (missing.length > 0) {
+    const names = missing.map(key => `${SETTINGS[key].env[0]} (${key})`).join(', ');
+    throw new Error(`Missing configuration for ${purpose}: ${names}`);
+  }
+  return values;
+}
+
+// Hides passwords in connection strings and whole secrets otherwise
+function redact(key, value) {
+  if (value === null || !SETTINGS[key].secret) return value;
+  if (/^[a-z+]+:\/\//i.test(value)) return value.replace(/\/\/([^:@/]+):([^@/]+)@/, '//$1:***@');
+  return '***';
+}
+
+function printConfig() {
+  const { environment, file, values, sources } = getConfigState();
+  console.log(`[CONFIG] Environment: ${environment}${file ? ` (${path.relative(ROOT_DIR, file)})` : ' (no config file)'}`);
+  const width = Math.max(...Object.keys(SETTINGS).map(key => key.length));
+  Object.keys(SETTINGS).forEach(key => {
+    const value = redact(key, values[key]);
+    console.log(`[CONFIG] ${key.padEnd(width)}  ${JSON.stringify(value)}  (${sources[key]})`);
+  });
+}
+
+// Entry point helper: with --print-config prints the settings and exits; otherwise
+// checks that `required` settings are present and returns the config
+function loadStartupConfig({ required = [], purpose = path.basename(process.argv[1] || 'this script') } = {}) {
+  if (process.argv.includes('--print-config')) {
+    printConfig();
+    process.exit(0);
+  }
+  return requireSettings(required, purpose);
+}
+
+module.exports = {
+  SETTINGS,
+  loadConfig,
+  getConfig,
+  requireSettings,
+  printConfig,
+  loadStartupConfig
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const DataVersion = require('../models/DataVersion');
+
+// Version of the data the API serves, in data_versions.
+// The pipeline steps bump it once they have published new data (a staged batch
+// swapped in, or rows upserted into a live collection), and the webhook receiver
+// after a delivery that changed a PR. API servers poll it (DATA_VERSION_POLL_SECONDS) and key their response cache
+// on it (lib/response-cache.js), so cached responses are dropped once new data is
+// published. Like the run history, bumps are best effort.
+
+const DOC_ID = 'current';
+
+// This process's view: { version, updatedAt }
+let current = { version: 0, updatedAt: null };
+
+function setCurrent(doc) {
+  if (doc && (doc.version !== current.version || !current.updatedAt)) {
+    current = { version: doc.version, updatedAt: doc.updatedAt };
+  }
+  return current;
+}
+
+function getDataVersion() {
+  return current;
+}
+
+async function bumpDataVersion(source) {
+  if (mongoose.connection.readyState !== 1) return current;
+  try {
+    const doc = await DataVersion.findOneAndUpdate(
+      { _id: DOC_ID },
+      { $inc: { version: 1 }, $set: { updatedAt: new Date(), source } },
+      { upsert: true, new: true }
+    ).lean();
+    return setCurrent(doc);
+  } catch (error) {
+    console.warn(`[DATA VERSION] Failed to bump the data version (${source}): ${error.message}`);
+    return current;
+  }
+}
+
+async function refreshDataVersion() {
+  if (mongoose.connection.readyState !== 1) return current;
+  try {
+    return setCurrent(await DataVersion.findById(DOC_ID).lean());
+  } catch (error) {
+    console.warn(`[DATA VERSION] Failed to read the data version: ${error.message}`);
+    return current;
+  }
+}
+
+// Reads the version now and then every `intervalSeconds`; returns a stop function
+function watchDataVersion(intervalSeconds) {
+  refreshDataVersion();
+  const timer = setInterval(refreshDataVersion, intervalSeconds * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  getDataVersion,
+  bumpDataVersion,
+  refreshDataVersion,
+  watchDataVersion
+};
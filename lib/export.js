@@ -0,0 +1,157 @@
+// Dataset exports in CSV, NDJSON and Parquet (see routes/export.js).
+// A dataset declares its columns and yields its rows from MongoDB cursors; rows
+// are written to the response as they arrive, so an export holds one cursor batch
+// (for Parquet, one row group) in memory rather than the whole dataset.
+//
+// Column types: string, integer, number, boolean, date and list (of strings).
+// CSV writes dates in ISO 8601 and joins lists with "|"; NDJSON keeps lists as
+// arrays; Parquet columns are optional, lists are repeated UTF8 columns.
+
+const CSV_LIST_SEPARATOR = '|';
+const CHUNK_SIZE = 64 * 1024;
+
+const PARQUET_TYPES = {
+  string: 'UTF8',
+  integer: 'INT64',
+  number: 'DOUBLE',
+  boolean: 'BOOLEAN',
+  date: 'TIMESTAMP_MILLIS',
+  list: 'UTF8'
+};
+
+// Converts a stored value to the column type; null when missing or unusable
+function toColumnValue(type, value) {
+  if (type === 'list') {
+    if (value === null || value === undefined) return [];
+    return (Array.isArray(value) ? value : [value]).filter(item => item !== null && item !== undefined).map(String);
+  }
+  if (value === null || value === undefined || value === '') return null;
+  switch (type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return null;
+      return type === 'integer' ? Math.trunc(number) : number;
+    }
+    case 'boolean':
+      return Boolean(value);
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+    default:
+      return String(value);
+  }
+}
+
+function toRow(columns, doc) {
+  return Object.fromEntries(columns.map(({ name, type }) => [name, toColumnValue(type, doc[name])]));
+}
+
+// Writes a chunk, waiting while the client is slow; throws once it has gone away
+async function writeChunk(stream, chunk) {
+  if (stream.destroyed) throw new Error('Client closed the connection');
+  if (stream.write(chunk)) return;
+  await new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+// Writes lines in chunks of about CHUNK_SIZE characters
+async function writeLines(stream, lines) {
+  let chunk = '';
+  for await (const line of lines) {
+    chunk += `${line}\n`;
+    if (chunk.length >= CHUNK_SIZE) {
+      await writeChunk(stream, chunk);
+      chunk = '';
+    }
+  }
+  if (chunk) await writeChunk(stream, chunk);
+  stream.end();
+}
+
+function csvField(value) {
+  if (value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join(CSV_LIST_SEPARATOR) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeCsv(stream, columns, rows) {
+  async function* lines() {
+    yield columns.map(column => csvField(column.name)).join(',');
+    for await (const row of rows) {
+      yield columns.map(column => csvField(row[column.name])).join(',');
+    }
+  }
+  await writeLines(stream, lines());
+}
+
+async function writeNdjson(stream, columns, rows) {
+  async function* lines() {
+    for await (const row of rows) yield JSON.stringify(row);
+  }
+  await writeLines(stream, lines());
+}
+
+async function writeParquet(stream, columns, rows) {
+  const parquet = require('parquetjs-lite');
+  const schema = new parquet.ParquetSchema(Object.fromEntries(columns.map(({ name, type }) => [
+    name,
+    { type: PARQUET_TYPES[type], compression: 'SNAPPY', ...(type === 'list' ? { repeated: true } : { optional: true }) }
+  ])));
+  // The writer waits for each write to be flushed, which paces it to the client
+  const writer = await parquet.ParquetWriter.openStream(schema, stream);
+  for await (const row of rows) {
+    await writer.appendRow(Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null)));
+  }
+  await writer.close();
+}
+
+const FORMATS = {
+  csv: { mediaType: 'text/csv', extension: 'csv', write: writeCsv },
+  ndjson: { mediaType: 'application/x-ndjson', extension: 'ndjson', write: writeNdjson },
+  parquet: { mediaType: 'application/vnd.apache.parquet', extension: 'parquet', binary: true, write: writeParquet }
+};
+
+// Streams `docs` (an async iterable, e.g. a cursor) to the response as a
+// `<filename>.<extension>` download. The first document is read before the
+// response starts, so a failing query is still answered with a JSON error; a
+// failure halfway through aborts the download.
+async function sendExport(res, { format, columns, docs, filename }) {
+  const { mediaType, extension, binary, write } = FORMATS[format];
+  const iterator = docs[Symbol.asyncIterator]();
+  const first = await iterator.next();
+
+  async function* rows() {
+    if (first.done) return;
+    yield toRow(columns, first.value);
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield toRow(columns, next.value);
+    }
+  }
+
+  res.status(200).set({
+    'Content-Type': binary ? mediaType : `${mediaType}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="${filename}.${extension}"`
+  });
+  try {
+    await write(res, columns, rows());
+  } catch (error) {
+    // A client that disconnected is not an error of the export
+    if (!res.destroyed) throw error;
+  } finally {
+    if (!first.done) await iterator.return?.();
+  }
+}
+
+module.exports = {
+  FORMATS,
+  sendExport
+};
@@ -0,0 +1,342 @@
+const fetch = require('node-fetch');
+const mongoose = require('mongoose');
+const GitHubHttpCache = require('../models/GitHubHttpCache');
+const { getConfig } = require('./config');
+const { FIXTURE_MODE, recordFixture, replayFixture } = require('./github-fixtures');
+
+// Shared GitHub API client.
+// Every GitHub call (REST pages, statistics, GraphQL) goes through request(), which:
+//  - keeps the last X-RateLimit-* values per resource (core, graphql, search) and,
+//    once `remaining` is down to the caller's reserve, waits for the reset instead
+//    of spending the rest of the budget;
+//  - retries 403/429 rate-limit answers after Retry-After (secondary limits) or the
+//    reset time (primary limit), 5xx/network errors and 202 "still computing"
+//    statistics answers, with exponential backoff;
+//  - revalidates GETs with If-None-Match against the github_http_cache collection,
+//    so unchanged pages come back as 304s, which don't count against the rate limit;
+//  - counts requests, cache hits, retries and waits for the step metrics.
+// The cache is only used while mongoose is connected. With GITHUB_FIXTURE_MODE set,
+// answers are recorded to or replayed from fixture files (lib/github-fixtures.js).
+
+const config = getConfig();
+const API_URL = 'https://api.github.com';
+const GITHUB_TOKEN = config.githubToken;
+const USER_AGENT = 'EIPs-PRScheduler/1.0';
+const DEFAULT_ACCEPT = 'application/vnd.github+json';
+
+// Requests left untouched in each rate-limit window unless a caller asks otherwise
+const DEFAULT_RESERVE = config.githubRateLimitReserve;
+// Longest wait for a rate-limit reset before giving up with an error
+const MAX_RATE_LIMIT_WAIT_MS = config.githubRateLimitMaxWaitSeconds * 1000;
+const CACHE_ENABLED = config.githubHttpCache;
+
+const MAX_RETRIES = 5;
+const RETRY_BASE_MS = 2000;
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+
+const rateLimits = {};   // resource -> { limit, remaining, reset }
+const metrics = {
+  requests: 0,           // HTTP requests sent
+  notModified: 0,        // 304s answered from github_http_cache
+  accepted: 0,           // 202s (statistics not computed yet)
+  retries: 0,
+  rateLimitWaits: 0,
+  waitedMs: 0,
+  errors: 0,
+  replayed: 0            // answered from fixture files
+};
+
+// Resolves after `ms`; rejects with the abort reason once `signal` is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function resolveUrl(pathOrUrl) {
+  return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${API_URL}${pathOrUrl}`;
+}
+
+function shortUrl(url) {
+  return url.startsWith(API_URL) ? url.slice(API_URL.length) : url;
+}
+
+function resourceFor(url) {
+  if (url === `${API_URL}/graphql`) return 'graphql';
+  if (url.startsWith(`${API_URL}/search/`)) return 'search';
+  return 'core';
+}
+
+function updateRateLimit(headers) {
+  const remaining = headers.get('x-ratelimit-remaining');
+  if (remaining === null) return;
+  rateLimits[headers.get('x-ratelimit-resource') || 'core'] = {
+    limit: Number(headers.get('x-ratelimit-limit')),
+    remaining: Number(remaining),
+    reset: new Date(Number(headers.get('x-ratelimit-reset')) * 1000)
+  };
+}
+
+async function waitForRateLimit(ms, reason, signal) {
+  if (ms > MAX_RATE_LIMIT_WAIT_MS) {
+    throw new Error(`${reason}; the limit resets in ${Math.ceil(ms / 60000)} min, longer than the ${Math.round(MAX_RATE_LIMIT_WAIT_MS / 60000)} min wait limit`);
+  }
+  console.log(`[GITHUB] ${reason} - waiting ${Math.ceil(ms / 1000)}s`);
+  metrics.rateLimitWaits++;
+  metrics.waitedMs += ms;
+  await sleep(ms, signal);
+}
+
+// Waits for the window reset while the last known budget of `resource` is at or below `reserve`
+async function reserveBudget(resource, reserve, signal) {
+  const state = rateLimits[resource];
+  if (!state || state.remaining > reserve) return;
+  const ms = state.reset.getTime() - Date.now() + 1000;
+  if (ms > 0) {
+    await waitForRateLimit(ms, `GitHub ${resource} budget reached (${state.remaining}/${state.limit} left, reserve ${reserve})`, signal);
+  }
+  delete rateLimits[resource];
+}
+
+// Wait before retrying a rate-limited 403/429, or null when the answer is a plain error
+function rateLimitDelay(res, text, attempt) {
+  if (res.status !== 403 && res.status !== 429) return null;
+  const retryAfter = res.headers.get('retry-after');
+  if (retryAfter) return Number(retryAfter) * 1000;
+  if (res.headers.get('x-ratelimit-remaining') === '0') {
+    return Math.max(Number(res.headers.get('x-ratelimit-reset')) * 1000 - Date.now() + 1000, 1000);
+  }
+  // Secondary limits without Retry-After: at least a minute, growing per attempt
+  if (/secondary rate limit|abuse/i.test(text)) return SECONDARY_LIMIT_WAIT_MS * 2 ** (attempt - 1);
+  return null;
+}
+
+async function backoff(attempt, reason, signal) {
+  const ms = RETRY_BASE_MS * 2 ** (attempt - 1);
+  console.log(`[GITHUB] ${reason} - retrying in ${Math.round(ms / 1000)}s (attempt ${attempt}/${MAX_RETRIES})`);
+  metrics.retries++;
+  await sleep(ms, signal);
+}
+
+function errorMessage(text) {
+  try {
+    return JSON.parse(text).message || text;
+  } catch (error) {
+    return text;
+  }
+}
+
+async function sendRequest(pathOrUrl, options = {}) {
+  const { method = 'GET', body, accept = DEFAULT_ACCEPT, signal, reserve = DEFAULT_RESERVE } = options;
+  const url = resolveUrl(pathOrUrl);
+  const resource = resourceFor(url);
+  const useCache = CACHE_ENABLED && method === 'GET' && options.cache !== false && mongoose.connection.readyState === 1;
+  const cacheKey = `${url} ${accept}`;
+  const cached = useCache ? await GitHubHttpCache.findById(cacheKey).lean() : null;
+
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
+    await reserveBudget(resource, reserve, signal);
+
+    const headers = { Accept: accept, 'User-Agent': USER_AGENT, ...options.headers };
+    if (GITHUB_TOKEN) headers.Authorization = `Bearer ${GITHUB_TOKEN}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    else if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    let res;
+    metrics.requests++;
+    try {
+      res = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), signal });
+    } catch (error) {
+      if (signal?.aborted || attempt >= MAX_RETRIES) {
+        metrics.errors++;
+        throw error;
+      }
+      await backoff(attempt, `${method} ${shortUrl(url)} failed: ${error.message}`, signal);
+      continue;
+    }
+    updateRateLimit(res.headers);
+
+    if (res.status === 304 && cached) {
+      metrics.notModified++;
+      await GitHubHttpCache.updateOne({ _id: cacheKey }, { $set: { usedAt: new Date() }, $inc: { hits: 1 } });
+      return { status: 200, data: JSON.parse(cached.body), link: cached.link, fromCache: true };
+    }
+
+    // Statistics endpoints answer 202 while GitHub computes them in the background
+    if (res.status === 202 && method === 'GET') {
+      metrics.accepted++;
+      if (attempt >= MAX_RETRIES) {
+        metrics.errors++;
+        throw new Error(`GitHub is still computing ${shortUrl(url)} after ${attempt} attempts`);
+      }
+      await backoff(attempt, `GitHub is computing ${shortUrl(url)} (202)`, signal);
+      continue;
+    }
+
+    const text = await res.text();
+    if (res.ok) {
+      const link = res.headers.get('link');
+      const etag = res.headers.get('etag');
+      const lastModified = res.headers.get('last-modified');
+      if (useCache && (etag || lastModified)) {
+        const now = new Date();
+        await GitHubHttpCache.updateOne(
+          { _id: cacheKey },
+          { $set: { url, etag, lastModified, link, body: text, fetchedAt: now, usedAt: now }, $setOnInsert: { hits: 0 } },
+          { upsert: true }
+        );
+      }
+      return { status: res.status, data: text ? JSON.parse(text) : null, link, fromCache: false };
+    }
+
+    if (attempt < MAX_RETRIES) {
+      const delay = rateLimitDelay(res, text, attempt);
+      if (delay !== null) {
+        await waitForRateLimit(delay, `GitHub rate limited ${method} ${shortUrl(url)} (${res.status})`, signal);
+        continue;
+      }
+      if (res.status >= 500) {
+        await backoff(attempt, `GitHub answered ${res.status} for ${shortUrl(url)}`, signal);
+        continue;
+      }
+    }
+    metrics.errors++;
+    const error = new Error(`GitHub API error: ${res.status} ${errorMessage(text)}`);
+    error.status = res.status;
+    throw error;
+  }
+}
+
+// Sends one GitHub API request and resolves { status, data, link, fromCache }.
+// Options: method, body (JSON), accept, headers, signal, reserve (requests to leave
+// in the rate-limit window) and cache (false skips github_http_cache for a GET).
+// Non-2xx answers that can't be retried reject with an Error carrying `status`.
+async function request(pathOrUrl, options = {}) {
+  if (!FIXTURE_MODE) return sendRequest(pathOrUrl, options);
+
+  const { method = 'GET', body, accept = DEFAULT_ACCEPT, signal } = options;
+  const fixtureRequest = { method, url: shortUrl(resolveUrl(pathOrUrl)), accept, body };
+  if (FIXTURE_MODE === 'replay') {
+    signal?.throwIfAborted();
+    metrics.replayed++;
+    return replayFixture(fixtureRequest);
+  }
+
+  try {
+    const response = await sendRequest(pathOrUrl, options);
+    recordFixture(fixtureRequest, { status: response.status, data: response.data, link: response.link });
+    return response;
+  } catch (error) {
+    // GitHub errors (404 for a deleted user, ...) are part of what the fetchers see
+    if (error.status) recordFixture(fixtureRequest, { status: error.status, error: error.message });
+    throw error;
+  }
+}
+
+// Whether requests can be made: a token, or replayed fixtures that need none
+function hasCredentials() {
+  return Boolean(GITHUB_TOKEN) || FIXTURE_MODE === 'replay';
+}
+
+async function getJSON(pathOrUrl, options = {}) {
+  const { data } = await request(pathOrUrl, options);
+  return data;
+}
+
+function nextPageUrl(link) {
+  const match = link && link.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
+// Yields { page, items } for each page, following the Link rel="next" URLs.
+// Stop early by breaking out of the for-await loop.
+async function* paginate(pathOrUrl, options = {}) {
+  let url = pathOrUrl;
+  for (let page = 1; url; page++) {
+    const { data, link } = await request(url, options);
+    yield { page, items: data };
+    url = nextPageUrl(link);
+  }
+}
+
+// Runs a GraphQL query and resolves its `data`. GitHub reports an exhausted GraphQL
+// budget as a RATE_LIMITED error in a 200 answer, so those are retried here once
+// the budget has reset.
+async function graphql(query, variables, { accept, signal, reserve } = {}) {
+  if (!hasCredentials()) throw new Error("Missing GITHUB_TOKEN in .env file.");
+
+  for (let attempt = 1; ; attempt++) {
+    const { data: body } = await request('/graphql', { method: 'POST', body: { query, variables }, accept, signal, reserve });
+    const errors = body.errors || [];
+    if (errors.length === 0) return body.data;
+
+    if (errors.some(e => e.type === 'RATE_LIMITED') && attempt < MAX_RETRIES) {
+      const state = rateLimits.graphql;
+      const ms = state ? Math.max(state.reset.getTime() - Date.now() + 1000, 1000) : SECONDARY_LIMIT_WAIT_MS;
+      await waitForRateLimit(ms, 'GitHub graphql budget exhausted', signal);
+      continue;
+    }
+    metrics.errors++;
+    throw new Error(`GitHub GraphQL error: ${errors.map(e => e.message).join('; ')}`);
+  }
+}
+
+function getRateLimits() {
+  const result = {};
+  Object.entries(rateLimits).forEach(([resource, { limit, remaining, reset }]) => {
+    result[resource] = { limit, remaining, reset: reset.toISOString() };
+  });
+  return result;
+}
+
+function snapshotMetrics() {
+  return { ...metrics };
+}
+
+// Counters accumulated since `before` (a snapshotMetrics() result), plus the latest
+// known rate limits
+function metricsSince(before = {}) {
+  const result = {};
+  Object.keys(metrics).forEach(key => {
+    result[key] = metrics[key] - (before[key] || 0);
+  });
+  result.rateLimits = getRateLimits();
+  return result;
+}
+
+// One-line summary, e.g. "42 requests, 30 not modified, 1 rate-limit wait (60s), core 4812/5000 left"
+function formatMetrics(m) {
+  const parts = [`${m.requests} requests`, `${m.notModified} not modified`];
+  if (m.accepted > 0) parts.push(`${m.accepted} still computing`);
+  if (m.retries > 0) parts.push(`${m.retries} retries`);
+  if (m.rateLimitWaits > 0) parts.push(`${m.rateLimitWaits} rate-limit waits (${Math.round(m.waitedMs / 1000)}s)`);
+  if (m.errors > 0) parts.push(`${m.errors} errors`);
+  if (m.replayed > 0) parts.push(`${m.replayed} replayed from fixtures`);
+  Object.entries(m.rateLimits || {}).forEach(([resource, { limit, remaining }]) => {
+    parts.push(`${resource} ${remaining}/${limit} left`);
+  });
+  return parts.join(', ');
+}
+
+module.exports = {
+  request,
+  getJSON,
+  paginate,
+  graphql,
+  hasCredentials,
+  getRateLimits,
+  snapshotMetrics,
+  metricsSince,
+  formatMetrics
+};
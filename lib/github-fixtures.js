@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+// GitHub record/replay fixtures.
+// GITHUB_FIXTURE_MODE=record saves the final answer of every GitHub request the
+// client makes (after retries and cache revalidation) as one JSON file in
+// GITHUB_FIXTURE_DIR. GITHUB_FIXTURE_MODE=replay answers the same requests from
+// those files without a token or network access, so the fetchers, label rules and
+// chart math can run offline against a local MongoDB. A replayed request that was
+// never recorded fails with the request in the message.
+
+const FIXTURE_MODE = getConfig().githubFixtureMode;
+const FIXTURE_DIR = getConfig().githubFixtureDir;
+
+// Fixture file for a request, e.g. GET-repos-ethereum-EIPs-pulls-state-all-...-1a2b3c4d5e.json.
+// The request path is only there to keep the directory readable; the hash of the
+// whole request (method, path, Accept, body) tells requests apart.
+function fixturePath({ method, url, accept, body }) {
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify({ method, url, accept, body: body === undefined ? null : body }))
+    .digest('hex')
+    .slice(0, 10);
+  const slug = `${method}-${url}`.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 100);
+  return path.join(FIXTURE_DIR, `${slug}-${hash}.json`);
+}
+
+// `response` is { status, data, link } for an answer or { status, error } for a GitHub error
+function recordFixture(request, response) {
+  fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+  const fixture = { request, response, recordedAt: new Date().toISOString() };
+  fs.writeFileSync(fixturePath(request), `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+// Resolves the recorded { status, data, link }, or throws the recorded GitHub error
+function replayFixture(request) {
+  const file = fixturePath(request);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No GitHub fixture for ${request.method} ${request.url} in ${FIXTURE_DIR} (record it with GITHUB_FIXTURE_MODE=record)`);
+  }
+  const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (response.error) {
+    const error = new Error(response.error);
+    error.status = response.status;
+    throw error;
+  }
+  return { status: response.status, data: response.data, link: response.link || null, fromCache: false };
+}
+
+module.exports = {
+  FIXTURE_MODE,
+  FIXTURE_DIR,
+  recordFixture,
+  replayFixture
+};
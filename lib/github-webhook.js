@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { findRepository } = require('./repositories');
+const { getPullRequestModel } = require('../models/PullRequest');
+const { getRawLabelsModel } = require('../models/RawLabelsPr');
+const { computeCustomLabels, computeRefinedLabels } = require('./label-rules');
+const { mapPullRequest, buildRawLabelsDocs, upsertByPrId } = require('./pull-requests');
+const { affectedMonths, markDirtyMonths } = require('./chart-dirty-months');
+const { bumpDataVersion } = require('./data-version');
+const { getPipelineSteps } = require('./pipeline-config');
+const { enqueueJob } = require('./pipeline-jobs');
+
+// GitHub webhook processing.
+// pull_request and pull_request_review deliveries upsert the PR into the PR and
+// raw-labels collections with freshly computed custom/refined labels. label
+// deliveries (a repository label renamed or deleted) rewrite that label on every
+// stored PR. Either way the chart months the PRs count towards are marked dirty
+// and a charts job is queued for the scheduler to rebuild them, and the data
+// version is bumped so the API's cached responses are dropped. The scheduled fetch still runs and catches
+// anything a missed delivery left behind.
+
+const SUPPORTED_EVENTS = ['pull_request', 'pull_request_review', 'label'];
+
+// Checks the X-Hub-Signature-256 header ("sha256=<hex hmac of the raw body>")
+function verifySignature(rawBody, signature, secret) {
+  if (typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function upsertPullRequest(repository, pullRequest, eventName) {
+  const { specType } = repository;
+  const PRModel = getPullRequestModel(repository);
+  const mapped = mapPullRequest(pullRequest, specType);
+  const pr = { ...mapped, customLabels: computeCustomLabels(mapped, specType) };
+
+  const previous = await PRModel.findOne({ prId: pr.prId }, 'createdAt closedAt mergedAt updatedAt').lean();
+  // Deliveries can arrive out of order; never replace a newer stored state
+  if (previous?.updatedAt && pr.updatedAt && previous.updatedAt > pr.updatedAt) {
+    return { status: 'stale', specType, number: pr.number };
+  }
+
+  await upsertByPrId(PRModel, [pr]);
+  await upsertByPrId(getRawLabelsModel(repository), buildRawLabelsDocs([pr]));
+  const dirtyMonths = await markDirtyMonths(specType, affectedMonths(previous, pr), `${eventName} #${pr.number}`);
+  return { status: 'upserted', specType, number: pr.number, customLabels: pr.customLabels, dirtyMonths };
+}
+
+// A label was renamed (action "edited" with changes.name) or deleted in the repository
+async function applyLabelChange(repository, { action, label, changes }, eventName) {
+  const { specType } = repository;
+  const oldName = action === 'deleted' ? label?.name : changes?.name?.from;
+  if (!['edited', 'deleted'].includes(action) || !oldName) {
+    return { status: 'ignored', specType, reason: `label ${action} does not change any PR labels` };
+  }
+  const newName = action === 'edited' ? label.name : null;
+  const relabel = labels => newName
+    ? labels.map(name => (name === oldName ? newName : name))
+    : labels.filter(name => name !== oldName);
+
+  const PRModel = getPullRequestModel(repository);
+  const RawModel = getRawLabelsModel(repository);
+  const prs = await PRModel.find({ githubLabels: oldName }, 'prId number title githubLabels createdAt closedAt mergedAt').lean();
+  const rawPrs = await RawModel.find({ rawGithubLabels: oldName }, 'prId rawGithubLabels').lean();
+
+  if (prs.length > 0) {
+    await PRModel.bulkWrite(prs.map(pr => {
+      const githubLabels = relabel(pr.githubLabels);
+      return {
+        updateOne: {
+          filter: { prId: pr.prId },
+          update: { $set: { githubLabels, customLabels: computeCustomLabels({ ...pr, githubLabels }, specType) } }
+        }
+      };
+    }), { ordered: false });
+  }
+  if (rawPrs.length > 0) {
+    await RawModel.bulkWrite(rawPrs.map(pr => {
+      const rawGithubLabels = relabel(pr.rawGithubLabels);
+      return {
+        updateOne: {
+          filter: { prId: pr.prId },
+          update: { $set: { rawGithubLabels, refinedLabels: computeRefinedLabels(rawGithubLabels) } }
+        }
+      };
+    }), { ordered: false });
+  }
+
+  const dirtyMonths = await markDirtyMonths(specType, affectedMonths(...prs), `${eventName} "${oldName}"`);
+  return {
+    status: newName ? 'relabeled' : 'label-removed',
+    specType,
+    label: newName ? { from: oldName, to: newName } : { removed: oldName },
+    prs: prs.length,
+    rawLabelsPrs: rawPrs.length,
+    dirtyMonths
+  };
+}
+
+const CHARTS_SCRIPT = 'populate-chart-collections.js';
+
+// Queues a run of the charts step; a job that is still queued is reused, so a burst
+// of deliveries rebuilds the charts once. Resolves the job id, or null when the
+// pipeline has no charts step.
+async function queueChartRebuild() {
+  const step = getPipelineSteps().find(s => s.script === CHARTS_SCRIPT);
+  if (!step) return null;
+  const { job } = await enqueueJob({ kind: 'step', step: step.key, requestedBy: 'webhook' });
+  return String(job._id);
+}
+
+// Applies one delivery; resolves { status, ... } where status is "ignored" for
+// events, repositories or actions that don't affect the stored data
+async function handleWebhookEvent(event, payload) {
+  if (!SUPPORTED_EVENTS.includes(event)) {
+    return { status: 'ignored', reason: `unsupported event "${event}"` };
+  }
+  const fullName = payload?.repository?.full_name;
+  const repository = fullName ? findRepository(fullName) : null;
+  if (!repository) {
+    return { status: 'ignored', reason: `untracked repository ${fullName || '(none)'}` };
+  }
+
+  const eventName = `${event}.${payload.action}`;
+  if (event !== 'label' && !payload.pull_request) {
+    return { status: 'ignored', reason: 'payload has no pull_request' };
+  }
+  const result = event === 'label'
+    ? await applyLabelChange(repository, payload, eventName)
+    : await upsertPullRequest(repository, payload.pull_request, eventName);
+  if (result.status !== 'ignored' && result.status !== 'stale') {
+    await bumpDataVersion(`webhook:${eventName}`);
+  }
+  if (result.dirtyMonths > 0) {
+    result.chartsJobId = await queueChartRebuild();
+  }
+  return result;
+}
+
+module.exports = {
+  SUPPORTED_EVENTS,
+  verifySignature,
+  handleWebhookEvent
+};
@@ -0,0 +1,34 @@
+// Job results.
+// Every job's run() resolves a result object such as
+//
+//   {"counts":{"eipprs":12,"eip_raw_labels":12},...}
+//
+// which the scheduler stores with the step in pipeline_runs. `counts` is the number
+// of rows written per collection. When a script is run directly it prints the same
+// payload as a final machine-readable `[RESULT] {...}` line.
+
+const RESULT_PREFIX = '[RESULT] ';
+
+function reportResult(result) {
+  console.log(`${RESULT_PREFIX}${JSON.stringify(result)}`);
+}
+
+// Adds `counts` into `total` (both { collection: rows })
+function mergeCounts(total, counts = {}) {
+  Object.entries(counts).forEach(([collection, rows]) => {
+    total[collection] = (total[collection] || 0) + rows;
+  });
+  return total;
+}
+
+// Whether `counts` reports any rows written
+function hasRows(counts = {}) {
+  return Object.values(counts).some(rows => rows > 0);
+}
+
+module.exports = {
+  RESULT_PREFIX,
+  reportResult,
+  mergeCounts,
+  hasRows
+};
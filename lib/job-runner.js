@@ -0,0 +1,48 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const githubClient = require('./github-client');
+
+// In-process job runner.
+// Every pipeline step script exports `run({ signal, ...options })` next to its CLI
+// `main()`. The job works on the caller's open mongoose connection and resolves a
+// result such as { counts: { eipprs: 12 } }. The scheduler calls it here instead of
+// spawning `node script.js`, so all steps share one connection and can be cancelled
+// through the AbortSignal. Jobs check the signal between pages/repositories/months,
+// so cancellation takes effect at the next checkpoint. Steps that call GitHub get the
+// client's request metrics for the step added to their result as `github`.
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+function loadJob(script) {
+  const job = require(path.join(ROOT_DIR, script));
+  if (typeof job.run !== 'function') {
+    throw new Error(`${script} does not export a run() job function`);
+  }
+  return job.run;
+}
+
+// Resolves { result, durationMs }; rejects with the job's error or the abort reason
+async function runJob(step, { signal } = {}) {
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('MongoDB is not connected - pipeline jobs need the scheduler connection');
+  }
+  signal?.throwIfAborted();
+
+  const run = loadJob(step.script);
+  const startedAt = Date.now();
+  const before = githubClient.snapshotMetrics();
+  let result = await run({ ...step.options, signal });
+  const github = githubClient.metricsSince(before);
+  if (github.requests + github.replayed > 0) result = { ...result, github };
+  return { result: result || null, durationMs: Date.now() - startedAt };
+}
+
+function isAbortError(error, signal) {
+  return Boolean(signal?.aborted) || error?.name === 'AbortError';
+}
+
+module.exports = {
+  loadJob,
+  runJob,
+  isAbortError
+};
@@ -0,0 +1,99 @@
+const dayjs = require('dayjs');
+const { median, roundTo, hoursBetween } = require('./stats');
+
+// Replays a PR's labeled/unlabeled events in order and turns them into
+// "time in state" intervals, one per refined label the PR carried.
+//
+// The PR starts with no labels at createdAt (so it starts out "Unlabeled" in the
+// refined scheme) and every interval still open when the PR is merged/closed is
+// cut off there. Intervals of PRs that are still open keep exitedAt = null.
+function buildStateIntervals(pr, events, computeRefinedLabels) {
+  const endAt = pr.mergedAt || pr.closedAt || null;
+  const ordered = events
+    .filter(e => e.createdAt && (!endAt || e.createdAt <= endAt))
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  const intervals = [];
+  const openStates = new Map(); // state -> enteredAt
+  const currentLabels = new Set();
+
+  const applyRefined = (at) => {
+    const refined = new Set(computeRefinedLabels([...currentLabels]));
+    for (const [state, enteredAt] of openStates) {
+      if (!refined.has(state)) {
+        intervals.push({ state, enteredAt, exitedAt: at });
+        openStates.delete(state);
+      }
+    }
+    refined.forEach(state => {
+      if (!openStates.has(state)) openStates.set(state, at);
+    });
+  };
+
+  applyRefined(pr.createdAt);
+  for (const event of ordered) {
+    if (!event.label) continue;
+    if (event.action === 'labeled') currentLabels.add(event.label);
+    else currentLabels.delete(event.label);
+    applyRefined(event.createdAt < pr.createdAt ? pr.createdAt : event.createdAt);
+  }
+  for (const [state, enteredAt] of openStates) {
+    intervals.push({ state, enteredAt, exitedAt: endAt });
+  }
+
+  return intervals
+    // Labels swapped within the same event burst produce zero-length intervals
+    .filter(i => !i.exitedAt || i.exitedAt > i.enteredAt)
+    .map(i => ({
+      prId: pr.prId,
+      number: pr.number,
+      specType: pr.specType,
+      state: i.state,
+      enteredAt: i.enteredAt,
+      exitedAt: i.exitedAt,
+      durationHours: i.exitedAt ? roundTo(hoursBetween(i.enteredAt, i.exitedAt)) : null,
+      monthYear: dayjs(i.enteredAt).format('YYYY-MM')
+    }))
+    .sort((a, b) => a.enteredAt - b.enteredAt);
+}
+
+// Duration of an interval; ongoing ones are measured up to `now`
+function intervalHours(interval, now = new Date()) {
+  return interval.exitedAt
+    ? hoursBetween(interval.enteredAt, interval.exitedAt)
+    : hoursBetween(interval.enteredAt, now);
+}
+
+// Groups intervals by `keyFn` and reports count / median hours per group
+function summarizeIntervals(intervals, keyFn, { now = new Date() } = {}) {
+  const groups = new Map();
+  intervals.forEach(interval => {
+    const key = keyFn(interval);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(intervalHours(interval, now));
+  });
+  return [...groups.entries()].map(([key, hours]) => ({
+    key,
+    count: hours.length,
+    medianHours: roundTo(median(hours))
+  }));
+}
+
+// Total time a single PR spent in each state
+function totalsByState(intervals, now = new Date()) {
+  const totals = {};
+  intervals.forEach(interval => {
+    totals[interval.state] = (totals[interval.state] || 0) + intervalHours(interval, now);
+  });
+  Object.keys(totals).forEach(state => {
+    totals[state] = roundTo(totals[state]);
+  });
+  return totals;
+}
+
+module.exports = {
+  buildStateIntervals,
+  intervalHours,
+  summarizeIntervals,
+  totalsByState
+};
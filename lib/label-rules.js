@@ -0,0 +1,186 @@
+const fs = require('fs');
+const { getSpecTypes } = require('./repositories');
+const { getConfig } = require('./config');
+
+// Declarative label classification.
+// config/label-rules.json (or the `labelRulesPath` setting, LABEL_RULES_PATH) holds two ordered
+// rule lists: "refined" maps raw GitHub labels to refined labels, "custom" maps a PR
+// (title, labels, spec type) to the custom labels used by Graph 2 and the snapshots.
+//
+// Every rule names an `output` label and any combination of matchers, all of which
+// must hold for the rule to fire:
+//   labels        - regexes; at least one GitHub label must match one of them
+//   excludeLabels - regexes; labels matching these don't count towards `labels`
+//   title         - regexes; the PR title must match every one of them
+//   specTypes     - spec types the rule applies to (default: all)
+//   unless        - skip the rule if one of these outputs was already assigned
+//   stop          - stop evaluating the list once this rule has fired
+//   ignoreCase    - match this rule's regexes case-insensitively
+// Rules run top to bottom, so earlier rules take precedence over `unless` checks
+// further down. Regexes are case-sensitive unless the rule sets `ignoreCase`; a
+// single regex can be given as { "pattern": "...", "ignoreCase": true } instead.
+
+const RULE_KEYS = ['output', 'labels', 'excludeLabels', 'title', 'specTypes', 'unless', 'stop', 'ignoreCase', 'description'];
+const PATTERN_KEYS = ['pattern', 'ignoreCase'];
+
+let cached = null;
+
+// A pattern is a regex string or { pattern, ignoreCase }; returns { source, ignoreCase }
+function parsePattern(entry, where, ignoreCase) {
+  if (typeof entry === 'string') return { source: entry, ignoreCase };
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+  const unknown = Object.keys(entry).filter(key => !PATTERN_KEYS.includes(key));
+  if (unknown.length > 0) throw new Error(`${where}: unknown pattern field(s) ${unknown.join(', ')}`);
+  if (entry.ignoreCase !== undefined && typeof entry.ignoreCase !== 'boolean') {
+    throw new Error(`${where}: pattern ignoreCase must be true or false`);
+  }
+  return { source: entry.pattern, ignoreCase: entry.ignoreCase ?? ignoreCase };
+}
+
+function compilePatterns(patterns, where, ignoreCase) {
+  const parsed = Array.isArray(patterns) ? patterns.map(entry => parsePattern(entry, where, ignoreCase)) : [];
+  if (parsed.length === 0 || parsed.some(p => !p || typeof p.source !== 'string' || p.source === '')) {
+    throw new Error(`${where} must be a non-empty array of regex strings`);
+  }
+  return parsed.map(({ source, ignoreCase: insensitive }) => {
+    try {
+      return new RegExp(source, insensitive ? 'i' : '');
+    } catch (error) {
+      throw new Error(`${where}: invalid regex "${source}" (${error.message})`);
+    }
+  });
+}
+
+function compileRule(rule, where, knownSpecTypes) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${where} must be an object`);
+
+  const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+  if (unknown.length > 0) throw new Error(`${where}: unknown field(s) ${unknown.join(', ')}`);
+  if (typeof rule.output !== 'string' || rule.output.trim() === '') throw new Error(`${where}.output is required`);
+  if (rule.labels === undefined && rule.title === undefined) {
+    throw new Error(`${where} needs at least one of "labels" or "title"`);
+  }
+  if (rule.excludeLabels !== undefined && rule.labels === undefined) {
+    throw new Error(`${where}.excludeLabels only applies together with "labels"`);
+  }
+  if (rule.specTypes !== undefined) {
+    if (!Array.isArray(rule.specTypes) || rule.specTypes.length === 0) {
+      throw new Error(`${where}.specTypes must be a non-empty array`);
+    }
+    const unknownSpecs = rule.specTypes.filter(s => !knownSpecTypes.includes(s));
+    if (unknownSpecs.length > 0) {
+      throw new Error(`${where}.specTypes: unknown spec type(s) ${unknownSpecs.join(', ')} (registry has ${knownSpecTypes.join(', ')})`);
+    }
+  }
+  if (rule.unless !== undefined && (!Array.isArray(rule.unless) || rule.unless.some(u => typeof u !== 'string'))) {
+    throw new Error(`${where}.unless must be an array of output labels`);
+  }
+  if (rule.stop !== undefined && typeof rule.stop !== 'boolean') throw new Error(`${where}.stop must be true or false`);
+  if (rule.ignoreCase !== undefined && typeof rule.ignoreCase !== 'boolean') {
+    throw new Error(`${where}.ignoreCase must be true or false`);
+  }
+
+  const ignoreCase = rule.ignoreCase === true;
+  return {
+    output: rule.output,
+    labels: rule.labels !== undefined ? compilePatterns(rule.labels, `${where}.labels`, ignoreCase) : null,
+    excludeLabels: rule.excludeLabels !== undefined ? compilePatterns(rule.excludeLabels, `${where}.excludeLabels`, ignoreCase) : [],
+    title: rule.title !== undefined ? compilePatterns(rule.title, `${where}.title`, ignoreCase) : null,
+    specTypes: rule.specTypes || null,
+    unless: rule.unless || [],
+    stop: rule.stop === true
+  };
+}
+
+function compileRuleList(section, where, knownSpecTypes) {
+  if (!section || typeof section !== 'object') throw new Error(`"${where}" section is required`);
+  if (typeof section.fallback !== 'string' || section.fallback === '') throw new Error(`${where}.fallback is required`);
+  if (!Array.isArray(section.rules)) throw new Error(`${where}.rules must be an array`);
+  return {
+    fallback: section.fallback,
+    includeRefined: section.includeRefined === true,
+    rules: section.rules.map((rule, i) => compileRule(rule, `${where}.rules[${i}]`, knownSpecTypes))
+  };
+}
+
+function ruleMatches(rule, { labels, title, specType }, assigned) {
+  if (rule.specTypes && !rule.specTypes.includes(specType)) return false;
+  if (rule.unless.some(output => assigned.includes(output))) return false;
+  if (rule.title && !rule.title.every(re => re.test(title))) return false;
+  if (rule.labels) {
+    const hit = labels.some(label =>
+      rule.labels.some(re => re.test(label)) && !rule.excludeLabels.some(re => re.test(label))
+    );
+    if (!hit) return false;
+  }
+  return true;
+}
+
+// Runs an ordered rule list, appending each fired rule's output to `assigned`
+function applyRules(rules, subject, assigned) {
+  for (const rule of rules) {
+    if (!ruleMatches(rule, subject, assigned)) continue;
+    if (!assigned.includes(rule.output)) assigned.push(rule.output);
+    if (rule.stop) break;
+  }
+  return assigned;
+}
+
+// Validates a parsed rules document and returns the classifier functions for it
+function createLabelClassifier(definition, source = null) {
+  if (!definition || typeof definition !== 'object') throw new Error('Label rules must be an object');
+  const knownSpecTypes = getSpecTypes();
+  const refined = compileRuleList(definition.refined, 'refined', knownSpecTypes);
+  const custom = compileRuleList(definition.custom, 'custom', knownSpecTypes);
+
+  function computeRefinedLabels(rawLabels = []) {
+    const out = applyRules(refined.rules, { labels: rawLabels, title: '', specType: null }, []);
+    return out.length > 0 ? out : [refined.fallback];
+  }
+
+  function computeCustomLabels(pr, kind = "EIP") {
+    const labels = pr.githubLabels || [];
+    const out = [];
+    if (custom.includeRefined) {
+      const refinedFromLabels = computeRefinedLabels(labels);
+      if (!refinedFromLabels.includes(refined.fallback)) out.push(...refinedFromLabels);
+    }
+    applyRules(custom.rules, { labels, title: pr.title ?? '', specType: kind }, out);
+    return out.length > 0 ? out : [custom.fallback];
+  }
+
+  return {
+    source,
+    definition,
+    computeRefinedLabels,
+    computeCustomLabels
+  };
+}
+
+function loadLabelRules(rulesPath = getConfig().labelRulesPath) {
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read label rules ${rulesPath}: ${error.message}`);
+  }
+  try {
+    return createLabelClassifier(definition, rulesPath);
+  } catch (error) {
+    throw new Error(`Invalid label rules ${rulesPath}: ${error.message}`);
+  }
+}
+
+function getLabelRules() {
+  if (!cached) cached = loadLabelRules();
+  return cached;
+}
+
+module.exports = {
+  compileRule,
+  loadLabelRules,
+  createLabelClassifier,
+  getLabelRules,
+  computeRefinedLabels: (rawLabels) => getLabelRules().computeRefinedLabels(rawLabels),
+  computeCustomLabels: (pr, kind) => getLabelRules().computeCustomLabels(pr, kind)
+};
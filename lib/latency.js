@@ -0,0 +1,71 @@
+const dayjs = require('dayjs');
+const { percentile, roundTo, hoursBetween } = require('./stats');
+
+// Time-to-merge / time-to-close percentiles by month.
+// A PR counts towards the month it was merged (TimeToMerge) or closed without
+// merging (TimeToClose), matching how Graph 1 counts Merged/Closed. Every PR is
+// counted once under the "All" label and once under each of its custom labels.
+
+const ALL_LABELS = 'All';
+const LATENCY_TYPES = ['TimeToMerge', 'TimeToClose'];
+
+function latencySample(pr) {
+  if (!pr.createdAt) return null;
+  if (pr.mergedAt) {
+    return { type: 'TimeToMerge', at: pr.mergedAt, hours: hoursBetween(pr.createdAt, pr.mergedAt) };
+  }
+  if (pr.closedAt) {
+    return { type: 'TimeToClose', at: pr.closedAt, hours: hoursBetween(pr.createdAt, pr.closedAt) };
+  }
+  return null;
+}
+
+function getLatencyByMonthYear(prs, specType) {
+  const category = specType.toLowerCase() === 'all' ? 'all' : specType.toLowerCase() + 's';
+  const groups = new Map();
+
+  prs.forEach(pr => {
+    const sample = latencySample(pr);
+    if (!sample) return;
+    const monthYear = dayjs(sample.at).format('YYYY-MM');
+    [ALL_LABELS, ...(pr.customLabels || [])].forEach(label => {
+      const key = `${monthYear}|${sample.type}|${label}`;
+      if (!groups.has(key)) groups.set(key, { monthYear, type: sample.type, label, hours: [] });
+      groups.get(key).hours.push(sample.hours);
+    });
+  });
+
+  const formattedData = [...groups.values()].map(({ monthYear, type, label, hours }) => {
+    const sorted = hours.sort((a, b) => a - b);
+    return {
+      _id: `${monthYear}-${type}-${label}-${Date.now()}-${Math.random()}`,
+      category,
+      monthYear,
+      type,
+      label,
+      count: sorted.length,
+      p50: roundTo(percentile(sorted, 50)),
+      p75: roundTo(percentile(sorted, 75)),
+      p90: roundTo(percentile(sorted, 90))
+    };
+  });
+
+  return formattedData.sort((a, b) => {
+    if (a.monthYear !== b.monthYear) {
+      return b.monthYear.localeCompare(a.monthYear);
+    }
+    if (a.type !== b.type) {
+      return LATENCY_TYPES.indexOf(a.type) - LATENCY_TYPES.indexOf(b.type);
+    }
+    if (a.label === ALL_LABELS || b.label === ALL_LABELS) {
+      return a.label === ALL_LABELS ? -1 : 1;
+    }
+    return b.count - a.count;
+  });
+}
+
+module.exports = {
+  ALL_LABELS,
+  LATENCY_TYPES,
+  getLatencyByMonthYear
+};
@@ -0,0 +1,254 @@
+// OpenAPI 3 document and request validation, both built from the route metadata
+// the routers declare (see createApiRouter() in lib/api-router.js):
+//
+//   {
+//     summary: 'PR state counts by month-year',
+//     params: { specType: schema },    // path parameters
+//     query: { limit: schema },        // query parameters; { required: true } on the schema makes one required
+//     headers: { 'X-GitHub-Event': schema },
+//     body: schema,                    // JSON request body (an object schema)
+//     status: 200,                     // success status
+//     response: { data: schema, ... }, // properties of the success envelope besides "success"
+//     errors: [404, 409],              // statuses besides 400/500 the route answers with
+//     produces: ['text/csv'],          // media types of a success response that is a file, not the envelope
+//     access: 'public',                // overrides the router's access level (lib/api-auth.js)
+//     cache: false                     // overrides the router's response caching (lib/response-cache.js)
+//   }
+//
+// Schemas are plain OpenAPI schema objects. `enum` may be a function (e.g. the
+// configured spec types), resolved when the document is built or a request is
+// validated. 'x-case-insensitive': true compares enum values case-insensitively.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request parameters',
+  401: 'Missing or invalid credentials',
+  403: 'Credentials lack the required scope',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  429: 'Rate limit exceeded',
+  500: 'Internal server error',
+  503: 'Disabled by configuration'
+};
+
+// Copy of `schema` with enum functions called and the parameter-level `required` flag removed
+function resolveSchema(schema) {
+  const { required, ...rest } = schema;
+  const resolved = { ...rest };
+  if (typeof resolved.enum === 'function') resolved.enum = resolved.enum();
+  if (resolved.items) resolved.items = resolveSchema(resolved.items);
+  if (resolved.properties) {
+    resolved.properties = Object.fromEntries(Object.entries(resolved.properties).map(([key, value]) => [key, resolveSchema(value)]));
+  }
+  if (Array.isArray(required)) resolved.required = required;
+  return resolved;
+}
+
+// Problem with a path, query or header value (always a string), or null
+function checkValue(value, schema) {
+  if (Array.isArray(value)) return 'must be given once';
+  const text = String(value);
+  if (schema.enum) {
+    const matches = schema['x-case-insensitive']
+      ? schema.enum.some(option => String(option).toLowerCase() === text.toLowerCase())
+      : schema.enum.map(String).includes(text);
+    if (!matches) return `must be one of ${schema.enum.join(', ')}`;
+  }
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(text);
+      if (text.trim() === '' || !Number.isFinite(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+        return `must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`;
+      }
+      if (schema.minimum !== undefined && number < schema.minimum) return `must be at least ${schema.minimum}`;
+      if (schema.maximum !== undefined && number > schema.maximum) return `must be at most ${schema.maximum}`;
+      return null;
+    }
+    case 'boolean':
+      return text === 'true' || text === 'false' ? null : 'must be true or false';
+    default:
+      if ((schema.format === 'date' || schema.format === 'date-time') && (!DATE_PATTERN.test(text) || Number.isNaN(Date.parse(text)))) {
+        return 'must be a date (YYYY-MM-DD or an ISO 8601 timestamp)';
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(text)) return `must match ${schema.pattern}`;
+      if (schema.maxLength !== undefined && text.length > schema.maxLength) return `must be at most ${schema.maxLength} characters`;
+      return null;
+  }
+}
+
+// Problems with a JSON request body; properties are checked by JSON type only
+function checkBody(body, schema) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return ['body must be a JSON object'];
+  const problems = [];
+  (schema.required || []).forEach(key => {
+    if (body[key] === undefined) problems.push(`body.${key} is required`);
+  });
+  Object.entries(schema.properties || {}).forEach(([key, property]) => {
+    const value = body[key];
+    if (value === undefined || value === null) return;
+    const type = Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value;
+    const matches = property.type === type || (property.type === 'number' && type === 'integer');
+    if (!matches) {
+      problems.push(`body.${key} must be ${property.type === 'integer' ? 'an integer' : `a ${property.type}`}`);
+    } else if (type === 'string' && property.maxLength !== undefined && value.length > property.maxLength) {
+      problems.push(`body.${key} must be at most ${property.maxLength} characters`);
+    }
+  });
+  return problems;
+}
+
+// Problems with a request, as messages like 'limit (query) must be at most 100'
+function validateRequest(req, meta) {
+  const problems = [];
+  const locations = [
+    ['params', 'path', name => req.params[name]],
+    ['query', 'query', name => req.query[name]],
+    ['headers', 'header', name => req.get(name)]
+  ];
+  locations.forEach(([key, location, read]) => {
+    Object.entries(meta[key] || {}).forEach(([name, schema]) => {
+      const value = read(name);
+      if (value === undefined || value === '') {
+        if (location === 'path' || schema.required) problems.push(`${name} (${location}) is required`);
+        return;
+      }
+      const problem = checkValue(value, resolveSchema(schema));
+      if (problem) problems.push(`${name} (${location}) ${problem} (got "${Array.isArray(value) ? value.join('", "') : value}")`);
+    });
+  });
+  if (meta.body) problems.push(...checkBody(req.body, resolveSchema(meta.body)));
+  return problems;
+}
+
+// Express path to an OpenAPI path: /api/graph1/:specType -> /api/graph1/{specType}
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+// GET /api/contributors/:username/timeline -> getContributorsUsernameTimeline
+function operationId(method, path) {
+  const words = path.split('/')
+    .filter(segment => segment && segment !== 'api')
+    .map(segment => segment.replace(/^:/, ''))
+    .flatMap(segment => segment.split(/[^A-Za-z0-9]+/))
+    .filter(Boolean);
+  return method.toLowerCase() + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function errorResponse(status) {
+  return {
+    description: ERROR_DESCRIPTIONS[status] || 'Error',
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  };
+}
+
+// access: { security, errors } of the endpoint, from describeAccess()
+function buildOperation(endpoint, access) {
+  const parameters = [
+    ...Object.entries(endpoint.params || {}).map(([name, schema]) => ['path', name, schema]),
+    ...Object.entries(endpoint.query || {}).map(([name, schema]) => ['query', name, schema]),
+    ...Object.entries(endpoint.headers || {}).map(([name, schema]) => ['header', name, schema])
+  ].map(([location, name, schema]) => {
+    const { description, ...rest } = resolveSchema(schema);
+    return {
+      name,
+      in: location,
+      required: location === 'path' || Boolean(schema.required),
+      ...(description ? { description } : {}),
+      schema: rest
+    };
+  });
+
+  const success = {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      ...Object.fromEntries(Object.entries(endpoint.response || {}).map(([key, schema]) => [key, resolveSchema(schema)]))
+    }
+  };
+
+  const content = endpoint.produces
+    ? Object.fromEntries(endpoint.produces.map(mediaType => [mediaType, { schema: { type: 'string', format: 'binary' } }]))
+    : { 'application/json': { schema: success } };
+  const responses = {
+    [endpoint.status || 200]: { description: endpoint.summary, content }
+  };
+  const errors = new Set([500, ...(endpoint.errors || [])]);
+  if (parameters.length > 0 || endpoint.body) errors.add(400);
+  (access.errors || []).forEach(status => errors.add(status));
+  [...errors].sort((a, b) => a - b).forEach(status => { responses[status] = errorResponse(status); });
+  if (endpoint.cache && endpoint.method === 'GET') {
+    // Cached routes send ETag and Last-Modified (see lib/response-cache.js)
+    responses[304] = { description: 'Not modified since the If-None-Match / If-Modified-Since of the request' };
+  }
+
+  return {
+    operationId: operationId(endpoint.method, endpoint.path),
+    tags: [endpoint.router],
+    summary: endpoint.summary,
+    ...(endpoint.description ? { description: endpoint.description } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(endpoint.body ? {
+      requestBody: {
+        required: false,
+        content: { 'application/json': { schema: resolveSchema(endpoint.body) } }
+      }
+    } : {}),
+    ...(access.security ? { security: access.security } : {}),
+    responses
+  };
+}
+
+// OpenAPI 3 document for `routers` (as returned by createApiRouter);
+// `components` are the shared schemas the route metadata refers to with $ref.
+// describeAccess(endpoint, router) returns the endpoint's OpenAPI `security`
+// requirements (null: none) and the error statuses its access checks add.
+function buildOpenApiDocument({ info, routers, components = {}, securitySchemes = {}, describeAccess = () => ({}) }) {
+  const paths = {};
+  const usedSchemes = new Set();
+  routers.forEach(router => {
+    router.endpoints.forEach(endpoint => {
+      const access = describeAccess(endpoint, router);
+      (access.security || []).forEach(requirement => Object.keys(requirement).forEach(name => usedSchemes.add(name)));
+      const path = toOpenApiPath(endpoint.path);
+      paths[path] = paths[path] || {};
+      paths[path][endpoint.method.toLowerCase()] = buildOperation(endpoint, access);
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info,
+    tags: routers.map(router => ({ name: router.name, description: router.description })),
+    paths,
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['success', 'error'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            details: {
+              description: 'Server error message, or the list of invalid parameters for a 400',
+              oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }]
+            }
+          }
+        },
+        ...Object.fromEntries(Object.entries(components).map(([name, schema]) => [name, resolveSchema(schema)]))
+      },
+      ...(usedSchemes.size > 0 ? {
+        securitySchemes: Object.fromEntries([...usedSchemes].map(name => [name, securitySchemes[name]]))
+      } : {})
+    }
+  };
+}
+
+module.exports = {
+  validateRequest,
+  toOpenApiPath,
+  buildOpenApiDocument
+};
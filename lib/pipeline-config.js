@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { getConfig } = require('./config');
+
+// Scheduler pipeline definition.
+// config/pipeline.json (or the `pipelineConfig` setting, PIPELINE_CONFIG) lists the steps in
+// the order they run, each with its own failure policy:
+//
+//   retries           - extra attempts after the first failure (default 0)
+//   backoffMs         - wait before the first retry (default 30000)
+//   backoffFactor     - multiplier applied to the wait for every further retry (default 2)
+//   continueOnFailure - keep running later steps when this one still fails after
+//                       its retries; the run then ends as "partial" instead of "failed"
+//   options           - passed to the script's run() job function (lib/job-runner.js),
+//                       e.g. { "graphql": true } for the PR fetch
+//   schedule          - cron expression the step runs on by itself (optional)
+//   timezone          - time zone for `schedule` (default: the top-level "timezone",
+//                       else the server's local zone)
+//   dependsOn         - earlier steps whose runs also trigger this one: when any of
+//                       them runs on its schedule, this step runs right after it in
+//                       the same pipeline run (e.g. charts after fetch or snapshot).
+//                       It is skipped when none of them wrote any rows, so a fetch
+//                       that found nothing new every 15 minutes does not rebuild the
+//                       charts or re-mirror PostgreSQL
+//
+// Steps run in the order they are listed, so a step must come after everything it
+// depends on. Steps that are due at the same time share one run.
+//
+// The optional "lock" section controls the overlap lock (lib/pipeline-lock.js):
+//   ttlMs / heartbeatMs - lease length and how often the running pipeline renews it
+//   onOverlap           - "skip" a run that finds the lock taken, or "queue" it and
+//                         poll every queuePollMs for up to queueTimeoutMs
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const STEP_DEFAULTS = {
+  retries: 0,
+  backoffMs: 30000,
+  backoffFactor: 2,
+  continueOnFailure: false,
+  schedule: null,
+  dependsOn: []
+};
+
+const LOCK_DEFAULTS = {
+  name: 'pipeline',
+  ttlMs: 10 * 60 * 1000,
+  heartbeatMs: 60 * 1000,
+  onOverlap: 'skip',
+  queueTimeoutMs: 60 * 60 * 1000,
+  queuePollMs: 30 * 1000
+};
+
+let cached = null;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateStep(step, index, seen) {
+  const where = `steps[${index}]`;
+  if (!step || typeof step !== 'object') throw new Error(`${where} must be an object`);
+  for (const field of ['key', 'name', 'script']) {
+    if (typeof step[field] !== 'string' || step[field].trim() === '') {
+      throw new Error(`${where}.${field} is required`);
+    }
+  }
+  if (seen.has(step.key)) throw new Error(`${where}: duplicate step key "${step.key}"`);
+  if (!fs.existsSync(path.join(ROOT_DIR, step.script))) {
+    throw new Error(`${where}.script "${step.script}" does not exist`);
+  }
+  for (const field of ['retries', 'backoffMs']) {
+    if (step[field] !== undefined && (!Number.isInteger(step[field]) || step[field] < 0)) {
+      throw new Error(`${where}.${field} must be a non-negative integer`);
+    }
+  }
+  if (step.backoffFactor !== undefined && (typeof step.backoffFactor !== 'number' || step.backoffFactor < 1)) {
+    throw new Error(`${where}.backoffFactor must be a number >= 1`);
+  }
+  if (step.continueOnFailure !== undefined && typeof step.continueOnFailure !== 'boolean') {
+    throw new Error(`${where}.continueOnFailure must be true or false`);
+  }
+  if (step.options !== undefined && (!step.options || typeof step.options !== 'object' || Array.isArray(step.options))) {
+    throw new Error(`${where}.options must be an object`);
+  }
+  if (step.schedule !== undefined && (typeof step.schedule !== 'string' || !cron.validate(step.schedule))) {
+    throw new Error(`${where}.schedule is not a valid cron expression`);
+  }
+  if (step.timezone !== undefined && (typeof step.timezone !== 'string' || !isValidTimezone(step.timezone))) {
+    throw new Error(`${where}.timezone "${step.timezone}" is not a valid time zone`);
+  }
+  if (step.dependsOn !== undefined) {
+    if (!Array.isArray(step.dependsOn)) throw new Error(`${where}.dependsOn must be an array of step keys`);
+    const unknown = step.dependsOn.filter(key => !seen.has(key));
+    if (unknown.length > 0) {
+      throw new Error(`${where}.dependsOn: ${unknown.join(', ')} must be steps listed before "${step.key}"`);
+    }
+  }
+}
+
+function validateLock(lock) {
+  if (typeof lock !== 'object' || Array.isArray(lock)) throw new Error('lock must be an object');
+  for (const field of ['ttlMs', 'heartbeatMs', 'queueTimeoutMs', 'queuePollMs']) {
+    if (lock[field] !== undefined && (!Number.isInteger(lock[field]) || lock[field] <= 0)) {
+      throw new Error(`lock.${field} must be a positive integer`);
+    }
+  }
+  if (lock.onOverlap !== undefined && !['skip', 'queue'].includes(lock.onOverlap)) {
+    throw new Error(`lock.onOverlap must be "skip" or "queue"`);
+  }
+  const { ttlMs, heartbeatMs } = { ...LOCK_DEFAULTS, ...lock };
+  if (heartbeatMs >= ttlMs) throw new Error('lock.heartbeatMs must be shorter than lock.ttlMs');
+}
+
+function loadPipelineConfig(configPath = getConfig().pipelineConfig) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read pipeline config ${configPath}: ${error.message}`);
+  }
+  if (!Array.isArray(parsed.steps) || parsed.steps.length === 0) {
+    throw new Error(`Pipeline config ${configPath} must list at least one step`);
+  }
+  if (parsed.timezone !== undefined && !isValidTimezone(parsed.timezone)) {
+    throw new Error(`Pipeline config ${configPath}: timezone "${parsed.timezone}" is not a valid time zone`);
+  }
+  const timezone = parsed.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const seen = new Set();
+  const steps = parsed.steps.map((step, index) => {
+    try {
+      validateStep(step, index, seen);
+    } catch (error) {
+      throw new Error(`Pipeline config ${configPath}: ${error.message}`);
+    }
+    seen.add(step.key);
+    return Object.freeze({
+      ...STEP_DEFAULTS,
+      ...step,
+      timezone: step.timezone || timezone,
+      logPrefix: step.logPrefix || step.key.toUpperCase()
+    });
+  });
+
+  const lock = parsed.lock || {};
+  try {
+    validateLock(lock);
+  } catch (error) {
+    throw new Error(`Pipeline config ${configPath}: ${error.message}`);
+  }
+  return { source: configPath, timezone, steps, lock: Object.freeze({ ...LOCK_DEFAULTS, ...lock }) };
+}
+
+function getPipelineConfig() {
+  if (!cached) cached = loadPipelineConfig();
+  return cached;
+}
+
+function getPipelineSteps() {
+  return getPipelineConfig().steps;
+}
+
+function getPipelineLockConfig() {
+  return getPipelineConfig().lock;
+}
+
+// The steps to run when `keys` are due: those steps plus everything that
+// (transitively) depends on them, in pipeline order
+function withDependents(keys) {
+  const selected = new Set(keys);
+  return getPipelineSteps()
+    .filter(step => {
+      if (!selected.has(step.key) && step.dependsOn.some(key => selected.has(key))) selected.add(step.key);
+      return selected.has(step.key);
+    })
+    .map(step => step.key);
+}
+
+// Wait before retry number `retry` (1-based)
+function retryDelayMs(step, retry) {
+  return Math.round(step.backoffMs * Math.pow(step.backoffFactor, retry - 1));
+}
+
+module.exports = {
+  loadPipelineConfig,
+  getPipelineSteps,
+  getPipelineLockConfig,
+  withDependents,
+  retryDelayMs
+};
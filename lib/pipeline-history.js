@@ -0,0 +1,159 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const PipelineRun = require('../models/PipelineRun');
+
+// Records scheduler runs and their steps in pipeline_runs.
+// History is best effort: when MongoDB is unreachable the pipeline still runs and
+// the failed write is only logged.
+
+const MAX_ERROR_LENGTH = 4000;
+
+function errorText(error) {
+  if (!error) return null;
+  const text = error.message || String(error);
+  return text.length > MAX_ERROR_LENGTH ? `${text.slice(0, MAX_ERROR_LENGTH)}... (truncated)` : text;
+}
+
+async function record(action, fn) {
+  if (mongoose.connection.readyState !== 1) return null;
+  try {
+    return await fn();
+  } catch (error) {
+    console.warn(`[HISTORY] Failed to ${action}: ${error.message}`);
+    return null;
+  }
+}
+
+// Creates the run document with every step pending; returns its id (or null)
+async function startRun({ trigger, steps, resumedFrom = null, lockWaitMs = 0, jobId = null }) {
+  const run = await record('create pipeline run', () => PipelineRun.create({
+    trigger,
+    status: 'running',
+    resumedFrom,
+    jobId,
+    lockWaitMs,
+    startedAt: new Date(),
+    host: os.hostname(),
+    pid: process.pid,
+    steps: steps.map(({ key, name, script }) => ({ key, name, script, status: 'pending', counts: {} }))
+  }));
+  return run ? run._id : null;
+}
+
+async function updateStep(runId, key, fields) {
+  if (!runId) return;
+  const $set = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    $set[`steps.$.${field}`] = value;
+  });
+  await record(`update step ${key}`, () => PipelineRun.updateOne({ _id: runId, 'steps.key': key }, { $set }));
+}
+
+async function startStep(runId, key) {
+  await updateStep(runId, key, { status: 'running', startedAt: new Date() });
+}
+
+async function finishStep(runId, key, { status, startedAt, attempts = 1, result = null, error = null }) {
+  const finishedAt = new Date();
+  await updateStep(runId, key, {
+    status,
+    attempts,
+    finishedAt,
+    durationMs: startedAt ? finishedAt - startedAt : null,
+    counts: result?.counts || {},
+    result,
+    error: errorText(error)
+  });
+}
+
+async function skipStep(runId, key, reason, completedInRun = null) {
+  await updateStep(runId, key, { status: 'skipped', skipReason: reason, completedInRun });
+}
+
+async function finishRun(runId, { status, startedAt, error = null, lockLost = false }) {
+  if (!runId) return;
+  const finishedAt = new Date();
+  await record('finish pipeline run', () => PipelineRun.updateOne({ _id: runId }, {
+    $set: {
+      status,
+      finishedAt,
+      durationMs: finishedAt - startedAt,
+      error: errorText(error),
+      lockLost
+    }
+  }));
+}
+
+// Records a run that did not start because another run held the pipeline lock
+async function recordSkippedRun({ trigger, steps, reason, lockHolder = null }) {
+  const now = new Date();
+  await record('record skipped pipeline run', () => PipelineRun.create({
+    trigger,
+    status: 'skipped',
+    startedAt: now,
+    finishedAt: now,
+    durationMs: 0,
+    host: os.hostname(),
+    pid: process.pid,
+    skipReason: reason,
+    lockHolder,
+    steps: steps.map(({ key, name, script }) => ({ key, name, script, status: 'skipped', skipReason: reason, counts: {} }))
+  }));
+}
+
+// Marks the runs still recorded as running as failed. Called once the pipeline
+// lock is taken and before this run's document exists: every run holds the lock
+// while it runs, so those were left behind by a scheduler that died mid-run.
+// Their running step fails with them, which is where --resume picks up.
+async function failInterruptedRuns() {
+  const error = 'Interrupted: the scheduler stopped before the run finished';
+  const now = new Date();
+  const result = await record('fail interrupted pipeline runs', () => PipelineRun.updateMany(
+    { status: 'running' },
+    {
+      $set: {
+        status: 'failed',
+        finishedAt: now,
+        error,
+        'steps.$[step].status': 'failed',
+        'steps.$[step].finishedAt': now,
+        'steps.$[step].error': error
+      }
+    },
+    { arrayFilters: [{ 'step.status': 'running' }] }
+  ));
+  return result ? result.modifiedCount : 0;
+}
+
+// Where a failed or partial run should be resumed: its first step that neither
+// succeeded nor was carried over from an earlier run. Without `runId` only the
+// most recent run is considered, so nothing is resumed once a newer run succeeded.
+async function findResumePoint(runId = null) {
+  const run = await record('load pipeline run', () =>
+    runId
+      ? PipelineRun.findById(runId).lean()
+      : PipelineRun.findOne({ status: { $nin: ['running', 'skipped'] } }).sort({ startedAt: -1 }).lean()
+  );
+  if (!run || !['failed', 'partial', 'cancelled'].includes(run.status)) return null;
+
+  const index = run.steps.findIndex(step => step.status !== 'success' && !step.completedInRun);
+  if (index === -1) return null;
+  return {
+    runId: run._id,
+    stepKey: run.steps[index].key,
+    stepKeys: run.steps.map(step => step.key),
+    // Steps before the resume point and the run each one actually succeeded in
+    completed: run.steps.slice(0, index).map(step => ({ key: step.key, runId: step.completedInRun || run._id }))
+  };
+}
+
+module.exports = {
+  findResumePoint,
+  failInterruptedRuns,
+  startRun,
+  startStep,
+  finishStep,
+  skipStep,
+  finishRun,
+  recordSkippedRun
+};
@@ -0,0 +1,103 @@
+const os = require('os');
+const PipelineJob = require('../models/PipelineJob');
+
+// On-demand pipeline jobs in pipeline_jobs.
+// The admin API enqueues a job (the whole pipeline or one step); the scheduler
+// polls the queue, claims the oldest queued job when it is idle and records the
+// pipeline_runs document it started, so the run history shows the progress.
+// Cancelling a queued job removes it from the queue; cancelling a running one sets
+// `cancelRequested`, which the scheduler turns into an abort of the run. Jobs left
+// running by a scheduler that died are failed by the next one that finds them.
+
+// Returns { job, created }; an identical job that is still queued is reused, so
+// repeated "refresh now" requests don't pile up
+async function enqueueJob({ kind, step = null, requestedBy = null }) {
+  const existing = await PipelineJob.findOne({ kind, step, status: 'queued' }).lean();
+  if (existing) return { job: existing, created: false };
+
+  const job = await PipelineJob.create({
+    kind,
+    step,
+    status: 'queued',
+    requestedBy,
+    requestedAt: new Date(),
+    cancelRequested: false
+  });
+  return { job: job.toObject(), created: true };
+}
+
+// Atomically takes the oldest queued job, or returns null
+async function claimNextJob() {
+  return PipelineJob.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', claimedBy: `${os.hostname()}:${process.pid}`, startedAt: new Date() } },
+    { sort: { requestedAt: 1 }, new: true }
+  ).lean();
+}
+
+async function attachRun(id, runId) {
+  await PipelineJob.updateOne({ _id: id }, { $set: { runId } });
+}
+
+async function finishJob(id, { status, error = null }) {
+  await PipelineJob.updateOne({ _id: id }, { $set: { status, error, finishedAt: new Date() } });
+}
+
+// Returns the updated job, or null when it does not exist. Finished jobs are
+// returned unchanged.
+async function cancelJob(id) {
+  const now = new Date();
+  const dequeued = await PipelineJob.findOneAndUpdate(
+    { _id: id, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: now, error: 'Cancelled before it started' } },
+    { new: true }
+  ).lean();
+  if (dequeued) return dequeued;
+
+  const running = await PipelineJob.findOneAndUpdate(
+    { _id: id, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  ).lean();
+  if (running) return running;
+
+  return PipelineJob.findById(id).lean();
+}
+
+// Marks running jobs whose scheduler died as failed. Only called while no live
+// run can own them: with the pipeline lock held, or when nobody holds it. A job
+// that started a run (`runId`) lost it with the lock; one that never got that far
+// was claimed before `claimedBefore`, longer ago than a live claimant waits.
+async function failInterruptedJobs({ claimedBefore }) {
+  const result = await PipelineJob.updateMany(
+    { status: 'running', $or: [{ runId: { $ne: null } }, { startedAt: { $lt: claimedBefore } }] },
+    { $set: { status: 'failed', error: 'Interrupted: the scheduler stopped before the job finished', finishedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+async function isCancelRequested(id) {
+  const job = await PipelineJob.findById(id, { cancelRequested: 1 }).lean();
+  return Boolean(job?.cancelRequested);
+}
+
+async function listJobs({ status = null, limit = 20 } = {}) {
+  const query = status ? { status } : {};
+  return PipelineJob.find(query).sort({ requestedAt: -1 }).limit(limit).lean();
+}
+
+async function getJob(id) {
+  return PipelineJob.findById(id).lean();
+}
+
+module.exports = {
+  enqueueJob,
+  claimNextJob,
+  attachRun,
+  finishJob,
+  cancelJob,
+  failInterruptedJobs,
+  isCancelRequested,
+  listJobs,
+  getJob
+};
@@ -0,0 +1,80 @@
+const os = require('os');
+const crypto = require('crypto');
+const PipelineLock = require('../models/PipelineLock');
+
+// Distributed lease lock in pipeline_locks.
+// A lock is one document keyed by name. acquireLock() takes it when it is missing
+// or expired; the holder extends the lease every heartbeatMs so a
+// long run keeps it, while a crashed holder's lease simply runs out after ttlMs.
+
+function isDuplicateKey(error) {
+  return error && error.code === 11000;
+}
+
+function createOwnerId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Returns a lock handle, or null when another owner holds a live lease
+async function acquireLock(name, { ttlMs, heartbeatMs, onLost = () => {} }) {
+  const owner = createOwnerId();
+  const now = new Date();
+
+  let lock;
+  try {
+    lock = await PipelineLock.findOneAndUpdate(
+      { _id: name, expiresAt: { $lte: now } },
+      { $set: { owner, runId: null, acquiredAt: now, heartbeatAt: now, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (error) {
+    // The upsert collided with a live lease held by someone else
+    if (isDuplicateKey(error)) return null;
+    throw error;
+  }
+  if (!lock || lock.owner !== owner) return null;
+
+  let lost = false;
+  const heartbeat = setInterval(async () => {
+    try {
+      const at = new Date();
+      const result = await PipelineLock.updateOne(
+        { _id: name, owner },
+        { $set: { heartbeatAt: at, expiresAt: new Date(at.getTime() + ttlMs) } }
+      );
+      if (result.matchedCount === 0 && !lost) {
+        lost = true;
+        clearInterval(heartbeat);
+        onLost();
+      }
+    } catch (error) {
+      console.warn(`[LOCK] Heartbeat for "${name}" failed: ${error.message}`);
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  return {
+    name,
+    owner,
+    get lost() {
+      return lost;
+    },
+    async setRunId(id) {
+      await PipelineLock.updateOne({ _id: name, owner }, { $set: { runId: id } });
+    },
+    async release() {
+      clearInterval(heartbeat);
+      await PipelineLock.deleteOne({ _id: name, owner });
+    }
+  };
+}
+
+// Current holder of `name`, if its lease is still live
+async function getLockHolder(name) {
+  return PipelineLock.findOne({ _id: name, expiresAt: { $gt: new Date() } }).lean();
+}
+
+module.exports = {
+  acquireLock,
+  getLockHolder
+};
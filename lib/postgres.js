@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+// PostgreSQL target of postgres-mirror.js.
+// POSTGRES_URL names the server and POSTGRES_SCHEMA (default "public") the schema
+// the tables live in. The schema is defined by the SQL files in migrations/postgres,
+// named <version>_<name>.sql. migrate() applies the ones not yet recorded in
+// schema_migrations in version order, each in its own transaction, so a failed
+// migration leaves the schema as it was. Existing migrations are never edited; a
+// schema change is a new file.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations', 'postgres');
+
+// Advisory lock keys (pg_advisory_lock); any constant unlikely to clash
+const MIGRATION_LOCK_KEY = 721001;
+const MIRROR_LOCK_KEY = 721002;
+
+// Bind parameters per statement stay well below PostgreSQL's limit of 65535
+const MAX_PARAMETERS = 30000;
+
+function listMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.sql'))
+    .map(file => {
+      const match = file.match(/^(\d+)_([\w-]+)\.sql$/);
+      if (!match) throw new Error(`Migration ${file} must be named <version>_<name>.sql`);
+      return { version: Number(match[1]), name: match[2], file: path.join(dir, file) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+// Client connected with `schema` (created if missing) on its search_path
+async function connectPostgres({ url, schema }) {
+  const client = new Client({ connectionString: url, application_name: 'prs-mirror' });
+  await client.connect();
+  try {
+    await client.query(`CREATE SCHEMA IF NOT EXISTS ${schema}`);
+    await client.query(`SET search_path TO ${schema}`);
+  } catch (error) {
+    await client.end();
+    throw error;
+  }
+  return client;
+}
+
+async function transaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => null);
+    throw error;
+  }
+}
+
+// Applies the pending migrations; resolves [{ version, name }] of those applied
+async function migrate(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    integer PRIMARY KEY,
+      name       text NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+  const applied = [];
+  for (const { version, name, file } of listMigrations()) {
+    await transaction(client, async () => {
+      // Another process may be applying the same migration
+      await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+      const { rowCount } = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [version]);
+      if (rowCount > 0) return;
+      await client.query(fs.readFileSync(file, 'utf8'));
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [version, name]);
+      applied.push({ version, name });
+    });
+  }
+  return applied;
+}
+
+// Runs `fn` holding the mirror lock; throws when another mirror holds it
+async function withMirrorLock(client, fn) {
+  const { rows } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [MIRROR_LOCK_KEY]);
+  if (!rows[0].locked) throw new Error('Another postgres-mirror run holds the mirror lock');
+  try {
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIRROR_LOCK_KEY]).catch(() => null);
+  }
+}
+
+// INSERT ... ON CONFLICT (key) DO UPDATE of `rows` (objects with a value per
+// column; undefined is stored as NULL). Of rows with the same key the last one
+// wins. Resolves the number of rows written.
+async function upsertRows(client, table, { columns, key, rows: allRows }) {
+  // One statement may not update the same row twice
+  const rows = [...new Map(allRows.map(row => [JSON.stringify(key.map(column => row[column])), row])).values()];
+  const updates = columns.filter(column => !key.includes(column));
+  const onConflict = updates.length > 0
+    ? `DO UPDATE SET ${updates.map(column => `${column} = EXCLUDED.${column}`).join(', ')}`
+    : 'DO NOTHING';
+  const rowsPerStatement = Math.floor(MAX_PARAMETERS / columns.length);
+
+  for (let start = 0; start < rows.length; start += rowsPerStatement) {
+    const values = [];
+    const tuples = rows.slice(start, start + rowsPerStatement).map(row => {
+      const placeholders = columns.map(column => {
+        values.push(row[column] === undefined ? null : row[column]);
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+    await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${tuples.join(', ')} ON CONFLICT (${key.join(', ')}) ${onConflict}`,
+      values
+    );
+  }
+  return rows.length;
+}
+
+module.exports = {
+  listMigrations,
+  connectPostgres,
+  transaction,
+  migrate,
+  withMirrorLock,
+  upsertRows
+};
@@ -0,0 +1,284 @@
+const dayjs = require('dayjs');
+
+// Chart series of the three PR graphs, built from PR documents. The charts step
+// (populate-chart-collections.js) stores them in the chart collections; the graph
+// routes compute them live for custom date windows, so both give the same numbers.
+// Every series is a list of { _id, category, monthYear, type, count } documents,
+// newest month first.
+
+const PR_STATE_TYPES = ['Created', 'Merged', 'Closed', 'Open'];
+
+// Graph 1 order: by monthYear descending, then by state
+function comparePRStates(a, b) {
+  if (a.monthYear !== b.monthYear) {
+    return b.monthYear.localeCompare(a.monthYear);
+  }
+  return PR_STATE_TYPES.indexOf(a.type) - PR_STATE_TYPES.indexOf(b.type);
+}
+
+// Graph 2/3 order: by monthYear descending, then by count descending
+function compareLabelCounts(a, b) {
+  if (a.monthYear !== b.monthYear) {
+    return b.monthYear.localeCompare(a.monthYear);
+  }
+  return b.count - a.count;
+}
+
+// Helper function to get month-year from date
+function getMonthYear(date) {
+  return dayjs(date).format('YYYY-MM');
+}
+
+// Helper function to get HYBRID PR state counts by month-year
+// Created/Merged/Closed: Count PRs that changed to that status in that specific month
+// Open: Cumulative count of PRs still open at the end of that month
+function getPRStateCountsByMonthYear(prs, specType) {
+  // Get all unique months from the data
+  const allMonths = new Set();
+  prs.forEach(pr => {
+    const createdMonth = getMonthYear(pr.createdAt);
+    allMonths.add(createdMonth);
+    
+    if (pr.closedAt) {
+      allMonths.add(getMonthYear(pr.closedAt));
+    }
+    if (pr.mergedAt) {
+      allMonths.add(getMonthYear(pr.mergedAt));
+    }
+  });
+  
+  // Sort months chronologically
+  const sortedMonths = Array.from(allMonths).sort();
+  
+  const formattedData = [];
+  const category = specType.toLowerCase() + 's'; // eips, ercs, rips
+  
+  // For each month, calculate counts
+  sortedMonths.forEach(monthYear => {
+    // Create a date representing the end of this month
+    const [year, month] = monthYear.split('-').map(Number);
+    const monthEndDate = new Date(year, month, 0, 23, 59, 59, 999); // Last day of month
+    const monthStartDate = new Date(year, month - 1, 1); // First day of month
+    
+    let monthlyCreated = 0; // PRs CREATED in this month
+    let monthlyMerged = 0;  // PRs MERGED in this month  
+    let monthlyClosed = 0;  // PRs CLOSED in this month
+    let cumulativeOpen = 0; // PRs OPEN at end of this month (cumulative)
+    
+    prs.forEach(pr => {
+      // Count PRs CREATED in this specific month
+      if (pr.createdAt >= monthStartDate && pr.createdAt <= monthEndDate) {
+        monthlyCreated++;
+      }
+      
+      // Count PRs MERGED in this specific month
+      if (pr.mergedAt && pr.mergedAt >= monthStartDate && pr.mergedAt <= monthEndDate) {
+        monthlyMerged++;
+      }
+      
+      // Count PRs CLOSED (but not merged) in this specific month
+      if (pr.closedAt && !pr.mergedAt && pr.closedAt >= monthStartDate && pr.closedAt <= monthEndDate) {
+        monthlyClosed++;
+      }
+      
+      // Count PRs that are OPEN at the end of this month (cumulative)
+      if (pr.createdAt <= monthEndDate) { // PR existed by this month-end
+        if (!pr.mergedAt && !pr.closedAt) {
+          // Never closed or merged - still open
+          cumulativeOpen++;
+        } else if (pr.mergedAt && pr.mergedAt > monthEndDate) {
+          // Will be merged later - still open at this month-end
+          cumulativeOpen++;
+        } else if (pr.closedAt && pr.closedAt > monthEndDate) {
+          // Will be closed later - still open at this month-end
+          cumulativeOpen++;
+        }
+      }
+    });
+    
+    // Add each status as a separate document
+    formattedData.push(
+      {
+        _id: `${monthYear}-created-${Date.now()}-${Math.random()}`,
+        category: category,
+        monthYear: monthYear,
+        type: "Created",
+        count: monthlyCreated
+      },
+      {
+        _id: `${monthYear}-merged-${Date.now()}-${Math.random()}`,
+        category: category,
+        monthYear: monthYear,
+        type: "Merged",
+        count: monthlyMerged
+      },
+      {
+        _id: `${monthYear}-closed-${Date.now()}-${Math.random()}`,
+        category: category,
+        monthYear: monthYear,
+        type: "Closed",
+        count: monthlyClosed
+      },
+      {
+        _id: `${monthYear}-open-${Date.now()}-${Math.random()}`,
+        category: category,
+        monthYear: monthYear,
+        type: "Open",
+        count: cumulativeOpen
+      }
+    );
+  });
+  
+  return formattedData.sort(comparePRStates);
+}
+
+// Helper function for Graph 2: Custom Labels by month-year
+function getCustomLabelsCountsByMonthYear(prs, specType) {
+  // Get all unique months and labels
+  const allMonths = new Set();
+  const allLabels = new Set();
+  
+  prs.forEach(pr => {
+    allMonths.add(getMonthYear(pr.createdAt));
+    if (pr.customLabels) {
+      pr.customLabels.forEach(label => allLabels.add(label));
+    }
+  });
+  
+  const sortedMonths = Array.from(allMonths).sort();
+  const formattedData = [];
+  const category = specType.toLowerCase() + 's';
+  
+  // For each month, count PRs by custom labels
+  sortedMonths.forEach(monthYear => {
+    const labelCounts = {};
+    
+    // Initialize all labels with 0
+    allLabels.forEach(label => {
+      labelCounts[label] = 0;
+    });
+    
+    // Count PRs created in this month by their custom labels
+    prs.forEach(pr => {
+      if (getMonthYear(pr.createdAt) === monthYear && pr.customLabels) {
+        pr.customLabels.forEach(label => {
+          labelCounts[label]++;
+        });
+      }
+    });
+    
+    // Add each label as a separate document
+    Object.entries(labelCounts).forEach(([label, count]) => {
+      if (count > 0) { // Only include labels that have PRs
+        formattedData.push({
+          _id: `${monthYear}-${label}-${Date.now()}-${Math.random()}`,
+          category: category,
+          monthYear: monthYear,
+          type: label,
+          count: count
+        });
+      }
+    });
+  });
+  
+  return formattedData.sort(compareLabelCounts);
+}
+
+// Helper function for Graph 3: Raw GitHub Labels by month-year
+// PRs that were OPEN during that specific month-year with raw GitHub labels
+function getRawLabelsCountsByMonthYear(rawLabelsPrs, specType) {
+  // Get all unique months and raw labels
+  const allMonths = new Set();
+  const allRawLabels = new Set();
+  
+  rawLabelsPrs.forEach(pr => {
+    allMonths.add(getMonthYear(pr.createdAt));
+    if (pr.rawGithubLabels) {
+      pr.rawGithubLabels.forEach(label => allRawLabels.add(label));
+    }
+  });
+  
+  const sortedMonths = Array.from(allMonths).sort();
+  const formattedData = [];
+  const category = specType.toLowerCase() + 's';
+  
+  // For each month, count PRs that were open during that month
+  sortedMonths.forEach(monthYear => {
+    // Create date range for this month
+    const [year, month] = monthYear.split('-').map(Number);
+    const monthStartDate = new Date(year, month - 1, 1); // First day of month
+    const monthEndDate = new Date(year, month, 0, 23, 59, 59, 999); // Last day of month
+    
+    const monthlyOpenCounts = {};
+    
+    // Initialize all labels with 0
+    allRawLabels.forEach(label => {
+      monthlyOpenCounts[label] = 0;
+    });
+    
+    rawLabelsPrs.forEach(pr => {
+      if (!pr.rawGithubLabels) return;
+      
+      // Check if PR was open during this month
+      const prCreated = pr.createdAt <= monthEndDate; // PR existed by end of month
+      const prNotClosedYet = !pr.closedAt || pr.closedAt > monthStartDate; // Not closed before month started
+      const prNotMergedYet = !pr.mergedAt || pr.mergedAt > monthStartDate; // Not merged before month started
+      
+      // PR was open during this month if it existed and wasn't closed/merged before the month started
+      if (prCreated && prNotClosedYet && prNotMergedYet) {
+        pr.rawGithubLabels.forEach(label => {
+          monthlyOpenCounts[label]++;
+        });
+      }
+    });
+    
+    // Add monthly open counts as documents
+    Object.entries(monthlyOpenCounts).forEach(([label, count]) => {
+      if (count > 0) { // Only include labels that have PRs
+        formattedData.push({
+          _id: `${monthYear}-${label}-${Date.now()}-${Math.random()}`,
+          category: category,
+          monthYear: monthYear,
+          type: label,
+          count: count
+        });
+      }
+    });
+  });
+  
+  return formattedData.sort(compareLabelCounts);
+}
+
+// Combined 'all' series: sums the per-spec-type series month by month and type
+// by type. The 'all' chart collections are built this way, so a combined Graph 3
+// only has the months in which some spec type has a PR created.
+function combineChartData(specData, compare) {
+  const monthlyTotals = {};
+
+  specData.flat().forEach(item => {
+    const key = `${item.monthYear}-${item.type}`;
+    if (!monthlyTotals[key]) {
+      monthlyTotals[key] = {
+        _id: `${item.monthYear}-${item.type}-${Date.now()}-${Math.random()}`,
+        category: 'all',
+        monthYear: item.monthYear,
+        type: item.type,
+        count: 0
+      };
+    }
+    monthlyTotals[key].count += item.count;
+  });
+
+  return Object.values(monthlyTotals).sort(compare);
+}
+
+module.exports = {
+  PR_STATE_TYPES,
+  comparePRStates,
+  compareLabelCounts,
+  getMonthYear,
+  getPRStateCountsByMonthYear,
+  getCustomLabelsCountsByMonthYear,
+  getRawLabelsCountsByMonthYear,
+  combineChartData
+};
@@ -0,0 +1,63 @@
+const { computeRefinedLabels } = require('./label-rules');
+
+// Shared PR document helpers for the fetchers and the webhook receiver.
+// GitHub's REST /pulls items and webhook `pull_request` objects have the same
+// shape, so both go through mapPullRequest().
+
+// Maps a REST /pulls item onto prSchema
+function mapPullRequest(pr, specType) {
+  return {
+    prId: pr.id,
+    number: pr.number,
+    title: pr.title,
+    author: pr.user?.login || "",
+    prUrl: pr.html_url,
+    githubLabels: pr.labels.map(l => l.name),
+    state: pr.state,
+    mergeable_state: pr.mergeable_state || null,
+    createdAt: pr.created_at ? new Date(pr.created_at) : null,
+    updatedAt: pr.updated_at ? new Date(pr.updated_at) : null,
+    closedAt: pr.closed_at ? new Date(pr.closed_at) : null,
+    mergedAt: pr.merged_at ? new Date(pr.merged_at) : null,
+    specType: specType
+  };
+}
+
+// Raw-labels collection documents for the given PR documents
+function buildRawLabelsDocs(prs) {
+  return prs.map(pr => ({
+    prId: pr.prId,
+    number: pr.number,
+    title: pr.title,
+    author: pr.author,
+    prUrl: pr.prUrl,
+    rawGithubLabels: pr.githubLabels,
+    refinedLabels: computeRefinedLabels(pr.githubLabels),
+    state: pr.state,
+    mergeable_state: pr.mergeable_state,
+    createdAt: pr.createdAt,
+    updatedAt: pr.updatedAt,
+    closedAt: pr.closedAt,
+    mergedAt: pr.mergedAt,
+    specType: pr.specType
+  }));
+}
+
+// Upserts documents keyed by prId so re-fetching a PR never duplicates it
+async function upsertByPrId(Model, docs) {
+  if (docs.length === 0) return { upserted: 0, modified: 0 };
+  const result = await Model.bulkWrite(docs.map(doc => ({
+    updateOne: {
+      filter: { prId: doc.prId },
+      update: { $set: doc },
+      upsert: true
+    }
+  })), { ordered: false });
+  return { upserted: result.upsertedCount, modified: result.modifiedCount };
+}
+
+module.exports = {
+  mapPullRequest,
+  buildRawLabelsDocs,
+  upsertByPrId
+};
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const { getConfig } = require('./config');
+
+// Repository registry.
+// Every tracked proposal repository is declared once in config/repositories.json
+// (or the `repositoriesConfig` setting, REPOSITORIES_CONFIG). Scripts and APIs read the list from
+// here, and collection names are derived from the spec type unless overridden:
+//
+//   specType "EIP" -> eipprs, eip_raw_labels, open_eip_pr_snapshots,
+//                     eipsPRCharts, eipsCustomCharts, eipsRawCharts, eipsLatencyCharts
+
+// Combined "all repositories" chart collections
+const ALL_CHART_COLLECTIONS = {
+  prCharts: 'allPRCharts',
+  customCharts: 'allCustomCharts',
+  rawCharts: 'allRawCharts',
+  latencyCharts: 'allLatencyCharts'
+};
+
+let cached = null;
+
+function deriveCollections(specType, overrides = {}) {
+  const lower = specType.toLowerCase();
+  return {
+    prs: `${lower}prs`,
+    rawLabels: `${lower}_raw_labels`,
+    snapshots: `open_${lower}_pr_snapshots`,
+    prCharts: `${lower}sPRCharts`,
+    customCharts: `${lower}sCustomCharts`,
+    rawCharts: `${lower}sRawCharts`,
+    latencyCharts: `${lower}sLatencyCharts`,
+    ...overrides
+  };
+}
+
+function validateEntry(entry, index) {
+  const where = `repositories[${index}]`;
+  if (!entry || typeof entry !== 'object') throw new Error(`${where} must be an object`);
+  for (const field of ['owner', 'repo', 'specType']) {
+    if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+      throw new Error(`${where}.${field} is required`);
+    }
+  }
+  if (!/^[A-Z][A-Z0-9]*$/.test(entry.specType)) {
+    throw new Error(`${where}.specType must be upper-case letters/digits (got "${entry.specType}")`);
+  }
+  if (entry.specType === 'ALL') {
+    throw new Error(`${where}.specType "ALL" is reserved for the combined collections`);
+  }
+  if (entry.collections !== undefined && (typeof entry.collections !== 'object' || Array.isArray(entry.collections))) {
+    throw new Error(`${where}.collections must be an object of collection name overrides`);
+  }
+}
+
+function loadRepositories(configPath = getConfig().repositoriesConfig) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read repository registry ${configPath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed.repositories;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Repository registry ${configPath} must list at least one repository`);
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    validateEntry(entry, index);
+    if (seen.has(entry.specType)) {
+      throw new Error(`Repository registry ${configPath}: duplicate specType "${entry.specType}"`);
+    }
+    seen.add(entry.specType);
+
+    return Object.freeze({
+      owner: entry.owner,
+      repo: entry.repo,
+      fullName: `${entry.owner}/${entry.repo}`,
+      specType: entry.specType,
+      description: entry.description || null,
+      category: `${entry.specType.toLowerCase()}s`,
+      collections: Object.freeze(deriveCollections(entry.specType, entry.collections))
+    });
+  });
+}
+
+function getRepositories() {
+  if (!cached) cached = loadRepositories();
+  return cached;
+}
+
+function getSpecTypes() {
+  return getRepositories().map(r => r.specType);
+}
+
+// Looks a repository up by spec type ("eip"), repo name ("EIPs") or "owner/repo"
+function findRepository(value) {
+  if (!value) return null;
+  const needle = String(value).toLowerCase();
+  return getRepositories().find(r =>
+    r.specType.toLowerCase() === needle ||
+    r.repo.toLowerCase() === needle ||
+    r.fullName.toLowerCase() === needle
+  ) || null;
+}
+
+module.exports = {
+  ALL_CHART_COLLECTIONS,
+  loadRepositories,
+  getRepositories,
+  getSpecTypes,
+  findRepository
+};
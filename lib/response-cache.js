@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { getDataVersion } = require('./data-version');
+
+// Response cache of the read routes.
+// Successful GET responses are stored under the data version (lib/data-version.js),
+// the path and the sorted query string. A new data version makes every older entry
+// unreachable; entries also expire after API_CACHE_TTL_SECONDS. API_CACHE picks the
+// store: 'memory' (an LRU of API_CACHE_MAX_ENTRIES per process, default), 'redis'
+// (shared by every API process, REDIS_URL) or 'off'. A store that fails is skipped,
+// never failing the request.
+//
+// Cacheable responses carry ETag, Last-Modified (when the data version last changed)
+// and Cache-Control in every mode, so browsers and CDNs can revalidate; Express
+// answers a matching If-None-Match / If-Modified-Since with a 304. X-Cache tells
+// whether the response came from the cache (HIT) or MongoDB (MISS).
+
+const KEY_PREFIX = 'prs:api:';
+
+function createMemoryStore({ maxEntries }) {
+  const entries = new Map(); // key -> { value, expiresAt }, least recently used first
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+function createRedisStore({ url }) {
+  const { createClient } = require('redis');
+  // Commands fail straight away while Redis is unreachable instead of queueing
+  const client = createClient({ url, disableOfflineQueue: true });
+  let lastError = null;
+  client.on('error', error => {
+    if (error.message !== lastError) console.warn(`[CACHE] Redis error: ${error.message}`);
+    lastError = error.message;
+  });
+  client.on('ready', () => {
+    if (lastError) console.log('[CACHE] Redis connection restored');
+    lastError = null;
+  });
+  // connect() keeps retrying in the background; while Redis is down, requests
+  // skip the cache (the error above is logged once)
+  client.connect().catch(() => null);
+
+  return {
+    name: 'redis',
+    async get(key) {
+      if (!client.isReady) return null;
+      const value = await client.get(key);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(key, value, ttlMs) {
+      if (!client.isReady) return;
+      await client.set(key, JSON.stringify(value), { expiration: { type: 'PX', value: ttlMs } });
+    },
+    async close() {
+      if (client.isReady) await client.close();
+      else if (client.isOpen) client.destroy(); // stops the reconnect attempts
+    }
+  };
+}
+
+let store;
+
+// The configured store, or null when API_CACHE is off
+function getStore() {
+  if (store !== undefined) return store;
+  const { apiCache, apiCacheMaxEntries, redisUrl } = getConfig();
+  if (apiCache === 'redis') store = createRedisStore({ url: redisUrl });
+  else if (apiCache === 'memory') store = createMemoryStore({ maxEntries: apiCacheMaxEntries });
+  else store = null;
+  return store;
+}
+
+async function closeStore() {
+  if (store?.close) await store.close();
+  store = undefined;
+}
+
+function cacheKey(req, version) {
+  const query = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+  query.sort();
+  return `${KEY_PREFIX}v${version}:${req.baseUrl}${req.path}?${query}`;
+}
+
+function etagOf(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+function setCacheHeaders(res, entry, status) {
+  const { apiAuth, apiCacheMaxAgeSeconds } = getConfig();
+  res.set({
+    ETag: entry.etag,
+    'Last-Modified': entry.lastModified,
+    // Responses to API-key holders must not be handed to anonymous clients by a shared cache
+    'Cache-Control': `${apiAuth === 'required' ? 'private' : 'public'}, max-age=${apiCacheMaxAgeSeconds}`
+  });
+  if (status) res.set('X-Cache', status);
+}
+
+async function cacheGet(cache, key) {
+  try {
+    return await cache.get(key);
+  } catch (error) {
+    console.warn(`[CACHE] ${cache.name} read failed: ${error.message}`);
+    return null;
+  }
+}
+
+function cacheSet(cache, key, entry) {
+  cache.set(key, entry, getConfig().apiCacheTtlSeconds * 1000).catch(error => {
+    console.warn(`[CACHE] ${cache.name} write failed: ${error.message}`);
+  });
+}
+
+// Route middleware: serves a cached response, or caches the route's 200 response
+async function cacheResponse(req, res, next) {
+  if (req.method !== 'GET') return next();
+
+  const cache = getStore();
+  const { version, updatedAt } = getDataVersion();
+  const key = cacheKey(req, version);
+  const cached = cache ? await cacheGet(cache, key) : null;
+  if (cached) {
+    setCacheHeaders(res, cached, 'HIT');
+    return res.type('json').send(cached.body);
+  }
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode !== 200) return json(body);
+    const text = JSON.stringify(body);
+    const entry = { body: text, etag: etagOf(text), lastModified: new Date(updatedAt || Date.now()).toUTCString() };
+    if (cache) cacheSet(cache, key, entry);
+    setCacheHeaders(res, entry, cache ? 'MISS' : null);
+    return res.type('json').send(text);
+  };
+  next();
+}
+
+module.exports = {
+  cacheResponse,
+  closeStore
+};
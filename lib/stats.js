@@ -0,0 +1,31 @@
+// Small numeric helpers shared by the analytics endpoints
+
+// Nearest-rank percentile (p in 0..100) of an already sorted array
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sortedValues.length);
+  return sortedValues[Math.min(sortedValues.length, Math.max(1, rank)) - 1];
+}
+
+function median(values) {
+  return percentile([...values].sort((a, b) => a - b), 50);
+}
+
+function roundTo(value, digits = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function hoursBetween(start, end) {
+  return (new Date(end) - new Date(start)) / HOUR_MS;
+}
+
+module.exports = {
+  percentile,
+  median,
+  roundTo,
+  hoursBetween
+};
@@ -0,0 +1,105 @@
+-- Mirror tables of postgres-mirror.js.
+-- Every mirrored row carries the mirrored_at of the run that last wrote it; rows a
+-- complete run did not write are deleted, so the tables follow MongoDB.
+
+CREATE TABLE pull_requests (
+  pr_id               bigint PRIMARY KEY,          -- GitHub PR id
+  spec_type           text NOT NULL,               -- EIP, ERC, RIP, ...
+  number              integer NOT NULL,
+  title               text,
+  author              text,
+  pr_url              text,
+  state               text,
+  mergeable_state     text,
+  is_draft            boolean,
+  created_at          timestamptz,
+  updated_at          timestamptz,
+  closed_at           timestamptz,
+  merged_at           timestamptz,
+  -- Populated by the GraphQL fetcher only
+  additions           integer,
+  deletions           integer,
+  changed_files       integer,
+  comment_count       integer,
+  review_thread_count integer,
+  commit_count        integer,
+  review_count        integer,
+  mirrored_at         timestamptz NOT NULL
+);
+
+CREATE INDEX pull_requests_spec_type_created_at_idx ON pull_requests (spec_type, created_at);
+
+-- github and custom labels come from the PR collections, raw and refined labels
+-- from the raw-labels collections
+CREATE TABLE pull_request_labels (
+  pr_id bigint NOT NULL REFERENCES pull_requests (pr_id) ON DELETE CASCADE,
+  kind  text NOT NULL CHECK (kind IN ('github', 'custom', 'raw', 'refined')),
+  label text NOT NULL,
+  PRIMARY KEY (pr_id, kind, label)
+);
+
+CREATE INDEX pull_request_labels_kind_label_idx ON pull_request_labels (kind, label);
+
+-- PRs open at the end of each month, with the custom labels they had then
+CREATE TABLE pr_snapshots (
+  spec_type     text NOT NULL,
+  month         text NOT NULL,                     -- YYYY-MM
+  snapshot_date date NOT NULL,
+  pr_id         bigint NOT NULL,
+  number        integer,
+  custom_labels text[] NOT NULL DEFAULT '{}',
+  mirrored_at   timestamptz NOT NULL,
+  PRIMARY KEY (spec_type, month, pr_id)
+);
+
+-- Entries of the chart collections (eipsPRCharts, allLatencyCharts, ...)
+CREATE TABLE chart_series (
+  chart       text NOT NULL,                       -- pr, custom, raw or latency
+  category    text NOT NULL,                       -- eips, ercs, ... or all
+  month_year  text NOT NULL,                       -- YYYY-MM
+  type        text NOT NULL,
+  label       text NOT NULL DEFAULT '',            -- latency charts: custom label or All
+  count       integer,
+  p50         double precision,                    -- latency charts, in hours
+  p75         double precision,
+  p90         double precision,
+  mirrored_at timestamptz NOT NULL,
+  PRIMARY KEY (chart, category, month_year, type, label)
+);
+
+CREATE TABLE contributors (
+  login           text NOT NULL,
+  repository      text NOT NULL,                   -- EIPs, ERCs, ...
+  github_id       bigint,
+  rank            integer,
+  total_commits   bigint,
+  total_additions bigint,
+  total_deletions bigint,
+  html_url        text,
+  avatar_url      text,
+  last_updated    timestamptz,
+  mirrored_at     timestamptz NOT NULL,
+  PRIMARY KEY (login, repository)
+);
+
+CREATE TABLE contributor_weeks (
+  login      text NOT NULL,
+  repository text NOT NULL,
+  week       timestamptz NOT NULL,                 -- start of the week
+  commits    integer,
+  additions  bigint,
+  deletions  bigint,
+  PRIMARY KEY (login, repository, week),
+  FOREIGN KEY (login, repository) REFERENCES contributors (login, repository) ON DELETE CASCADE
+);
+
+CREATE TABLE repository_stats (
+  repository         text PRIMARY KEY,
+  total_contributors integer,
+  total_commits      bigint,
+  total_additions    bigint,
+  total_deletions    bigint,
+  summary_text       text,
+  last_updated       timestamptz,
+  mirrored_at        timestamptz NOT NULL
+);
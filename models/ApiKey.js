@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// API key schema - A client credential of the REST API (see lib/api-keys.js).
+// Only the SHA-256 hash of the key is stored; the key itself is shown once, when
+// it is created.
+const apiKeySchema = new mongoose.Schema({
+  name: String,                     // Who or what the key is for, e.g. "dashboard"
+  prefix: String,                   // Start of the key, shown in listings to tell keys apart
+  hash: String,                     // Hex SHA-256 of the key
+  scope: String,                    // 'read' or 'admin' (admin keys can read too)
+  rateLimit: Number,                // Requests per window; null: RATE_LIMIT_API_KEY
+  createdAt: Date,
+  lastUsedAt: Date,                 // Updated at most once a minute
+  revokedAt: Date                   // Set by `node api-keys.js revoke`; null while active
+}, {
+  versionKey: false
+});
+
+apiKeySchema.index({ hash: 1 }, { unique: true });
+apiKeySchema.index({ prefix: 1 });
+
+module.exports = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema, 'api_keys');
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Chart data schema - One data point of a pre-aggregated chart collection
+const chartDataSchema = new mongoose.Schema({
+  _id: String,
+  category: String,   // eips, ercs, rips, ... or all
+  monthYear: String,  // "YYYY-MM"
+  type: String,       // Series name (Created/Merged/..., a label, TimeToMerge/...)
+  count: Number
+}, { strict: false });
+
+// Returns the model for a chart collection (e.g. "eipsPRCharts", "allCustomCharts")
+function getChartModel(collectionName) {
+  return mongoose.models[collectionName] || mongoose.model(collectionName, chartDataSchema, collectionName);
+}
+
+module.exports = {
+  chartDataSchema,
+  getChartModel
+};
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Chart dirty month schema - A month whose chart documents are out of date because
+// a webhook changed one of its PRs; cleared when the charts step rebuilds them
+const chartDirtyMonthSchema = new mongoose.Schema({
+  specType: String,                 // EIP, ERC, RIP
+  monthYear: String,                // "YYYY-MM"
+  events: Number,                   // Webhook deliveries that touched this month
+  lastEvent: String,                // e.g. "pull_request.labeled #1234"
+  firstMarkedAt: Date,
+  lastMarkedAt: Date
+}, {
+  strict: false,
+  versionKey: false
+});
+
+chartDirtyMonthSchema.index({ specType: 1, monthYear: 1 }, { unique: true });
+
+module.exports = mongoose.models.ChartDirtyMonth || mongoose.model('ChartDirtyMonth', chartDirtyMonthSchema, 'chart_dirty_months');
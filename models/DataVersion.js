@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Data version schema - A counter bumped whenever the data the API serves changes
+// (see lib/data-version.js). The collection holds a single document.
+const dataVersionSchema = new mongoose.Schema({
+  _id: String,                      // Always "current"
+  version: Number,
+  updatedAt: Date,
+  source: String                    // What bumped it last, e.g. "step:charts" or "webhook:pull_request.closed"
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.models.DataVersion || mongoose.model('DataVersion', dataVersionSchema, 'data_versions');
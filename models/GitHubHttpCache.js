@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// GitHub HTTP cache schema - Last 200 response of a GitHub GET, revalidated with
+// If-None-Match; a 304 answer is served from here and doesn't count against the rate limit
+const gitHubHttpCacheSchema = new mongoose.Schema({
+  _id: String,                      // Request key: URL plus Accept header
+  url: String,
+  etag: String,
+  lastModified: String,
+  link: String,                     // Link header, so cached pages still paginate
+  body: String,                     // Raw JSON response body
+  fetchedAt: Date,                  // Last 200 response
+  usedAt: Date,                     // Last time the entry was sent or served
+  hits: Number                      // 304 responses served from this entry
+}, {
+  strict: false,
+  versionKey: false
+});
+
+// Entries nobody has asked for in 30 days are dropped
+gitHubHttpCacheSchema.index({ usedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.models.GitHubHttpCache || mongoose.model('GitHubHttpCache', gitHubHttpCacheSchema, 'github_http_cache');
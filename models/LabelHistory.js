@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Label event schema - One labeled/unlabeled timeline event on a PR
+const labelEventSchema = new mongoose.Schema({
+  eventId: String,                  // GitHub timeline event node id (dedup key)
+  prId: Number,                     // GitHub PR ID
+  number: Number,                   // PR number
+  specType: String,                 // EIP, ERC, RIP
+  action: String,                   // 'labeled' or 'unlabeled'
+  label: String,                    // Raw GitHub label name
+  actor: String,                    // Who added/removed the label
+  createdAt: Date                   // When the event happened
+}, { strict: false });
+
+labelEventSchema.index({ eventId: 1 }, { unique: true });
+labelEventSchema.index({ specType: 1, prId: 1, createdAt: 1 });
+
+// State interval schema - A span of time a PR carried a refined label
+const stateIntervalSchema = new mongoose.Schema({
+  prId: Number,
+  number: Number,
+  specType: String,
+  state: String,                    // Refined label (e.g. "Editor Review", "Last Call")
+  enteredAt: Date,                  // When the PR entered this state
+  exitedAt: Date,                   // When it left (null while the PR is still open in it)
+  durationHours: Number,            // exitedAt - enteredAt (null while ongoing)
+  monthYear: String                 // "YYYY-MM" of enteredAt
+}, { strict: false });
+
+stateIntervalSchema.index({ specType: 1, prId: 1 });
+stateIntervalSchema.index({ specType: 1, state: 1, monthYear: 1 });
+
+const LABEL_EVENTS = mongoose.models.LABEL_EVENTS || mongoose.model("LABEL_EVENTS", labelEventSchema, "pr_label_events");
+const STATE_INTERVALS = mongoose.models.STATE_INTERVALS || mongoose.model("STATE_INTERVALS", stateIntervalSchema, "pr_state_intervals");
+
+module.exports = {
+  LABEL_EVENTS,
+  STATE_INTERVALS
+};
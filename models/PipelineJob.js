@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Pipeline job schema - An on-demand run requested through the admin API and
+// picked up by the scheduler
+const pipelineJobSchema = new mongoose.Schema({
+  kind: String,                     // 'pipeline' (all steps) or 'step'
+  step: String,                     // Step key for 'step' jobs ('fetch', 'charts', ...)
+  status: String,                   // 'queued', 'running', 'success', 'partial', 'failed', 'cancelled', 'skipped'
+  requestedBy: String,              // Free-text requester (e.g. the editor's name)
+  requestedAt: Date,
+  claimedBy: String,                // "host:pid" of the scheduler running the job
+  startedAt: Date,
+  finishedAt: Date,
+  runId: mongoose.Schema.Types.ObjectId,  // pipeline_runs document of the run
+  cancelRequested: Boolean,         // Set by DELETE /api/admin/jobs/:id while the job runs
+  error: String
+}, {
+  strict: false,
+  versionKey: false
+});
+
+pipelineJobSchema.index({ status: 1, requestedAt: 1 });
+pipelineJobSchema.index({ requestedAt: -1 });
+
+module.exports = mongoose.models.PipelineJob || mongoose.model('PipelineJob', pipelineJobSchema, 'pipeline_jobs');
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Pipeline lock schema - Lease that keeps two scheduler runs from overlapping
+const pipelineLockSchema = new mongoose.Schema({
+  _id: String,                      // Lock name (e.g. 'pipeline')
+  owner: String,                    // "host:pid:token" of the holder
+  runId: mongoose.Schema.Types.ObjectId,  // pipeline_runs document of the holder
+  acquiredAt: Date,
+  heartbeatAt: Date,                // Last time the holder extended the lease
+  expiresAt: Date                   // Lease end; expired locks may be taken over
+}, {
+  strict: false,
+  versionKey: false
+});
+
+// MongoDB removes expired leases on its own (the TTL monitor runs about once a
+// minute); acquire() also treats an expired lease as free, so a crashed holder
+// never blocks the pipeline for longer than the lease
+pipelineLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.PipelineLock || mongoose.model('PipelineLock', pipelineLockSchema, 'pipeline_locks');
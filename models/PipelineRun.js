@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Pipeline step schema - One step (fetch, contributors, snapshot, charts) of a run
+const pipelineStepSchema = new mongoose.Schema({
+  key: String,                      // 'fetch', 'contributors', 'snapshot', 'charts'
+  name: String,                     // Human readable step name
+  script: String,                   // Script the step runs
+  status: String,                   // 'pending', 'running', 'success', 'failed', 'cancelled', 'skipped'
+  attempts: Number,                 // Attempts made, including retries
+  skipReason: String,               // Why the step was skipped
+  completedInRun: mongoose.Schema.Types.ObjectId,  // Resumed runs: run in which this step already succeeded
+  startedAt: Date,
+  finishedAt: Date,
+  durationMs: Number,
+  counts: mongoose.Schema.Types.Mixed,  // Rows written per collection, e.g. { eipprs: 12 }
+  result: mongoose.Schema.Types.Mixed,  // Full result returned by the job's run()
+  error: String                     // Error text when the step failed
+}, { _id: false });
+
+// Pipeline run schema - One execution of the scheduler pipeline
+const pipelineRunSchema = new mongoose.Schema({
+  trigger: String,                  // 'schedule', 'test', 'resume', 'admin', 'once', ...
+  status: String,                   // 'running', 'success', 'partial', 'failed', 'cancelled', 'skipped'
+  resumedFrom: mongoose.Schema.Types.ObjectId,  // Failed, partial or cancelled run this run resumes
+  jobId: mongoose.Schema.Types.ObjectId,  // Admin API runs: pipeline_jobs document that requested the run
+  skipReason: String,               // Skipped runs: why the run never started
+  lockHolder: mongoose.Schema.Types.Mixed,  // Skipped runs: who held the pipeline lock
+  lockWaitMs: Number,               // Time spent queued for the pipeline lock
+  lockLost: Boolean,                // The lock lease was lost while the run was in progress
+  startedAt: Date,
+  finishedAt: Date,
+  durationMs: Number,
+  host: String,                     // Scheduler host name
+  pid: Number,                      // Scheduler process id
+  error: String,                    // First step error, if any
+  steps: [pipelineStepSchema]
+}, {
+  strict: false,
+  timestamps: true
+});
+
+pipelineRunSchema.index({ startedAt: -1 });
+pipelineRunSchema.index({ status: 1, startedAt: -1 });
+
+module.exports = mongoose.models.PipelineRun || mongoose.model('PipelineRun', pipelineRunSchema, 'pipeline_runs');
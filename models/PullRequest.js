@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Pull request schema - One document per PR in the per-repository PR collections
+// (eipprs, ercprs, ripprs, ... see lib/repositories.js)
+const prSchema = new mongoose.Schema({
+  prId: Number,
+  number: Number,
+  title: String,
+  author: String,
+  prUrl: String,
+  githubLabels: [String],
+  state: String,
+  mergeable_state: String,
+  createdAt: Date,
+  updatedAt: Date,
+  closedAt: Date,
+  mergedAt: Date,
+  specType: String,
+  customLabels: [String],
+  // Populated by the GraphQL fetcher (--graphql) only
+  isDraft: Boolean,
+  mergeable: String,
+  additions: Number,
+  deletions: Number,
+  changedFiles: Number,
+  commentCount: Number,
+  reviewThreadCount: Number,
+  commitCount: Number,
+  reviewCount: Number,
+  reviews: [{ author: String, state: String, submittedAt: Date }],
+  requestedReviewers: [String],
+  labelEvents: [{ eventId: String, action: String, label: String, actor: String, createdAt: Date }],
+}, { strict: false });
+
+prSchema.index({ prId: 1 });
+
+// Returns the PR model of a registry entry (EIP_PR -> eipprs, ...)
+function getPullRequestModel(repository) {
+  const name = `${repository.specType}_PR`;
+  return mongoose.models[name] || mongoose.model(name, prSchema, repository.collections.prs);
+}
+
+module.exports = {
+  prSchema,
+  getPullRequestModel
+};
@@ -17,12 +17,15 @@ const rawLabelsSchema = new mongoose.Schema({
   specType: String,
 }, { strict: false });
 
-const EIP_RAW_LABELS = mongoose.models.EIP_RAW_LABELS || mongoose.model("EIP_RAW_LABELS", rawLabelsSchema, "eip_raw_labels");
-const ERC_RAW_LABELS = mongoose.models.ERC_RAW_LABELS || mongoose.model("ERC_RAW_LABELS", rawLabelsSchema, "erc_raw_labels");
-const RIP_RAW_LABELS = mongoose.models.RIP_RAW_LABELS || mongoose.model("RIP_RAW_LABELS", rawLabelsSchema, "rip_raw_labels");
+rawLabelsSchema.index({ prId: 1 });
+
+// Returns the raw labels model of a registry entry (EIP_RAW_LABELS -> eip_raw_labels, ...)
+function getRawLabelsModel(repository) {
+  const name = `${repository.specType}_RAW_LABELS`;
+  return mongoose.models[name] || mongoose.model(name, rawLabelsSchema, repository.collections.rawLabels);
+}
 
 module.exports = {
-  EIP_RAW_LABELS,
-  ERC_RAW_LABELS,
-  RIP_RAW_LABELS
-};
\ No newline at end of file
+  rawLabelsSchema,
+  getRawLabelsModel
+};
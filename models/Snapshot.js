@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Monthly snapshot schema - PRs that were open at the end of each month
+const snapshotSchema = new mongoose.Schema({
+  snapshotDate: String, // "YYYY-MM-DD"
+  month: String,        // "YYYY-MM"
+  prs: [mongoose.Schema.Types.Mixed]
+}, { strict: false });
+
+// Returns the snapshot model of a registry entry (EIP_SNAP -> open_pr_snapshots, ...)
+function getSnapshotModel(repository) {
+  const name = `${repository.specType}_SNAP`;
+  return mongoose.models[name] || mongoose.model(name, snapshotSchema, repository.collections.snapshots);
+}
+
+module.exports = {
+  snapshotSchema,
+  getSnapshotModel
+};
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Sync state schema - Per-repository watermark for incremental PR imports
+const syncStateSchema = new mongoose.Schema({
+  repository: String,               // "owner/repo" (e.g. ethereum/EIPs)
+  specType: String,                 // EIP, ERC, RIP
+  lastUpdatedAt: Date,              // Highest PR updatedAt seen so far, capped at the fetch start (the watermark)
+  lastRunAt: Date,                  // When the last sync for this repository finished
+  lastMode: String,                 // 'full' or 'incremental'
+  lastSyncedCount: Number           // PRs written by the last sync
+}, {
+  strict: false,
+  timestamps: true
+});
+
+syncStateSchema.index({ repository: 1 }, { unique: true });
+
+module.exports = mongoose.models.SyncState || mongoose.model('SyncState', syncStateSchema, 'pr_sync_state');
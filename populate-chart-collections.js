@@ -1,331 +1,31 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
-const dayjs = require('dayjs');
+const { withPublishBatch } = require('./lib/collection-swap');
+const { getLatencyByMonthYear } = require('./lib/latency');
+const {
+  comparePRStates,
+  compareLabelCounts,
+  getPRStateCountsByMonthYear,
+  getCustomLabelsCountsByMonthYear,
+  getRawLabelsCountsByMonthYear,
+  combineChartData
+} = require('./lib/pr-charts');
+const { reportResult } = require('./lib/job-result');
+const { clearDirtyMonths } = require('./lib/chart-dirty-months');
+const { loadStartupConfig } = require('./lib/config');
+const { bumpDataVersion } = require('./lib/data-version');
 
-// MongoDB connection
-const MONGODB_URI = process.env.OPENPRS_MONGODB_URI;
-const DBNAME = process.env.OPENPRS_DATABASE;
-
-// Schemas
-const prSchema = new mongoose.Schema({
-  prId: Number,
-  number: Number,
-  title: String,
-  author: String,
-  prUrl: String,
-  githubLabels: [String],
-  state: String,
-  mergeable_state: String,
-  createdAt: Date,
-  updatedAt: Date,
-  closedAt: Date,
-  mergedAt: Date,
-  specType: String,
-  customLabels: [String],
-}, { strict: false });
-
-// Chart data schema
-const chartDataSchema = new mongoose.Schema({
-  _id: String,
-  category: String,
-  monthYear: String,
-  type: String,
-  count: Number
-}, { strict: false });
-
-// Raw labels schema
-const rawLabelsSchema = new mongoose.Schema({
-  prId: Number,
-  number: Number,
-  title: String,
-  author: String,
-  prUrl: String,
-  rawGithubLabels: [String],
-  refinedLabels: [String],
-  state: String,
-  mergeable_state: String,
-  createdAt: Date,
-  updatedAt: Date,
-  closedAt: Date,
-  mergedAt: Date,
-  specType: String
-}, { strict: false });
-
-// Models
-const EIP_PR = mongoose.models.EIP_PR || mongoose.model("EIP_PR", prSchema, "eipprs");
-const ERC_PR = mongoose.models.ERC_PR || mongoose.model("ERC_PR", prSchema, "ercprs");
-const RIP_PR = mongoose.models.RIP_PR || mongoose.model("RIP_PR", prSchema, "ripprs");
-
-// Raw labels models
-const EIP_RAW_LABELS = mongoose.models.EIP_RAW_LABELS || mongoose.model("EIP_RAW_LABELS", rawLabelsSchema, "eip_raw_labels");
-const ERC_RAW_LABELS = mongoose.models.ERC_RAW_LABELS || mongoose.model("ERC_RAW_LABELS", rawLabelsSchema, "erc_raw_labels");
-const RIP_RAW_LABELS = mongoose.models.RIP_RAW_LABELS || mongoose.model("RIP_RAW_LABELS", rawLabelsSchema, "rip_raw_labels");
-
-// Chart collections - Graph 1: PR State Counts
-const EIPS_PR_CHARTS = mongoose.models.EIPS_PR_CHARTS || mongoose.model("EIPS_PR_CHARTS", chartDataSchema, "eipsPRCharts");
-const ERCS_PR_CHARTS = mongoose.models.ERCS_PR_CHARTS || mongoose.model("ERCS_PR_CHARTS", chartDataSchema, "ercsPRCharts");
-const RIPS_PR_CHARTS = mongoose.models.RIPS_PR_CHARTS || mongoose.model("RIPS_PR_CHARTS", chartDataSchema, "ripsPRCharts");
-const ALL_PR_CHARTS = mongoose.models.ALL_PR_CHARTS || mongoose.model("ALL_PR_CHARTS", chartDataSchema, "allPRCharts");
-
-// Chart collections - Graph 2: Custom Labels
-const EIPS_CUSTOM_CHARTS = mongoose.models.EIPS_CUSTOM_CHARTS || mongoose.model("EIPS_CUSTOM_CHARTS", chartDataSchema, "eipsCustomCharts");
-const ERCS_CUSTOM_CHARTS = mongoose.models.ERCS_CUSTOM_CHARTS || mongoose.model("ERCS_CUSTOM_CHARTS", chartDataSchema, "ercsCustomCharts");
-const RIPS_CUSTOM_CHARTS = mongoose.models.RIPS_CUSTOM_CHARTS || mongoose.model("RIPS_CUSTOM_CHARTS", chartDataSchema, "ripsCustomCharts");
-const ALL_CUSTOM_CHARTS = mongoose.models.ALL_CUSTOM_CHARTS || mongoose.model("ALL_CUSTOM_CHARTS", chartDataSchema, "allCustomCharts");
-
-// Chart collections - Graph 3: Raw GitHub Labels
-const EIPS_RAW_CHARTS = mongoose.models.EIPS_RAW_CHARTS || mongoose.model("EIPS_RAW_CHARTS", chartDataSchema, "eipsRawCharts");
-const ERCS_RAW_CHARTS = mongoose.models.ERCS_RAW_CHARTS || mongoose.model("ERCS_RAW_CHARTS", chartDataSchema, "ercsRawCharts");
-const RIPS_RAW_CHARTS = mongoose.models.RIPS_RAW_CHARTS || mongoose.model("RIPS_RAW_CHARTS", chartDataSchema, "ripsRawCharts");
-const ALL_RAW_CHARTS = mongoose.models.ALL_RAW_CHARTS || mongoose.model("ALL_RAW_CHARTS", chartDataSchema, "allRawCharts");
-
-// Helper function to get month-year from date
-function getMonthYear(date) {
-  return dayjs(date).format('YYYY-MM');
-}
-
-// Helper function to get HYBRID PR state counts by month-year
-// Created/Merged/Closed: Count PRs that changed to that status in that specific month
-// Open: Cumulative count of PRs still open at the end of that month
-function getPRStateCountsByMonthYear(prs, specType) {
-  // Get all unique months from the data
-  const allMonths = new Set();
-  prs.forEach(pr => {
-    const createdMonth = getMonthYear(pr.createdAt);
-    allMonths.add(createdMonth);
-    
-    if (pr.closedAt) {
-      allMonths.add(getMonthYear(pr.closedAt));
-    }
-    if (pr.mergedAt) {
-      allMonths.add(getMonthYear(pr.mergedAt));
-    }
-  });
-  
-  // Sort months chronologically
-  const sortedMonths = Array.from(allMonths).sort();
-  
-  const formattedData = [];
-  const category = specType.toLowerCase() + 's'; // eips, ercs, rips
-  
-  // For each month, calculate counts
-  sortedMonths.forEach(monthYear => {
-    // Create a date representing the end of this month
-    const [year, month] = monthYear.split('-').map(Number);
-    const monthEndDate = new Date(year, month, 0, 23, 59, 59, 999); // Last day of month
-    const monthStartDate = new Date(year, month - 1, 1); // First day of month
-    
-    let monthlyCreated = 0; // PRs CREATED in this month
-    let monthlyMerged = 0;  // PRs MERGED in this month  
-    let monthlyClosed = 0;  // PRs CLOSED in this month
-    let cumulativeOpen = 0; // PRs OPEN at end of this month (cumulative)
-    
-    prs.forEach(pr => {
-      // Count PRs CREATED in this specific month
-      if (pr.createdAt >= monthStartDate && pr.createdAt <= monthEndDate) {
-        monthlyCreated++;
-      }
-      
-      // Count PRs MERGED in this specific month
-      if (pr.mergedAt && pr.mergedAt >= monthStartDate && pr.mergedAt <= monthEndDate) {
-        monthlyMerged++;
-      }
-      
-      // Count PRs CLOSED (but not merged) in this specific month
-      if (pr.closedAt && !pr.mergedAt && pr.closedAt >= monthStartDate && pr.closedAt <= monthEndDate) {
-        monthlyClosed++;
-      }
-      
-      // Count PRs that are OPEN at the end of this month (cumulative)
-      if (pr.createdAt <= monthEndDate) { // PR existed by this month-end
-        if (!pr.mergedAt && !pr.closedAt) {
-          // Never closed or merged - still open
-          cumulativeOpen++;
-        } else if (pr.mergedAt && pr.mergedAt > monthEndDate) {
-          // Will be merged later - still open at this month-end
-          cumulativeOpen++;
-        } else if (pr.closedAt && pr.closedAt > monthEndDate) {
-          // Will be closed later - still open at this month-end
-          cumulativeOpen++;
-        }
-      }
-    });
-    
-    // Add each status as a separate document
-    formattedData.push(
-      {
-        _id: `${monthYear}-created-${Date.now()}-${Math.random()}`,
-        category: category,
-        monthYear: monthYear,
-        type: "Created",
-        count: monthlyCreated
-      },
-      {
-        _id: `${monthYear}-merged-${Date.now()}-${Math.random()}`,
-        category: category,
-        monthYear: monthYear,
-        type: "Merged",
-        count: monthlyMerged
-      },
-      {
-        _id: `${monthYear}-closed-${Date.now()}-${Math.random()}`,
-        category: category,
-        monthYear: monthYear,
-        type: "Closed",
-        count: monthlyClosed
-      },
-      {
-        _id: `${monthYear}-open-${Date.now()}-${Math.random()}`,
-        category: category,
-        monthYear: monthYear,
-        type: "Open",
-        count: cumulativeOpen
-      }
-    );
-  });
-  
-  return formattedData.sort((a, b) => {
-    // Sort by monthYear descending, then by type
-    if (a.monthYear !== b.monthYear) {
-      return b.monthYear.localeCompare(a.monthYear);
-    }
-    const typeOrder = ["Created", "Merged", "Closed", "Open"];
-    return typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type);
-  });
-}
-
-// Helper function for Graph 2: Custom Labels by month-year
-function getCustomLabelsCountsByMonthYear(prs, specType) {
-  // Get all unique months and labels
-  const allMonths = new Set();
-  const allLabels = new Set();
-  
-  prs.forEach(pr => {
-    allMonths.add(getMonthYear(pr.createdAt));
-    if (pr.customLabels) {
-      pr.customLabels.forEach(label => allLabels.add(label));
-    }
-  });
-  
-  const sortedMonths = Array.from(allMonths).sort();
-  const formattedData = [];
-  const category = specType.toLowerCase() + 's';
-  
-  // For each month, count PRs by custom labels
-  sortedMonths.forEach(monthYear => {
-    const labelCounts = {};
-    
-    // Initialize all labels with 0
-    allLabels.forEach(label => {
-      labelCounts[label] = 0;
-    });
-    
-    // Count PRs created in this month by their custom labels
-    prs.forEach(pr => {
-      if (getMonthYear(pr.createdAt) === monthYear && pr.customLabels) {
-        pr.customLabels.forEach(label => {
-          labelCounts[label]++;
-        });
-      }
-    });
-    
-    // Add each label as a separate document
-    Object.entries(labelCounts).forEach(([label, count]) => {
-      if (count > 0) { // Only include labels that have PRs
-        formattedData.push({
-          _id: `${monthYear}-${label}-${Date.now()}-${Math.random()}`,
-          category: category,
-          monthYear: monthYear,
-          type: label,
-          count: count
-        });
-      }
-    });
-  });
-  
-  return formattedData.sort((a, b) => {
-    if (a.monthYear !== b.monthYear) {
-      return b.monthYear.localeCompare(a.monthYear);
-    }
-    return b.count - a.count; // Sort by count descending within same month
-  });
-}
-
-// Helper function for Graph 3: Raw GitHub Labels by month-year
-// PRs that were OPEN during that specific month-year with raw GitHub labels
-function getRawLabelsCountsByMonthYear(rawLabelsPrs, specType) {
-  // Get all unique months and raw labels
-  const allMonths = new Set();
-  const allRawLabels = new Set();
-  
-  rawLabelsPrs.forEach(pr => {
-    allMonths.add(getMonthYear(pr.createdAt));
-    if (pr.rawGithubLabels) {
-      pr.rawGithubLabels.forEach(label => allRawLabels.add(label));
-    }
-  });
-  
-  const sortedMonths = Array.from(allMonths).sort();
-  const formattedData = [];
-  const category = specType.toLowerCase() + 's';
-  
-  // For each month, count PRs that were open during that month
-  sortedMonths.forEach(monthYear => {
-    // Create date range for this month
-    const [year, month] = monthYear.split('-').map(Number);
-    const monthStartDate = new Date(year, month - 1, 1); // First day of month
-    const monthEndDate = new Date(year, month, 0, 23, 59, 59, 999); // Last day of month
-    
-    const monthlyOpenCounts = {};
-    
-    // Initialize all labels with 0
-    allRawLabels.forEach(label => {
-      monthlyOpenCounts[label] = 0;
-    });
-    
-    rawLabelsPrs.forEach(pr => {
-      if (!pr.rawGithubLabels) return;
-      
-      // Check if PR was open during this month
-      const prCreated = pr.createdAt <= monthEndDate; // PR existed by end of month
-      const prNotClosedYet = !pr.closedAt || pr.closedAt > monthStartDate; // Not closed before month started
-      const prNotMergedYet = !pr.mergedAt || pr.mergedAt > monthStartDate; // Not merged before month started
-      
-      // PR was open during this month if it existed and wasn't closed/merged before the month started
-      if (prCreated && prNotClosedYet && prNotMergedYet) {
-        pr.rawGithubLabels.forEach(label => {
-          monthlyOpenCounts[label]++;
-        });
-      }
-    });
-    
-    // Add monthly open counts as documents
-    Object.entries(monthlyOpenCounts).forEach(([label, count]) => {
-      if (count > 0) { // Only include labels that have PRs
-        formattedData.push({
-          _id: `${monthYear}-${label}-${Date.now()}-${Math.random()}`,
-          category: category,
-          monthYear: monthYear,
-          type: label,
-          count: count
-        });
-      }
-    });
-  });
-  
-  return formattedData.sort((a, b) => {
-    if (a.monthYear !== b.monthYear) {
-      return b.monthYear.localeCompare(a.monthYear);
-    }
-    return b.count - a.count; // Sort by count descending within same month
-  });
-}
+// Models (collection names come from the repository registry)
+const { getPullRequestModel } = require('./models/PullRequest');
+const { getRawLabelsModel } = require('./models/RawLabelsPr');
+const { getChartModel } = require('./models/ChartData');
+const { getRepositories, ALL_CHART_COLLECTIONS } = require('./lib/repositories');
 
 // Function to populate PR state chart collection (Graph 1)
 // HYBRID APPROACH:
 // - Created/Merged/Closed: Count PRs that changed to that status in that specific month
 // - Open: Cumulative count of PRs still open at the end of that month
-async function populateChartCollection(PRModel, ChartModel, specType, collectionName) {
+async function populateChartCollection(PRModel, ChartModel, specType, collectionName, batch) {
   console.log(`[${specType}] Processing ${collectionName} (Graph 1: Hybrid PR States)...`);
   
   // Get all PRs
@@ -333,33 +33,31 @@ async function populateChartCollection(PRModel, ChartModel, specType, collection
   console.log(`[${specType}] Found ${prs.length} PRs`);
   
   if (prs.length === 0) {
-    console.log(`[${specType}] No PRs found, skipping...`);
-    return;
+    console.log(`[${specType}] No PRs found, keeping existing records...`);
+    return ChartModel.find({}).lean();
   }
   
   // Generate chart data
   const chartData = getPRStateCountsByMonthYear(prs, specType);
   console.log(`[${specType}] Generated ${chartData.length} chart data points`);
   
-  // Clear existing data
-  const deleted = await ChartModel.deleteMany({});
-  console.log(`[${specType}] Deleted ${deleted.deletedCount} existing chart records`);
+  // Stage new data (published with the rest of the step)
+  await batch.stage(ChartModel, chartData);
+  console.log(`[${specType}] Staged ${chartData.length} chart records`);
   
-  // Insert new data
   if (chartData.length > 0) {
-    await ChartModel.insertMany(chartData);
-    console.log(`[${specType}] Inserted ${chartData.length} chart records`);
-    
     // Show sample data
     console.log(`[${specType}] Sample data:`);
     chartData.slice(0, 4).forEach(item => {
       console.log(`  ${item.monthYear} - ${item.type}: ${item.count}`);
     });
   }
+  
+  return chartData;
 }
 
 // Function to populate custom labels chart collection (Graph 2)
-async function populateCustomLabelsCollection(PRModel, ChartModel, specType, collectionName) {
+async function populateCustomLabelsCollection(PRModel, ChartModel, specType, collectionName, batch) {
   console.log(`[${specType}] Processing ${collectionName} (Graph 2: Custom Labels)...`);
   
   // Get all PRs
@@ -367,33 +65,31 @@ async function populateCustomLabelsCollection(PRModel, ChartModel, specType, col
   console.log(`[${specType}] Found ${prs.length} PRs`);
   
   if (prs.length === 0) {
-    console.log(`[${specType}] No PRs found, skipping...`);
-    return;
+    console.log(`[${specType}] No PRs found, keeping existing records...`);
+    return ChartModel.find({}).lean();
   }
   
   // Generate chart data
   const chartData = getCustomLabelsCountsByMonthYear(prs, specType);
   console.log(`[${specType}] Generated ${chartData.length} custom label data points`);
   
-  // Clear existing data
-  const deleted = await ChartModel.deleteMany({});
-  console.log(`[${specType}] Deleted ${deleted.deletedCount} existing custom label records`);
+  // Stage new data (published with the rest of the step)
+  await batch.stage(ChartModel, chartData);
+  console.log(`[${specType}] Staged ${chartData.length} custom label records`);
   
-  // Insert new data
   if (chartData.length > 0) {
-    await ChartModel.insertMany(chartData);
-    console.log(`[${specType}] Inserted ${chartData.length} custom label records`);
-    
     // Show sample data
     console.log(`[${specType}] Custom Labels Sample data:`);
     chartData.slice(0, 5).forEach(item => {
       console.log(`  ${item.monthYear} - ${item.type}: ${item.count}`);
     });
   }
+  
+  return chartData;
 }
 
 // Function to populate raw labels chart collection (Graph 3)
-async function populateRawLabelsCollection(RawLabelsModel, ChartModel, specType, collectionName) {
+async function populateRawLabelsCollection(RawLabelsModel, ChartModel, specType, collectionName, batch) {
   console.log(`[${specType}] Processing ${collectionName} (Graph 3: Raw GitHub Labels)...`);
   
   // Get all raw labels PRs
@@ -401,83 +97,43 @@ async function populateRawLabelsCollection(RawLabelsModel, ChartModel, specType,
   console.log(`[${specType}] Found ${rawLabelsPrs.length} raw labels PRs`);
   
   if (rawLabelsPrs.length === 0) {
-    console.log(`[${specType}] No raw labels PRs found, skipping...`);
-    return;
+    console.log(`[${specType}] No raw labels PRs found, keeping existing records...`);
+    return ChartModel.find({}).lean();
   }
   
   // Generate chart data
   const chartData = getRawLabelsCountsByMonthYear(rawLabelsPrs, specType);
   console.log(`[${specType}] Generated ${chartData.length} raw label data points`);
   
-  // Clear existing data
-  const deleted = await ChartModel.deleteMany({});
-  console.log(`[${specType}] Deleted ${deleted.deletedCount} existing raw label records`);
+  // Stage new data (published with the rest of the step)
+  await batch.stage(ChartModel, chartData);
+  console.log(`[${specType}] Staged ${chartData.length} raw label records`);
   
-  // Insert new data
   if (chartData.length > 0) {
-    await ChartModel.insertMany(chartData);
-    console.log(`[${specType}] Inserted ${chartData.length} raw label records`);
-    
     // Show sample data
     console.log(`[${specType}] Raw Labels Sample data:`);
     chartData.slice(0, 5).forEach(item => {
       console.log(`  ${item.monthYear} - ${item.type}: ${item.count}`);
     });
   }
+  
+  return chartData;
 }
 
 // Function to create combined 'all' collection for PR States (Graph 1)
-async function populateAllCollection() {
+// Combines the per-spec chart data generated earlier in this run (not the live
+// collections, which still hold the previous run until the step publishes)
+async function populateAllCollection(specData, batch) {
   console.log(`[ALL] Creating combined PR states collection...`);
   
-  // Get data from all three collections
-  const [eipsData, ercsData, ripsData] = await Promise.all([
-    EIPS_PR_CHARTS.find({}).lean(),
-    ERCS_PR_CHARTS.find({}).lean(),
-    RIPS_PR_CHARTS.find({}).lean()
-  ]);
-  
-  // Combine and re-calculate totals
-  const combinedData = [];
-  const monthlyTotals = {};
-  
-  // Process all data
-  [...eipsData, ...ercsData, ...ripsData].forEach(item => {
-    const key = `${item.monthYear}-${item.type}`;
-    if (!monthlyTotals[key]) {
-      monthlyTotals[key] = {
-        _id: `${item.monthYear}-${item.type}-${Date.now()}-${Math.random()}`,
-        category: 'all',
-        monthYear: item.monthYear,
-        type: item.type,
-        count: 0
-      };
-    }
-    monthlyTotals[key].count += item.count;
-  });
-  
-  // Convert to array
-  Object.values(monthlyTotals).forEach(item => {
-    combinedData.push(item);
-  });
-  
-  // Sort data
-  combinedData.sort((a, b) => {
-    if (a.monthYear !== b.monthYear) {
-      return b.monthYear.localeCompare(a.monthYear);
-    }
-    const typeOrder = ["Created", "Merged", "Closed", "Open"];
-    return typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type);
-  });
+  // Sum the data generated for each spec type in this run
+  const combinedData = combineChartData(specData, comparePRStates);
   
-  // Clear and insert
-  const deleted = await ALL_PR_CHARTS.deleteMany({});
-  console.log(`[ALL] Deleted ${deleted.deletedCount} existing all records`);
+  // Stage new data (published with the rest of the step)
+  await batch.stage(getChartModel(ALL_CHART_COLLECTIONS.prCharts), combinedData);
+  console.log(`[ALL] Staged ${combinedData.length} combined records`);
   
   if (combinedData.length > 0) {
-    await ALL_PR_CHARTS.insertMany(combinedData);
-    console.log(`[ALL] Inserted ${combinedData.length} combined records`);
-    
     // Show sample data
     console.log(`[ALL] Sample data:`);
     combinedData.slice(0, 4).forEach(item => {
@@ -487,55 +143,19 @@ async function populateAllCollection() {
 }
 
 // Function to create combined 'all' collection for Custom Labels (Graph 2)
-async function populateAllCustomCollection() {
+// Combines the per-spec chart data generated earlier in this run (not the live
+// collections, which still hold the previous run until the step publishes)
+async function populateAllCustomCollection(specData, batch) {
   console.log(`[ALL] Creating combined custom labels collection...`);
   
-  // Get data from all three collections
-  const [eipsData, ercsData, ripsData] = await Promise.all([
-    EIPS_CUSTOM_CHARTS.find({}).lean(),
-    ERCS_CUSTOM_CHARTS.find({}).lean(),
-    RIPS_CUSTOM_CHARTS.find({}).lean()
-  ]);
-  
-  // Combine and re-calculate totals
-  const combinedData = [];
-  const monthlyTotals = {};
-  
-  // Process all data
-  [...eipsData, ...ercsData, ...ripsData].forEach(item => {
-    const key = `${item.monthYear}-${item.type}`;
-    if (!monthlyTotals[key]) {
-      monthlyTotals[key] = {
-        _id: `${item.monthYear}-${item.type}-${Date.now()}-${Math.random()}`,
-        category: 'all',
-        monthYear: item.monthYear,
-        type: item.type,
-        count: 0
-      };
-    }
-    monthlyTotals[key].count += item.count;
-  });
-  
-  // Convert to array and sort
-  Object.values(monthlyTotals).forEach(item => {
-    combinedData.push(item);
-  });
+  // Sum the data generated for each spec type in this run
+  const combinedData = combineChartData(specData, compareLabelCounts);
   
-  combinedData.sort((a, b) => {
-    if (a.monthYear !== b.monthYear) {
-      return b.monthYear.localeCompare(a.monthYear);
-    }
-    return b.count - a.count;
-  });
-  
-  // Clear and insert
-  const deleted = await ALL_CUSTOM_CHARTS.deleteMany({});
-  console.log(`[ALL] Deleted ${deleted.deletedCount} existing all custom records`);
+  // Stage new data (published with the rest of the step)
+  await batch.stage(getChartModel(ALL_CHART_COLLECTIONS.customCharts), combinedData);
+  console.log(`[ALL] Staged ${combinedData.length} combined custom records`);
   
   if (combinedData.length > 0) {
-    await ALL_CUSTOM_CHARTS.insertMany(combinedData);
-    console.log(`[ALL] Inserted ${combinedData.length} combined custom records`);
-    
     // Show sample data
     console.log(`[ALL] Custom Labels Sample data:`);
     combinedData.slice(0, 4).forEach(item => {
@@ -545,55 +165,19 @@ async function populateAllCustomCollection() {
 }
 
 // Function to create combined 'all' collection for Raw Labels (Graph 3)
-async function populateAllRawCollection() {
+// Combines the per-spec chart data generated earlier in this run (not the live
+// collections, which still hold the previous run until the step publishes)
+async function populateAllRawCollection(specData, batch) {
   console.log(`[ALL] Creating combined raw labels collection...`);
   
-  // Get data from all three collections
-  const [eipsData, ercsData, ripsData] = await Promise.all([
-    EIPS_RAW_CHARTS.find({}).lean(),
-    ERCS_RAW_CHARTS.find({}).lean(),
-    RIPS_RAW_CHARTS.find({}).lean()
-  ]);
-  
-  // Combine and re-calculate totals
-  const combinedData = [];
-  const monthlyTotals = {};
-  
-  // Process all data
-  [...eipsData, ...ercsData, ...ripsData].forEach(item => {
-    const key = `${item.monthYear}-${item.type}`;
-    if (!monthlyTotals[key]) {
-      monthlyTotals[key] = {
-        _id: `${item.monthYear}-${item.type}-${Date.now()}-${Math.random()}`,
-        category: 'all',
-        monthYear: item.monthYear,
-        type: item.type,
-        count: 0
-      };
-    }
-    monthlyTotals[key].count += item.count;
-  });
-  
-  // Convert to array and sort
-  Object.values(monthlyTotals).forEach(item => {
-    combinedData.push(item);
-  });
-  
-  combinedData.sort((a, b) => {
-    if (a.monthYear !== b.monthYear) {
-      return b.monthYear.localeCompare(a.monthYear);
-    }
-    return b.count - a.count;
-  });
+  // Sum the data generated for each spec type in this run
+  const combinedData = combineChartData(specData, compareLabelCounts);
   
-  // Clear and insert
-  const deleted = await ALL_RAW_CHARTS.deleteMany({});
-  console.log(`[ALL] Deleted ${deleted.deletedCount} existing all raw records`);
+  // Stage new data (published with the rest of the step)
+  await batch.stage(getChartModel(ALL_CHART_COLLECTIONS.rawCharts), combinedData);
+  console.log(`[ALL] Staged ${combinedData.length} combined raw records`);
   
   if (combinedData.length > 0) {
-    await ALL_RAW_CHARTS.insertMany(combinedData);
-    console.log(`[ALL] Inserted ${combinedData.length} combined raw records`);
-    
     // Show sample data
     console.log(`[ALL] Raw Labels Sample data:`);
     combinedData.slice(0, 4).forEach(item => {
@@ -602,44 +186,133 @@ async function populateAllRawCollection() {
   }
 }
 
-// Main function
-async function main() {
-  console.log(`[START] Connecting to MongoDB (${DBNAME})...`);
-  await mongoose.connect(MONGODB_URI, { dbName: DBNAME });
+// Function to populate latency chart collection (time-to-merge / time-to-close)
+// Returns the PRs it read so the combined 'all' percentiles can be computed from
+// raw durations (percentiles of different spec types cannot simply be summed)
+async function populateLatencyCollection(PRModel, ChartModel, specType, collectionName, batch) {
+  console.log(`[${specType}] Processing ${collectionName} (Latency percentiles)...`);
+  
+  // Get all PRs
+  const prs = await PRModel.find({}, 'createdAt mergedAt closedAt customLabels').lean();
+  console.log(`[${specType}] Found ${prs.length} PRs`);
+  
+  if (prs.length === 0) {
+    console.log(`[${specType}] No PRs found, keeping existing records...`);
+    return prs;
+  }
+  
+  // Generate chart data
+  const chartData = getLatencyByMonthYear(prs, specType);
+  console.log(`[${specType}] Generated ${chartData.length} latency data points`);
+  
+  // Stage new data (published with the rest of the step)
+  await batch.stage(ChartModel, chartData);
+  console.log(`[${specType}] Staged ${chartData.length} latency records`);
+  
+  if (chartData.length > 0) {
+    // Show sample data
+    console.log(`[${specType}] Latency Sample data:`);
+    chartData.slice(0, 4).forEach(item => {
+      console.log(`  ${item.monthYear} - ${item.type} (${item.label}): p50 ${item.p50}h, p90 ${item.p90}h over ${item.count} PRs`);
+    });
+  }
+  
+  return prs;
+}
+
+// Function to create combined 'all' latency collection from every spec type's PRs
+async function populateAllLatencyCollection(specPrs, batch) {
+  console.log(`[ALL] Creating combined latency collection...`);
+  
+  const combinedData = getLatencyByMonthYear(specPrs.flat(), 'all');
   
+  // Stage new data (published with the rest of the step)
+  await batch.stage(getChartModel(ALL_CHART_COLLECTIONS.latencyCharts), combinedData);
+  console.log(`[ALL] Staged ${combinedData.length} combined latency records`);
+}
+
+// Pipeline job: rebuilds every chart collection over the caller's connection
+async function run({ signal } = {}) {
+  const startedAt = new Date();
   try {
     console.log(`\n=== GRAPH 1: PR STATE COUNTS (HYBRID) ===`);
     console.log(`   • Created/Merged/Closed: Monthly counts`);
     console.log(`   • Open: Cumulative counts`);
-    // Populate Graph 1: PR State Counts (Created, Merged, Closed, Open)
-    await populateChartCollection(EIP_PR, EIPS_PR_CHARTS, 'EIP', 'eipsPRCharts');
-    await populateChartCollection(ERC_PR, ERCS_PR_CHARTS, 'ERC', 'ercsPRCharts');
-    await populateChartCollection(RIP_PR, RIPS_PR_CHARTS, 'RIP', 'ripsPRCharts');
-    await populateAllCollection();
+    // Everything below is staged and swapped in together once all graphs are built
+    const counts = await withPublishBatch('CHARTS', async batch => {
+      const repositories = getRepositories();
+
+      // Populate Graph 1: PR State Counts (Created, Merged, Closed, Open)
+      const prStateData = [];
+      for (const repository of repositories) {
+        const { specType, collections } = repository;
+        prStateData.push(await populateChartCollection(getPullRequestModel(repository), getChartModel(collections.prCharts), specType, collections.prCharts, batch));
+      }
+      await populateAllCollection(prStateData, batch);
+    
+      signal?.throwIfAborted();
+      console.log(`\n=== GRAPH 2: CUSTOM LABELS BY MONTH ===`);
+      // Populate Graph 2: Custom Labels (EIP Update, New EIP, Status Change, etc.)
+      const customLabelsData = [];
+      for (const repository of repositories) {
+        const { specType, collections } = repository;
+        customLabelsData.push(await populateCustomLabelsCollection(getPullRequestModel(repository), getChartModel(collections.customCharts), specType, collections.customCharts, batch));
+      }
+      await populateAllCustomCollection(customLabelsData, batch);
     
-    console.log(`\n=== GRAPH 2: CUSTOM LABELS BY MONTH ===`);
-    // Populate Graph 2: Custom Labels (EIP Update, New EIP, Status Change, etc.)
-    await populateCustomLabelsCollection(EIP_PR, EIPS_CUSTOM_CHARTS, 'EIP', 'eipsCustomCharts');
-    await populateCustomLabelsCollection(ERC_PR, ERCS_CUSTOM_CHARTS, 'ERC', 'ercsCustomCharts');
-    await populateCustomLabelsCollection(RIP_PR, RIPS_CUSTOM_CHARTS, 'RIP', 'ripsCustomCharts');
-    await populateAllCustomCollection();
+      signal?.throwIfAborted();
+      console.log(`\n=== GRAPH 3: RAW GITHUB LABELS (MONTHLY OPEN) ===`);
+      console.log(`   • PRs that were open during each specific month by raw label`);
+      // Populate Graph 3: Raw GitHub Labels (c-update, c-new, a-review, etc.)
+      const rawLabelsData = [];
+      for (const repository of repositories) {
+        const { specType, collections } = repository;
+        rawLabelsData.push(await populateRawLabelsCollection(getRawLabelsModel(repository), getChartModel(collections.rawCharts), specType, collections.rawCharts, batch));
+      }
+      await populateAllRawCollection(rawLabelsData, batch);
+    
+      signal?.throwIfAborted();
+      console.log(`\n=== LATENCY: TIME TO MERGE / CLOSE PERCENTILES ===`);
+      console.log(`   • p50/p75/p90 hours by month merged/closed and custom label`);
+      const latencyPrs = [];
+      for (const repository of repositories) {
+        const { specType, collections } = repository;
+        latencyPrs.push(await populateLatencyCollection(getPullRequestModel(repository), getChartModel(collections.latencyCharts), specType, collections.latencyCharts, batch));
+      }
+      await populateAllLatencyCollection(latencyPrs, batch);
     
-    console.log(`\n=== GRAPH 3: RAW GITHUB LABELS (MONTHLY OPEN) ===`);
-    console.log(`   • PRs that were open during each specific month by raw label`);
-    // Populate Graph 3: Raw GitHub Labels (c-update, c-new, a-review, etc.)
-    await populateRawLabelsCollection(EIP_RAW_LABELS, EIPS_RAW_CHARTS, 'EIP', 'eipsRawCharts');
-    await populateRawLabelsCollection(ERC_RAW_LABELS, ERCS_RAW_CHARTS, 'ERC', 'ercsRawCharts');
-    await populateRawLabelsCollection(RIP_RAW_LABELS, RIPS_RAW_CHARTS, 'RIP', 'ripsRawCharts');
-    await populateAllRawCollection();
+      signal?.throwIfAborted();
+      console.log(`\n[PUBLISH] Swapping all chart collections into place...`);
+      return batch.counts();
+    });
+    await bumpDataVersion('populate-chart-collections.js');
     
-    console.log(`\n[COMPLETE] All 3 graph collections populated successfully!`);
+    console.log(`\n[COMPLETE] All 3 graph collections and latency collections populated successfully!`);
     console.log(`\nCollections created:`);
-    console.log(`📊 Graph 1 (PR States): eipsPRCharts, ercsPRCharts, ripsPRCharts, allPRCharts`);
-    console.log(`🏷️  Graph 2 (Custom Labels): eipsCustomCharts, ercsCustomCharts, ripsCustomCharts, allCustomCharts`);
-    console.log(`🔖 Graph 3 (Raw Labels): eipsRawCharts, ercsRawCharts, ripsRawCharts, allRawCharts`);
+    const names = key => [...getRepositories().map(r => r.collections[key]), ALL_CHART_COLLECTIONS[key]].join(', ');
+    console.log(`📊 Graph 1 (PR States): ${names('prCharts')}`);
+    console.log(`🏷️  Graph 2 (Custom Labels): ${names('customCharts')}`);
+    console.log(`🔖 Graph 3 (Raw Labels): ${names('rawCharts')}`);
+    console.log(`⏱️  Latency (Merge/Close): ${names('latencyCharts')}`);
+
+    // Months marked dirty by webhooks before this rebuild started are now up to date
+    const clearedDirtyMonths = await clearDirtyMonths(startedAt);
+    if (clearedDirtyMonths > 0) console.log(`🧹 Cleared ${clearedDirtyMonths} dirty chart months`);
+    return { counts, clearedDirtyMonths };
     
   } catch (error) {
     console.error(`[ERROR] Failed to populate collections:`, error);
+    throw error;
+  }
+}
+
+// Main function
+async function main() {
+  const config = loadStartupConfig({ required: ['mongodbUri', 'database'], purpose: 'the chart rebuild' });
+  console.log(`[START] Connecting to MongoDB (${config.database})...`);
+  await mongoose.connect(config.mongodbUri, { dbName: config.database });
+  try {
+    reportResult(await run());
   } finally {
     await mongoose.connection.close();
   }
@@ -653,3 +326,4 @@ if (require.main === module) {
 }
 
 module.exports = main;
+module.exports.run = run;
@@ -0,0 +1,340 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { getRepositories, ALL_CHART_COLLECTIONS } = require('./lib/repositories');
+const { getPullRequestModel } = require('./models/PullRequest');
+const { getRawLabelsModel } = require('./models/RawLabelsPr');
+const { getSnapshotModel } = require('./models/Snapshot');
+const { getChartModel } = require('./models/ChartData');
+const Contributor = require('./models/Contributor');
+const RepositoryStats = require('./models/RepositoryStats');
+const { connectPostgres, migrate, withMirrorLock, transaction, upsertRows } = require('./lib/postgres');
+const { reportResult } = require('./lib/job-result');
+const { getConfig, loadStartupConfig } = require('./lib/config');
+
+// PostgreSQL mirror for the data warehouse.
+// Copies the PRs with their GitHub, custom, raw and refined labels, the open PR
+// snapshots, the chart series, the contributors with their weekly activity and the
+// repository statistics into the tables of migrations/postgres (pending migrations
+// are applied first). Rows are upserted on their keys (prId, login + repository,
+// ...), so a run can be repeated at any time; once every table is written, rows
+// the run did not write are deleted. Runs as the "postgres" pipeline step after the
+// charts and contributors steps, and is skipped while POSTGRES_URL is not set.
+//
+//   node postgres-mirror.js            apply pending migrations and mirror
+//   node postgres-mirror.js --migrate  only apply pending migrations
+
+const BATCH_SIZE = 500;
+
+// chart_series.chart of each chart collection key
+const CHART_NAMES = { prCharts: 'pr', customCharts: 'custom', rawCharts: 'raw', latencyCharts: 'latency' };
+
+const TABLES = {
+  pull_requests: {
+    key: ['pr_id'],
+    columns: [
+      'pr_id', 'spec_type', 'number', 'title', 'author', 'pr_url', 'state', 'mergeable_state', 'is_draft',
+      'created_at', 'updated_at', 'closed_at', 'merged_at', 'additions', 'deletions', 'changed_files',
+      'comment_count', 'review_thread_count', 'commit_count', 'review_count', 'mirrored_at'
+    ]
+  },
+  pr_snapshots: {
+    key: ['spec_type', 'month', 'pr_id'],
+    columns: ['spec_type', 'month', 'snapshot_date', 'pr_id', 'number', 'custom_labels', 'mirrored_at']
+  },
+  chart_series: {
+    key: ['chart', 'category', 'month_year', 'type', 'label'],
+    columns: ['chart', 'category', 'month_year', 'type', 'label', 'count', 'p50', 'p75', 'p90', 'mirrored_at']
+  },
+  contributors: {
+    key: ['login', 'repository'],
+    columns: [
+      'login', 'repository', 'github_id', 'rank', 'total_commits', 'total_additions', 'total_deletions',
+      'html_url', 'avatar_url', 'last_updated', 'mirrored_at'
+    ]
+  },
+  contributor_weeks: {
+    key: ['login', 'repository', 'week'],
+    columns: ['login', 'repository', 'week', 'commits', 'additions', 'deletions']
+  },
+  repository_stats: {
+    key: ['repository'],
+    columns: [
+      'repository', 'total_contributors', 'total_commits', 'total_additions', 'total_deletions',
+      'summary_text', 'last_updated', 'mirrored_at'
+    ]
+  }
+};
+
+function upsert(client, table, rows) {
+  return upsertRows(client, table, { ...TABLES[table], rows });
+}
+
+// Hands the cursor's documents to `writeBatch` BATCH_SIZE at a time; resolves the
+// number of documents read
+async function forEachBatch(cursor, writeBatch, signal) {
+  let batch = [];
+  let total = 0;
+  const flush = async () => {
+    signal?.throwIfAborted();
+    await writeBatch(batch);
+    total += batch.length;
+    batch = [];
+  };
+  try {
+    for await (const doc of cursor) {
+      batch.push(doc);
+      if (batch.length === BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+  } finally {
+    await cursor.close();
+  }
+  return total;
+}
+
+// Replaces the labels of `kinds` of the PRs `prIds` with `labels` ([{ prId, kind, label }]).
+// Labels of PRs missing from pull_requests are skipped.
+async function replaceLabels(client, prIds, kinds, labels) {
+  await client.query('DELETE FROM pull_request_labels WHERE pr_id = ANY($1::bigint[]) AND kind = ANY($2::text[])', [prIds, kinds]);
+  if (labels.length === 0) return 0;
+  const { rowCount } = await client.query(`
+    INSERT INTO pull_request_labels (pr_id, kind, label)
+    SELECT l.pr_id, l.kind, l.label
+    FROM unnest($1::bigint[], $2::text[], $3::text[]) AS l (pr_id, kind, label)
+    WHERE EXISTS (SELECT 1 FROM pull_requests p WHERE p.pr_id = l.pr_id)
+    ON CONFLICT DO NOTHING
+  `, [labels.map(l => l.prId), labels.map(l => l.kind), labels.map(l => l.label)]);
+  return rowCount;
+}
+
+function labelRows(prId, kind, labels) {
+  return (labels || []).filter(Boolean).map(label => ({ prId, kind, label }));
+}
+
+// Deletes the rows of `table` that this run did not write
+async function removeStale(client, table, mirroredAt) {
+  const { rowCount } = await client.query(`DELETE FROM ${table} WHERE mirrored_at < $1`, [mirroredAt]);
+  if (rowCount > 0) console.log(`[POSTGRES] ${table}: removed ${rowCount} rows no longer in MongoDB`);
+  return rowCount;
+}
+
+async function mirrorPullRequests(client, mirroredAt, counts, signal) {
+  for (const repository of getRepositories()) {
+    const { specType, collections } = repository;
+    const cursor = getPullRequestModel(repository).find({ prId: { $ne: null } }).lean().cursor();
+    const read = await forEachBatch(cursor, prs => transaction(client, async () => {
+      counts.pull_requests += await upsert(client, 'pull_requests', prs.map(pr => ({
+        pr_id: pr.prId,
+        spec_type: specType,
+        number: pr.number,
+        title: pr.title,
+        author: pr.author,
+        pr_url: pr.prUrl,
+        state: pr.state,
+        mergeable_state: pr.mergeable_state,
+        is_draft: pr.isDraft,
+        created_at: pr.createdAt,
+        updated_at: pr.updatedAt,
+        closed_at: pr.closedAt,
+        merged_at: pr.mergedAt,
+        additions: pr.additions,
+        deletions: pr.deletions,
+        changed_files: pr.changedFiles,
+        comment_count: pr.commentCount,
+        review_thread_count: pr.reviewThreadCount,
+        commit_count: pr.commitCount,
+        review_count: pr.reviewCount,
+        mirrored_at: mirroredAt
+      })));
+      counts.pull_request_labels += await replaceLabels(client, prs.map(pr => pr.prId), ['github', 'custom'], prs.flatMap(pr => [
+        ...labelRows(pr.prId, 'github', pr.githubLabels),
+        ...labelRows(pr.prId, 'custom', pr.customLabels)
+      ]));
+    }), signal);
+    console.log(`[POSTGRES] ${collections.prs}: ${read} PRs`);
+  }
+}
+
+async function mirrorRawLabels(client, counts, signal) {
+  for (const repository of getRepositories()) {
+    const cursor = getRawLabelsModel(repository).find({ prId: { $ne: null } }, 'prId rawGithubLabels refinedLabels').lean().cursor();
+    const read = await forEachBatch(cursor, prs => transaction(client, async () => {
+      counts.pull_request_labels += await replaceLabels(client, prs.map(pr => pr.prId), ['raw', 'refined'], prs.flatMap(pr => [
+        ...labelRows(pr.prId, 'raw', pr.rawGithubLabels),
+        ...labelRows(pr.prId, 'refined', pr.refinedLabels)
+      ]));
+    }), signal);
+    console.log(`[POSTGRES] ${repository.collections.rawLabels}: labels of ${read} PRs`);
+  }
+}
+
+async function mirrorSnapshots(client, mirroredAt, counts, signal) {
+  for (const repository of getRepositories()) {
+    const { specType, collections } = repository;
+    const cursor = getSnapshotModel(repository).aggregate([
+      { $unwind: '$prs' },
+      { $match: { 'prs.prId': { $ne: null } } },
+      { $project: { _id: 0, month: 1, snapshotDate: 1, prId: '$prs.prId', number: '$prs.number', customLabels: '$prs.customLabels' } }
+    ]).cursor();
+    const read = await forEachBatch(cursor, rows => upsert(client, 'pr_snapshots', rows.map(row => ({
+      spec_type: specType,
+      month: row.month,
+      snapshot_date: row.snapshotDate,
+      pr_id: row.prId,
+      number: row.number,
+      custom_labels: row.customLabels || [],
+      mirrored_at: mirroredAt
+    }))).then(written => { counts.pr_snapshots += written; }), signal);
+    console.log(`[POSTGRES] ${collections.snapshots}: ${read} snapshot entries`);
+  }
+}
+
+async function mirrorCharts(client, mirroredAt, counts, signal) {
+  for (const [collectionKey, chart] of Object.entries(CHART_NAMES)) {
+    const collectionNames = [...getRepositories().map(r => r.collections[collectionKey]), ALL_CHART_COLLECTIONS[collectionKey]];
+    for (const collectionName of collectionNames) {
+      const cursor = getChartModel(collectionName).find({}).lean().cursor();
+      const read = await forEachBatch(cursor, entries => upsert(client, 'chart_series', entries.map(entry => ({
+        chart,
+        category: entry.category,
+        month_year: entry.monthYear,
+        type: entry.type,
+        label: entry.label || '',
+        count: entry.count,
+        p50: entry.p50,
+        p75: entry.p75,
+        p90: entry.p90,
+        mirrored_at: mirroredAt
+      }))).then(written => { counts.chart_series += written; }), signal);
+      console.log(`[POSTGRES] ${collectionName}: ${read} entries`);
+    }
+  }
+}
+
+async function mirrorContributors(client, mirroredAt, counts, signal) {
+  const cursor = Contributor.find({ login: { $ne: null }, repository: { $ne: null } }).lean().cursor();
+  const read = await forEachBatch(cursor, contributors => transaction(client, async () => {
+    counts.contributors += await upsert(client, 'contributors', contributors.map(c => ({
+      login: c.login,
+      repository: c.repository,
+      github_id: c.id,
+      rank: c.rank,
+      total_commits: c.total_commits,
+      total_additions: c.total_additions,
+      total_deletions: c.total_deletions,
+      html_url: c.html_url,
+      avatar_url: c.avatar_url,
+      last_updated: c.last_updated,
+      mirrored_at: mirroredAt
+    })));
+    await client.query(`
+      DELETE FROM contributor_weeks w
+      USING unnest($1::text[], $2::text[]) AS c (login, repository)
+      WHERE w.login = c.login AND w.repository = c.repository
+    `, [contributors.map(c => c.login), contributors.map(c => c.repository)]);
+    counts.contributor_weeks += await upsert(client, 'contributor_weeks', contributors.flatMap(c => (c.weeks || [])
+      .filter(week => week.week)
+      .map(week => ({
+        login: c.login,
+        repository: c.repository,
+        week: week.week,
+        commits: week.commits,
+        additions: week.additions,
+        deletions: week.deletions
+      }))));
+  }), signal);
+  console.log(`[POSTGRES] contributors: ${read} contributors`);
+}
+
+async function mirrorRepositoryStats(client, mirroredAt, counts) {
+  const stats = await RepositoryStats.find({ repository: { $ne: null } }).lean();
+  counts.repository_stats += await upsert(client, 'repository_stats', stats.map(s => ({
+    repository: s.repository,
+    total_contributors: s.total_contributors,
+    total_commits: s.total_commits,
+    total_additions: s.total_additions,
+    total_deletions: s.total_deletions,
+    summary_text: s.summary_text,
+    last_updated: s.last_updated,
+    mirrored_at: mirroredAt
+  })));
+  console.log(`[POSTGRES] repository_stats: ${stats.length} repositories`);
+}
+
+// --- Pipeline job: mirrors every dataset over the caller's MongoDB connection
+async function run({ signal, migrateOnly = false } = {}) {
+  const { postgresUrl, postgresSchema } = getConfig();
+  if (!postgresUrl) {
+    console.log('[POSTGRES] POSTGRES_URL is not set - skipping the mirror');
+    return { skipped: 'POSTGRES_URL is not set' };
+  }
+
+  console.log(`[POSTGRES] Connecting to PostgreSQL (schema ${postgresSchema})...`);
+  const client = await connectPostgres({ url: postgresUrl, schema: postgresSchema });
+  try {
+    const migrations = await migrate(client);
+    migrations.forEach(({ version, name }) => console.log(`[POSTGRES] Applied migration ${version} (${name})`));
+    if (migrateOnly) return { migrations };
+
+    return await withMirrorLock(client, async () => {
+      const mirroredAt = new Date();
+      const counts = {
+        pull_requests: 0,
+        pull_request_labels: 0,
+        pr_snapshots: 0,
+        chart_series: 0,
+        contributors: 0,
+        contributor_weeks: 0,
+        repository_stats: 0
+      };
+
+      await mirrorPullRequests(client, mirroredAt, counts, signal);
+      await mirrorRawLabels(client, counts, signal);
+      await mirrorSnapshots(client, mirroredAt, counts, signal);
+      await mirrorCharts(client, mirroredAt, counts, signal);
+      await mirrorContributors(client, mirroredAt, counts, signal);
+      await mirrorRepositoryStats(client, mirroredAt, counts);
+
+      // Only a complete run knows which rows are gone; labels and contributor
+      // weeks go with their PR or contributor
+      signal?.throwIfAborted();
+      const removed = {};
+      for (const table of ['pull_requests', 'pr_snapshots', 'chart_series', 'contributors', 'repository_stats']) {
+        removed[table] = await removeStale(client, table, mirroredAt);
+      }
+
+      console.log(`[COMPLETE] PostgreSQL mirror up to date`);
+      return { counts, removed, migrations };
+    });
+  } finally {
+    await client.end();
+  }
+}
+
+async function main() {
+  const migrateOnly = process.argv.includes('--migrate');
+  if (migrateOnly) {
+    loadStartupConfig({ required: ['postgresUrl'], purpose: 'the PostgreSQL migrations' });
+    reportResult(await run({ migrateOnly }));
+    return;
+  }
+
+  const config = loadStartupConfig({ required: ['mongodbUri', 'database', 'postgresUrl'], purpose: 'the PostgreSQL mirror' });
+  console.log(`[START] Connecting to MongoDB (${config.database})...`);
+  await mongoose.connect(config.mongodbUri, { dbName: config.database });
+  try {
+    reportResult(await run());
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(`[ERROR]`, e);
+    process.exit(1);
+  });
+}
+
+module.exports = main;
+module.exports.run = run;
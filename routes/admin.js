@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { createApiRouter, sendSuccess, sendError } = require('../lib/api-router');
+const PipelineRun = require('../models/PipelineRun');
+const pipelineJobs = require('../lib/pipeline-jobs');
+const { getPipelineSteps } = require('../lib/pipeline-config');
+const { ref, limit, objectId, pipelineStep, JOB_STATUSES } = require('./schemas');
+
+// On-demand pipeline jobs, picked up by the scheduler (see lib/pipeline-jobs.js).
+// Needs an admin API key or ADMIN_API_TOKEN (see lib/api-auth.js).
+const api = createApiRouter({
+  name: 'admin',
+  basePath: '/api/admin',
+  description: 'On-demand pipeline jobs (admin credentials required)',
+  access: 'admin'
+});
+
+const enqueueBody = {
+  type: 'object',
+  properties: {
+    requestedBy: { type: 'string', maxLength: 100, description: 'Free-text requester, stored with the job (default: the API key name)' }
+  }
+};
+
+const enqueueResponseSchema = {
+  queued: { type: 'boolean', description: 'false when an identical job was already queued' },
+  message: { type: 'string' },
+  data: ref('PipelineJob')
+};
+
+// The requester given in the body, else the name of the API key
+function requestedBy(req) {
+  const value = req.body && typeof req.body.requestedBy === 'string' ? req.body.requestedBy.trim() : '';
+  if (value) return value.slice(0, 100);
+  return req.apiClient?.type === 'key' ? `api-key:${req.apiClient.name}` : null;
+}
+
+function enqueueResponse(res, { job, created }) {
+  sendSuccess(res, {
+    queued: created,
+    message: created
+      ? 'Job queued; the scheduler picks it up within a few seconds when no other run is in progress'
+      : 'An identical job is already queued',
+    data: job
+  }, 202);
+}
+
+// Queue a full pipeline run
+api.post('/pipeline/run', {
+  summary: 'Queue a full pipeline run',
+  body: enqueueBody,
+  status: 202,
+  response: enqueueResponseSchema
+}, async (req, res) => {
+  enqueueResponse(res, await pipelineJobs.enqueueJob({ kind: 'pipeline', requestedBy: requestedBy(req) }));
+});
+
+// Queue a single step ("fetch", "contributors", "snapshot", "charts")
+api.post('/jobs/:step/run', {
+  summary: 'Queue a single pipeline step',
+  params: { step: pipelineStep },
+  body: enqueueBody,
+  status: 202,
+  response: enqueueResponseSchema
+}, async (req, res) => {
+  const stepKeys = getPipelineSteps().map(step => step.key);
+  if (!stepKeys.includes(req.params.step)) {
+    return sendError(res, 400, `Invalid step. Must be one of: ${stepKeys.join(', ')}`);
+  }
+  enqueueResponse(res, await pipelineJobs.enqueueJob({ kind: 'step', step: req.params.step, requestedBy: requestedBy(req) }));
+});
+
+// Recent admin jobs, newest first
+api.get('/jobs', {
+  summary: 'Recent admin jobs',
+  query: {
+    status: { type: 'string', enum: JOB_STATUSES, description: 'Only jobs with this status' },
+    limit: limit(20, 100)
+  },
+  response: {
+    count: { type: 'integer' },
+    data: { type: 'array', items: ref('PipelineJob') }
+  }
+}, async (req, res) => {
+  const count = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const jobs = await pipelineJobs.listJobs({ status: req.query.status || null, limit: count });
+  sendSuccess(res, {
+    count: jobs.length,
+    data: jobs
+  });
+});
+
+// One job plus the pipeline_runs document it started (poll this for progress)
+api.get('/jobs/:id', {
+  summary: 'Admin job status and its pipeline run',
+  params: { id: objectId },
+  response: {
+    data: ref('PipelineJob'),
+    run: { allOf: [ref('PipelineRun')], nullable: true, description: 'null until the scheduler starts the job' }
+  },
+  errors: [404]
+}, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return sendError(res, 400, 'Invalid job id');
+  }
+  const job = await pipelineJobs.getJob(req.params.id);
+  if (!job) {
+    return sendError(res, 404, `Job ${req.params.id} not found`);
+  }
+  const run = job.runId ? await PipelineRun.findById(job.runId, { __v: 0 }).lean() : null;
+  sendSuccess(res, {
+    data: job,
+    run
+  });
+});
+
+// Cancel a job: queued jobs are dropped, running ones are aborted at their next checkpoint
+api.delete('/jobs/:id', {
+  summary: 'Cancel an admin job',
+  description: 'A queued job is removed (200); for a running job cancellation is requested (202).',
+  params: { id: objectId },
+  response: {
+    message: { type: 'string' },
+    data: ref('PipelineJob')
+  },
+  errors: [404, 409]
+}, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return sendError(res, 400, 'Invalid job id');
+  }
+  const job = await pipelineJobs.cancelJob(req.params.id);
+  if (!job) {
+    return sendError(res, 404, `Job ${req.params.id} not found`);
+  }
+  if (job.status === 'running') {
+    return sendSuccess(res, { message: 'Cancellation requested; the scheduler stops the run at its next checkpoint', data: job }, 202);
+  }
+  if (job.status === 'cancelled' && !job.startedAt) {
+    return sendSuccess(res, { message: 'Job removed from the queue', data: job });
+  }
+  sendError(res, 409, `Job already finished with status "${job.status}"`, { data: job });
+});
+
+module.exports = api;
@@ -0,0 +1,228 @@
+const { createApiRouter, sendSuccess, sendError } = require('../lib/api-router');
+const { LABEL_EVENTS, STATE_INTERVALS } = require('../models/LabelHistory');
+const { getSpecTypes } = require('../lib/repositories');
+const { summarizeIntervals, totalsByState } = require('../lib/label-history');
+const { getLatencyByMonthYear, LATENCY_TYPES } = require('../lib/latency');
+const { getModelBySpecType, getChartModelBySpecType, invalidSpecTypeMessage } = require('./helpers');
+const { ref, specType: specTypeParam, dateRange } = require('./schemas');
+
+// Review latency and time-in-state analytics
+const api = createApiRouter({
+  name: 'analytics',
+  basePath: '/api',
+  description: 'Time-to-merge/close percentiles and time spent in each refined state',
+  cache: true
+});
+
+// ============================================================================
+// LATENCY API: p50/p75/p90 time-to-merge and time-to-close by month and custom label
+// ============================================================================
+
+api.get('/latency/:specType', {
+  summary: 'Time-to-merge / time-to-close percentiles by month and label',
+  description: 'Served from the latency chart collections; a date range computes the percentiles live from the PRs created in it.',
+  params: { specType: specTypeParam({ allowAll: true }) },
+  query: {
+    ...dateRange('created'),
+    label: { type: 'string', maxLength: 200, description: 'Only this custom label ("All" for every PR)' },
+    type: { type: 'string', enum: LATENCY_TYPES, description: 'Only time to merge or time to close' }
+  },
+  response: {
+    specType: { type: 'string' },
+    unit: { type: 'string', enum: ['hours'] },
+    source: { type: 'string', enum: ['precomputed', 'live'] },
+    data: { type: 'array', items: ref('LatencyPercentiles') },
+    dateRange: ref('DateRange')
+  }
+}, async (req, res) => {
+  const { specType } = req.params;
+  const { startDate, endDate, label, type } = req.query;
+  const key = specType.toUpperCase();
+
+  const ChartModel = getChartModelBySpecType(specType, 'latencyCharts');
+  if (!ChartModel) {
+    return sendError(res, 400, invalidSpecTypeMessage(true));
+  }
+
+  let data;
+  let source;
+  if (startDate || endDate) {
+    // Custom window: compute live from PRs created in the window (same filter as the graph endpoints)
+    const query = { createdAt: {} };
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+
+    const specTypes = key === 'ALL' ? getSpecTypes() : [key];
+    const prs = (await Promise.all(specTypes.map(st =>
+      getModelBySpecType(st).find(query, 'createdAt mergedAt closedAt customLabels').lean()
+    ))).flat();
+
+    data = getLatencyByMonthYear(prs, specType);
+    source = 'live';
+  } else {
+    data = await ChartModel.find({}).sort({ monthYear: -1 }).lean();
+    source = 'precomputed';
+  }
+
+  if (label) data = data.filter(item => item.label === label);
+  if (type) data = data.filter(item => item.type === type);
+
+  sendSuccess(res, {
+    specType: key,
+    unit: 'hours',
+    source,
+    data: data.map(({ _id, __v, ...item }) => item),
+    dateRange: {
+      start: startDate || 'earliest',
+      end: endDate || 'latest'
+    }
+  });
+});
+
+// ============================================================================
+// TIME IN STATE API: How long PRs spend in each refined state (from label history)
+// ============================================================================
+
+// Label history is only recorded by the GraphQL fetcher (PR_FETCHER=graphql); with
+// the default REST fetcher there are no intervals, so responses say why instead of
+// looking like PRs never changed state. Resolves null once history exists.
+async function labelHistoryNotice(specType) {
+  const recorded = await LABEL_EVENTS.exists(specType ? { specType } : {});
+  return recorded
+    ? null
+    : 'No label history has been recorded. Only the GraphQL PR fetcher records it: set PR_FETCHER=graphql for the scheduler and run a full resync (npm run fetch:graphql -- --full).';
+}
+
+api.get('/time-in-state/:specType', {
+  summary: 'Median time PRs spend in each refined state',
+  params: { specType: specTypeParam({ allowAll: true }) },
+  query: {
+    ...dateRange('that entered the state'),
+    state: { type: 'string', maxLength: 200, description: 'Only this refined state' },
+    includeOngoing: { type: 'boolean', default: false, description: 'Include states PRs are still in (measured up to now)' }
+  },
+  response: {
+    specType: { type: 'string' },
+    unit: { type: 'string', enum: ['hours'] },
+    data: {
+      type: 'object',
+      properties: {
+        byState: { type: 'array', items: ref('StateDuration') },
+        byMonth: { type: 'array', items: ref('StateDuration') },
+        bySpecType: { type: 'array', items: ref('StateDuration') }
+      }
+    },
+    totalIntervals: { type: 'integer' },
+    includeOngoing: { type: 'boolean' },
+    notice: { type: 'string', description: 'Present when no label history has been recorded (it needs PR_FETCHER=graphql)' },
+    dateRange: ref('DateRange')
+  }
+}, async (req, res) => {
+  const { specType } = req.params;
+  const { startDate, endDate, state, includeOngoing } = req.query;
+  const isAll = specType.toLowerCase() === 'all';
+
+  if (!isAll && !getModelBySpecType(specType)) {
+    return sendError(res, 400, invalidSpecTypeMessage(true));
+  }
+
+  // Build query (date filters apply to when the PR entered the state)
+  const query = {};
+  if (!isAll) query.specType = specType.toUpperCase();
+  if (state) query.state = state;
+  if (includeOngoing !== 'true') query.exitedAt = { $ne: null };
+  if (startDate || endDate) {
+    query.enteredAt = {};
+    if (startDate) query.enteredAt.$gte = new Date(startDate);
+    if (endDate) query.enteredAt.$lte = new Date(endDate);
+  }
+
+  const intervals = await STATE_INTERVALS.find(query).lean();
+  const notice = intervals.length === 0 ? await labelHistoryNotice(isAll ? null : specType.toUpperCase()) : null;
+  const now = new Date();
+
+  const byState = summarizeIntervals(intervals, i => i.state, { now })
+    .map(({ key, ...rest }) => ({ state: key, ...rest }))
+    .sort((a, b) => b.count - a.count);
+
+  const byMonth = summarizeIntervals(intervals, i => `${i.monthYear}|${i.state}`, { now })
+    .map(({ key, ...rest }) => {
+      const [monthYear, state] = key.split('|');
+      return { monthYear, state, ...rest };
+    })
+    .sort((a, b) => a.monthYear.localeCompare(b.monthYear) || a.state.localeCompare(b.state));
+
+  const bySpecType = summarizeIntervals(intervals, i => `${i.specType}|${i.state}`, { now })
+    .map(({ key, ...rest }) => {
+      const [specType, state] = key.split('|');
+      return { specType, state, ...rest };
+    })
+    .sort((a, b) => a.specType.localeCompare(b.specType) || a.state.localeCompare(b.state));
+
+  sendSuccess(res, {
+    specType: specType.toUpperCase(),
+    unit: 'hours',
+    data: {
+      byState,
+      byMonth,
+      bySpecType
+    },
+    totalIntervals: intervals.length,
+    includeOngoing: includeOngoing === 'true',
+    dateRange: {
+      start: startDate || 'earliest',
+      end: endDate || 'latest'
+    },
+    ...(notice ? { notice } : {})
+  });
+});
+
+// Per-PR breakdown: every interval plus total time in each state
+api.get('/time-in-state/:specType/:number', {
+  summary: 'Time in state for a single PR',
+  params: {
+    specType: specTypeParam(),
+    number: { type: 'integer', minimum: 1, description: 'PR number' }
+  },
+  response: {
+    specType: { type: 'string' },
+    number: { type: 'integer' },
+    unit: { type: 'string', enum: ['hours'] },
+    data: {
+      type: 'object',
+      properties: {
+        totals: { type: 'object', additionalProperties: { type: 'number' }, description: 'Hours per state' },
+        intervals: { type: 'array', items: ref('StateInterval') }
+      }
+    }
+  },
+  errors: [404]
+}, async (req, res) => {
+  const { specType, number } = req.params;
+
+  if (!getModelBySpecType(specType)) {
+    return sendError(res, 400, invalidSpecTypeMessage());
+  }
+
+  const intervals = await STATE_INTERVALS.find({
+    specType: specType.toUpperCase(),
+    number: parseInt(number)
+  }).sort({ enteredAt: 1 }).lean();
+
+  if (intervals.length === 0) {
+    const notice = await labelHistoryNotice(specType.toUpperCase());
+    return sendError(res, 404, `No label history found for ${specType.toUpperCase()} PR #${number}`, notice ? { details: notice } : {});
+  }
+
+  sendSuccess(res, {
+    specType: specType.toUpperCase(),
+    number: parseInt(number),
+    unit: 'hours',
+    data: {
+      totals: totalsByState(intervals),
+      intervals: intervals.map(({ _id, __v, ...interval }) => interval)
+    }
+  });
+});
+
+module.exports = api;
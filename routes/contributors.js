@@ -0,0 +1,320 @@
+const { createApiRouter, sendSuccess, sendError } = require('../lib/api-router');
+const Contributor = require('../models/Contributor');
+const RepositoryStats = require('../models/RepositoryStats');
+const { findRepository } = require('../lib/repositories');
+const { ref, limit: limitParam, page: pageParam, repository: repositoryParam, CONTRIBUTOR_METRICS } = require('./schemas');
+
+// Contributor statistics gathered by the contributors step
+const api = createApiRouter({
+  name: 'contributors',
+  basePath: '/api/contributors',
+  description: 'Contributor and repository statistics',
+  cache: true
+});
+
+const username = { type: 'string', pattern: '^[A-Za-z0-9-]+(\\[bot\\])?$', maxLength: 100, description: 'GitHub login' };
+
+// Contributor data is stored under the GitHub repo name (e.g. "EIPs"); accept the
+// repo name, spec type or owner/repo in any case
+function resolveRepositoryName(repo) {
+  const repository = findRepository(repo);
+  return repository ? repository.repo : repo;
+}
+
+// Helper function to get repository filter
+function getRepositoryFilter(repo) {
+  if (!repo || repo === 'all') return {};
+  return { repository: resolveRepositoryName(repo) };
+}
+
+// --- Repository Statistics Endpoints ---
+
+// GET /api/contributors/stats - Overall repository statistics
+api.get('/stats', {
+  summary: 'Repository statistics',
+  query: { repository: repositoryParam },
+  response: {
+    data: { type: 'array', items: ref('RepositoryStats') },
+    count: { type: 'integer' }
+  }
+}, async (req, res) => {
+  const { repository } = req.query;
+  const filter = getRepositoryFilter(repository);
+
+  const stats = await RepositoryStats.find(filter)
+    .sort({ last_updated: -1 })
+    .lean();
+
+  sendSuccess(res, {
+    data: stats,
+    count: stats.length
+  });
+});
+
+// GET /api/contributors/stats/:repo - Statistics for specific repository
+api.get('/stats/:repo', {
+  summary: 'Statistics for one repository',
+  params: { repo: { ...repositoryParam, description: 'Repository name (EIPs), spec type (EIP) or owner/repo' } },
+  response: { data: ref('RepositoryStats') },
+  errors: [404]
+}, async (req, res) => {
+  const { repo } = req.params;
+
+  const stats = await RepositoryStats.findOne({
+    repository: resolveRepositoryName(repo)
+  }).lean();
+
+  if (!stats) {
+    return sendError(res, 404, `Repository statistics not found for ${repo}`);
+  }
+
+  sendSuccess(res, { data: stats });
+});
+
+// --- Contributors Endpoints ---
+
+// GET /api/contributors - List all contributors
+api.get('/', {
+  summary: 'Contributors, paginated',
+  query: {
+    repository: repositoryParam,
+    limit: limitParam(50, 500),
+    page: pageParam,
+    sortBy: { type: 'string', enum: [...CONTRIBUTOR_METRICS, 'rank', 'login', 'last_updated'], default: 'total_commits', description: 'Sort field' },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc', description: 'Sort order' }
+  },
+  response: {
+    data: { type: 'array', items: ref('Contributor') },
+    pagination: ref('Pagination')
+  }
+}, async (req, res) => {
+  const {
+    repository,
+    limit = 50,
+    page = 1,
+    sortBy = 'total_commits',
+    order = 'desc'
+  } = req.query;
+
+  const filter = getRepositoryFilter(repository);
+  const sortOrder = order === 'asc' ? 1 : -1;
+  const skip = (page - 1) * limit;
+
+  const contributors = await Contributor.find(filter)
+    .sort({ [sortBy]: sortOrder })
+    .limit(parseInt(limit))
+    .skip(skip)
+    .lean();
+
+  const total = await Contributor.countDocuments(filter);
+
+  sendSuccess(res, {
+    data: contributors,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// GET /api/contributors/top - Top contributors across repositories
+api.get('/top', {
+  summary: 'Top contributors by a metric',
+  query: {
+    repository: repositoryParam,
+    limit: limitParam(10, 100),
+    metric: { type: 'string', enum: CONTRIBUTOR_METRICS, default: 'total_commits', description: 'Ranking metric' }
+  },
+  response: {
+    data: { type: 'array', items: ref('Contributor') },
+    metric: { type: 'string' },
+    count: { type: 'integer' }
+  }
+}, async (req, res) => {
+  const {
+    repository,
+    limit = 10,
+    metric = 'total_commits'
+  } = req.query;
+
+  const filter = getRepositoryFilter(repository);
+
+  const topContributors = await Contributor.find(filter)
+    .sort({ [metric]: -1 })
+    .limit(parseInt(limit))
+    .lean();
+
+  sendSuccess(res, {
+    data: topContributors,
+    metric,
+    count: topContributors.length
+  });
+});
+
+// --- Summary and Weekly Activity Endpoints ---
+// Declared before /:username, which would otherwise match "summary" and "activity"
+
+// GET /api/contributors/summary - Overall summary statistics
+api.get('/summary', {
+  summary: 'Contributor totals across repositories',
+  response: {
+    data: {
+      type: 'object',
+      properties: {
+        repositories: { type: 'integer' },
+        total_contributors: { type: 'integer' },
+        total_commits: { type: 'integer' },
+        total_additions: { type: 'integer' },
+        total_deletions: { type: 'integer' },
+        by_repository: { type: 'array', items: { type: 'object', additionalProperties: true } },
+        last_updated: { type: 'number', description: 'Latest update, in milliseconds since the epoch' }
+      }
+    }
+  }
+}, async (req, res) => {
+  const allStats = await RepositoryStats.find({})
+    .sort({ last_updated: -1 })
+    .lean();
+
+  const summary = {
+    repositories: allStats.length,
+    total_contributors: allStats.reduce((sum, repo) => sum + repo.total_contributors, 0),
+    total_commits: allStats.reduce((sum, repo) => sum + repo.total_commits, 0),
+    total_additions: allStats.reduce((sum, repo) => sum + repo.total_additions, 0),
+    total_deletions: allStats.reduce((sum, repo) => sum + repo.total_deletions, 0),
+    by_repository: allStats.map(repo => ({
+      name: repo.repository,
+      contributors: repo.total_contributors,
+      commits: repo.total_commits,
+      additions: repo.total_additions,
+      deletions: repo.total_deletions,
+      last_updated: repo.last_updated
+    })),
+    last_updated: Math.max(...allStats.map(r => new Date(r.last_updated)))
+  };
+
+  sendSuccess(res, { data: summary });
+});
+
+// GET /api/contributors/activity/weekly - Weekly activity aggregations
+api.get('/activity/weekly', {
+  summary: 'Weekly commit activity',
+  query: {
+    repository: repositoryParam,
+    weeks: { type: 'integer', minimum: 1, maximum: 520, default: 52, description: 'Number of most recent weeks' }
+  },
+  response: {
+    data: {
+      type: 'object',
+      properties: {
+        repository: { type: 'string' },
+        weeks_requested: { type: 'integer' },
+        weeks_available: { type: 'integer' },
+        activity: { type: 'array', items: { type: 'object', additionalProperties: true } }
+      }
+    }
+  },
+  errors: [404]
+}, async (req, res) => {
+  const { repository, weeks = 52 } = req.query;
+
+  const filter = getRepositoryFilter(repository);
+
+  const stats = await RepositoryStats.findOne(filter, 'weekly_activity repository').lean();
+
+  if (!stats) {
+    return sendError(res, 404, 'Weekly activity data not found');
+  }
+
+  // Get last N weeks
+  const recentActivity = stats.weekly_activity
+    .sort((a, b) => new Date(b.week) - new Date(a.week))
+    .slice(0, parseInt(weeks));
+
+  sendSuccess(res, {
+    data: {
+      repository: stats.repository,
+      weeks_requested: parseInt(weeks),
+      weeks_available: recentActivity.length,
+      activity: recentActivity.reverse() // Return chronologically
+    }
+  });
+});
+
+// --- Single Contributor Endpoints ---
+
+// GET /api/contributors/:username - Get specific contributor
+api.get('/:username', {
+  summary: 'One contributor',
+  params: { username },
+  query: { repository: repositoryParam },
+  response: { data: ref('Contributor') },
+  errors: [404]
+}, async (req, res) => {
+  const { username } = req.params;
+  const { repository } = req.query;
+
+  const filter = { login: username };
+  if (repository && repository !== 'all') {
+    filter.repository = resolveRepositoryName(repository);
+  }
+
+  const contributor = await Contributor.findOne(filter).lean();
+
+  if (!contributor) {
+    return sendError(res, 404, `Contributor ${username} not found`);
+  }
+
+  sendSuccess(res, { data: contributor });
+});
+
+// GET /api/contributors/:username/timeline - Get contributor's activity timeline
+api.get('/:username/timeline', {
+  summary: "A contributor's weekly activity timeline",
+  params: { username },
+  query: { repository: repositoryParam },
+  response: {
+    data: {
+      type: 'object',
+      properties: {
+        login: { type: 'string' },
+        repository: { type: 'string' },
+        timeline: { type: 'array', items: ref('ContributorWeek') },
+        total_active_weeks: { type: 'integer' }
+      }
+    }
+  },
+  errors: [404]
+}, async (req, res) => {
+  const { username } = req.params;
+  const { repository } = req.query;
+
+  const filter = { login: username };
+  if (repository && repository !== 'all') {
+    filter.repository = resolveRepositoryName(repository);
+  }
+
+  const contributor = await Contributor.findOne(filter, 'weeks repository login').lean();
+
+  if (!contributor) {
+    return sendError(res, 404, `Contributor ${username} not found`);
+  }
+
+  // Sort weeks chronologically
+  const timeline = contributor.weeks
+    .filter(week => week.commits > 0) // Only include weeks with activity
+    .sort((a, b) => new Date(a.week) - new Date(b.week));
+
+  sendSuccess(res, {
+    data: {
+      login: contributor.login,
+      repository: contributor.repository,
+      timeline,
+      total_active_weeks: timeline.length
+    }
+  });
+});
+
+module.exports = api;
@@ -0,0 +1,220 @@
+const { createApiRouter, sendError } = require('../lib/api-router');
+const { getRepositories, findRepository } = require('../lib/repositories');
+const { getMonthYear } = require('../lib/pr-charts');
+const { FORMATS, sendExport } = require('../lib/export');
+const { getPullRequestModel } = require('../models/PullRequest');
+const { getRawLabelsModel } = require('../models/RawLabelsPr');
+const { getSnapshotModel } = require('../models/Snapshot');
+const Contributor = require('../models/Contributor');
+const { getChartModelBySpecType, invalidSpecTypeMessage } = require('./helpers');
+const { specType: specTypeParam } = require('./schemas');
+
+// Raw dataset downloads for notebooks and BI tools, streamed from MongoDB cursors
+const api = createApiRouter({
+  name: 'export',
+  basePath: '/api/export',
+  description: 'CSV, NDJSON and Parquet exports of the PR, snapshot, chart and contributor datasets'
+});
+
+// 'name:type' entries (see lib/export.js for the types); the type defaults to string
+function columns(...specs) {
+  return specs.map(spec => {
+    const [name, type = 'string'] = spec.split(':');
+    return { name, type };
+  });
+}
+
+const PR_COLUMNS = columns(
+  'specType', 'prId:integer', 'number:integer', 'title', 'author', 'prUrl', 'state', 'mergeable_state', 'isDraft:boolean',
+  'createdAt:date', 'updatedAt:date', 'closedAt:date', 'mergedAt:date', 'githubLabels:list', 'customLabels:list',
+  'additions:integer', 'deletions:integer', 'changedFiles:integer', 'commentCount:integer', 'reviewThreadCount:integer',
+  'commitCount:integer', 'reviewCount:integer', 'requestedReviewers:list'
+);
+const RAW_LABEL_COLUMNS = columns(
+  'specType', 'prId:integer', 'number:integer', 'title', 'author', 'prUrl', 'state', 'mergeable_state',
+  'createdAt:date', 'updatedAt:date', 'closedAt:date', 'mergedAt:date', 'rawGithubLabels:list', 'refinedLabels:list'
+);
+const SNAPSHOT_COLUMNS = columns(
+  'specType', 'month', 'snapshotDate', 'prId:integer', 'number:integer', 'title', 'author', 'prUrl', 'state',
+  'createdAt:date', 'githubLabels:list', 'customLabels:list'
+);
+const CHART_COLUMNS = columns('category', 'monthYear', 'type', 'count:integer');
+const LATENCY_COLUMNS = columns('category', 'monthYear', 'type', 'label', 'count:integer', 'p50:number', 'p75:number', 'p90:number');
+const CONTRIBUTOR_COLUMNS = columns(
+  'repository', 'rank:integer', 'login', 'id:integer', 'total_commits:integer', 'total_additions:integer',
+  'total_deletions:integer', 'html_url', 'avatar_url', 'last_updated:date'
+);
+const CONTRIBUTOR_WEEK_COLUMNS = columns('repository', 'login', 'week:date', 'commits:integer', 'additions:integer', 'deletions:integer');
+
+function projection(datasetColumns) {
+  return Object.fromEntries([['_id', 0], ...datasetColumns.map(({ name }) => [name, 1])]);
+}
+
+// { $gte, $lte } of the date range, or null without one; `toValue` converts the
+// Date to the stored representation (e.g. a "YYYY-MM" month)
+function rangeFilter({ startDate, endDate }, toValue = date => date) {
+  if (!startDate && !endDate) return null;
+  const filter = {};
+  if (startDate) filter.$gte = toValue(new Date(startDate));
+  if (endDate) filter.$lte = toValue(new Date(endDate));
+  return filter;
+}
+
+// Registry entries of a spec type, or all of them for "all"
+function repositoriesFor(specType) {
+  const key = specType.toUpperCase();
+  return key === 'ALL' ? getRepositories() : getRepositories().filter(r => r.specType === key);
+}
+
+// Contributor data is stored under the GitHub repo name (e.g. "EIPs")
+function contributorFilter(specType) {
+  return specType.toUpperCase() === 'ALL' ? {} : { repository: findRepository(specType).repo };
+}
+
+// Documents of one cursor after the other; each cursor is opened when the
+// previous one is done and closed even when the download stops early
+async function* fromCursors(openCursors) {
+  for (const openCursor of openCursors) {
+    const cursor = openCursor();
+    try {
+      for await (const doc of cursor) yield doc;
+    } finally {
+      await cursor.close();
+    }
+  }
+}
+
+function prDataset(getModel, datasetColumns) {
+  return {
+    columns: datasetColumns,
+    dates: 'createdAt',
+    cursors(specType, range) {
+      const created = rangeFilter(range);
+      return repositoriesFor(specType).map(repository => () => getModel(repository)
+        .find(created ? { createdAt: created } : {}, projection(datasetColumns))
+        .sort({ prId: 1 })
+        .lean()
+        .cursor());
+    }
+  };
+}
+
+function chartDataset(collectionKey, datasetColumns = CHART_COLUMNS) {
+  return {
+    columns: datasetColumns,
+    dates: 'monthYear',
+    cursors(specType, range) {
+      const months = rangeFilter(range, getMonthYear);
+      return [() => getChartModelBySpecType(specType, collectionKey)
+        .find(months ? { monthYear: months } : {}, projection(datasetColumns))
+        .sort({ monthYear: 1, type: 1 })
+        .lean()
+        .cursor()];
+    }
+  };
+}
+
+// Every dataset: its columns, the field the date range filters on (null: none)
+// and the cursors its rows are read from
+const DATASETS = {
+  prs: prDataset(getPullRequestModel, PR_COLUMNS),
+  'raw-labels': prDataset(getRawLabelsModel, RAW_LABEL_COLUMNS),
+  // One row per PR open at the end of each month
+  snapshots: {
+    columns: SNAPSHOT_COLUMNS,
+    dates: 'month',
+    cursors(specType, range) {
+      const months = rangeFilter(range, getMonthYear);
+      const prFields = SNAPSHOT_COLUMNS.filter(({ name }) => !['specType', 'month', 'snapshotDate'].includes(name));
+      return repositoriesFor(specType).map(repository => () => getSnapshotModel(repository).aggregate([
+        { $match: months ? { month: months } : {} },
+        { $sort: { month: 1 } },
+        { $unwind: '$prs' },
+        {
+          $project: {
+            _id: 0,
+            specType: { $literal: repository.specType },
+            month: 1,
+            snapshotDate: 1,
+            ...Object.fromEntries(prFields.map(({ name }) => [name, `$prs.${name}`]))
+          }
+        }
+      ]).cursor());
+    }
+  },
+  'pr-charts': chartDataset('prCharts'),
+  'custom-charts': chartDataset('customCharts'),
+  'raw-charts': chartDataset('rawCharts'),
+  'latency-charts': chartDataset('latencyCharts', LATENCY_COLUMNS),
+  contributors: {
+    columns: CONTRIBUTOR_COLUMNS,
+    dates: null,
+    cursors(specType) {
+      return [() => Contributor.find(contributorFilter(specType), projection(CONTRIBUTOR_COLUMNS))
+        .sort({ repository: 1, rank: 1 })
+        .lean()
+        .cursor()];
+    }
+  },
+  // One row per contributor and week of activity
+  'contributor-weeks': {
+    columns: CONTRIBUTOR_WEEK_COLUMNS,
+    dates: 'week',
+    cursors(specType, range) {
+      const weeks = rangeFilter(range);
+      return [() => Contributor.aggregate([
+        { $match: contributorFilter(specType) },
+        { $sort: { repository: 1, rank: 1 } },
+        { $unwind: '$weeks' },
+        ...(weeks ? [{ $match: { 'weeks.week': weeks } }] : []),
+        {
+          $project: {
+            _id: 0,
+            repository: 1,
+            login: 1,
+            week: '$weeks.week',
+            commits: '$weeks.commits',
+            additions: '$weeks.additions',
+            deletions: '$weeks.deletions'
+          }
+        }
+      ]).cursor()];
+    }
+  }
+};
+
+api.get('/:dataset/:specType', {
+  summary: 'Download a dataset as CSV, NDJSON or Parquet',
+  description: 'Streams every row of the dataset. startDate/endDate filter on the PR creation date (prs, raw-labels), '
+    + 'the month (snapshots, charts) or the week (contributor-weeks); contributors has no date filter.',
+  params: {
+    dataset: { type: 'string', enum: Object.keys(DATASETS), description: 'Dataset to export' },
+    specType: specTypeParam({ allowAll: true })
+  },
+  query: {
+    format: { type: 'string', enum: Object.keys(FORMATS), default: 'csv', description: 'File format' },
+    startDate: { type: 'string', format: 'date', description: 'Only rows on or after this date (YYYY-MM-DD or ISO 8601)' },
+    endDate: { type: 'string', format: 'date', description: 'Only rows on or before this date (YYYY-MM-DD or ISO 8601)' }
+  },
+  produces: Object.values(FORMATS).map(({ mediaType }) => mediaType)
+}, async (req, res) => {
+  const { dataset: name, specType } = req.params;
+  const { format = 'csv', startDate, endDate } = req.query;
+  const dataset = DATASETS[name];
+
+  if (repositoriesFor(specType).length === 0) {
+    return sendError(res, 400, invalidSpecTypeMessage(true));
+  }
+  if (!dataset.dates && (startDate || endDate)) {
+    return sendError(res, 400, `The ${name} dataset has no date to filter on; remove startDate/endDate`);
+  }
+
+  await sendExport(res, {
+    format,
+    columns: dataset.columns,
+    docs: fromCursors(dataset.cursors(specType, { startDate, endDate })),
+    filename: `${name}-${specType.toLowerCase()}`
+  });
+});
+
+module.exports = api;
@@ -0,0 +1,166 @@
+const { createApiRouter, sendSuccess, sendError } = require('../lib/api-router');
+const { getSpecTypes } = require('../lib/repositories');
+const {
+  comparePRStates,
+  compareLabelCounts,
+  getPRStateCountsByMonthYear,
+  getCustomLabelsCountsByMonthYear,
+  getRawLabelsCountsByMonthYear,
+  combineChartData
+} = require('../lib/pr-charts');
+const { getModelBySpecType, getChartModelBySpecType, invalidSpecTypeMessage } = require('./helpers');
+const { ref, specType: specTypeParam, dateRange } = require('./schemas');
+
+// PR charts (graph 1-3) and the per-spec-type data summary
+const api = createApiRouter({
+  name: 'graphs',
+  basePath: '/api',
+  description: 'PR state, custom label and raw label charts by month-year',
+  cache: true
+});
+
+// Metadata of the three graph routes; `item` is the schema of one data entry
+function graphRoute(summary, item) {
+  return {
+    summary,
+    description: 'Served from the chart collections built by the charts step; a date range computes the chart live from the PRs created in it.',
+    params: { specType: specTypeParam({ allowAll: true }) },
+    query: dateRange('created'),
+    response: {
+      specType: { type: 'string' },
+      source: { type: 'string', enum: ['precomputed', 'live'] },
+      data: { type: 'array', items: ref(item) },
+      totalPRs: { type: 'integer' },
+      dateRange: ref('DateRange')
+    }
+  };
+}
+
+// How each graph is stored and computed: its chart collection in the repository
+// registry, the PR collection and fields it is built from, and the builder and
+// order of lib/pr-charts.js that the charts step uses too
+const GRAPHS = {
+  graph1: { collection: 'prCharts', rawLabels: false, fields: 'createdAt mergedAt closedAt', build: getPRStateCountsByMonthYear, compare: comparePRStates },
+  graph2: { collection: 'customCharts', rawLabels: false, fields: 'createdAt customLabels', build: getCustomLabelsCountsByMonthYear, compare: compareLabelCounts },
+  graph3: { collection: 'rawCharts', rawLabels: true, fields: 'createdAt mergedAt closedAt rawGithubLabels', build: getRawLabelsCountsByMonthYear, compare: compareLabelCounts }
+};
+
+// { source, data, totalPRs } of a graph. Without a date range the chart collection
+// is read; with one the chart is built from the PRs created in the range, per
+// spec type and summed for 'all', the way the charts step builds it.
+async function loadGraph(graph, specType, { startDate, endDate }) {
+  const key = specType.toUpperCase();
+  const specTypes = key === 'ALL' ? getSpecTypes() : [key];
+  const models = specTypes.map(st => getModelBySpecType(st, graph.rawLabels));
+
+  if (!startDate && !endDate) {
+    const [data, counts] = await Promise.all([
+      getChartModelBySpecType(specType, graph.collection).find({}).lean(),
+      Promise.all(models.map(PR => PR.countDocuments()))
+    ]);
+    return {
+      source: 'precomputed',
+      data: data.sort(graph.compare),
+      totalPRs: counts.reduce((sum, count) => sum + count, 0)
+    };
+  }
+
+  const query = { createdAt: {} };
+  if (startDate) query.createdAt.$gte = new Date(startDate);
+  if (endDate) query.createdAt.$lte = new Date(endDate);
+
+  const prsBySpecType = await Promise.all(models.map(PR => PR.find(query, graph.fields).lean()));
+  const specData = prsBySpecType.map((prs, index) => graph.build(prs, specTypes[index]));
+  return {
+    source: 'live',
+    data: key === 'ALL' ? combineChartData(specData, graph.compare) : specData[0],
+    totalPRs: prsBySpecType.reduce((sum, prs) => sum + prs.length, 0)
+  };
+}
+
+// Graph 2/3 entries grouped by month, oldest first: [{ monthYear, labels: { label: count } }]
+function toMonthLabelCounts(data) {
+  const months = new Map();
+  data.forEach(({ monthYear, type, count }) => {
+    if (!months.has(monthYear)) months.set(monthYear, {});
+    months.get(monthYear)[type] = count;
+  });
+  return [...months.entries()]
+    .map(([monthYear, labels]) => ({ monthYear, labels }))
+    .sort((a, b) => a.monthYear.localeCompare(b.monthYear));
+}
+
+function graphHandler(graph, format) {
+  return async (req, res) => {
+    const { specType } = req.params;
+    const { startDate, endDate } = req.query;
+
+    if (!getChartModelBySpecType(specType, graph.collection)) {
+      return sendError(res, 400, invalidSpecTypeMessage(true));
+    }
+
+    const { source, data, totalPRs } = await loadGraph(graph, specType, { startDate, endDate });
+
+    sendSuccess(res, {
+      specType: specType.toUpperCase(),
+      source,
+      data: format(data.map(({ _id, __v, ...item }) => item)),
+      totalPRs,
+      dateRange: {
+        start: startDate || 'earliest',
+        end: endDate || 'latest'
+      }
+    });
+  };
+}
+
+// ============================================================================
+// GRAPH 1 API: Monthly created, merged and closed PRs, and PRs open at each month end
+// ============================================================================
+
+api.get('/graph1/:specType', graphRoute('PR state counts by month-year', 'PRStateCount'), graphHandler(GRAPHS.graph1, data => data));
+
+// ============================================================================
+// GRAPH 2 API: Custom labels by month-year (EIP Update, New EIP, Status Change, Misc, etc.)
+// ============================================================================
+
+api.get('/graph2/:specType', graphRoute('Custom labels by month-year', 'MonthLabelCounts'), graphHandler(GRAPHS.graph2, toMonthLabelCounts));
+
+// ============================================================================
+// GRAPH 3 API: Raw GitHub labels of the PRs open during each month-year
+// ============================================================================
+
+api.get('/graph3/:specType', graphRoute('Raw GitHub labels by month-year', 'MonthLabelCounts'), graphHandler(GRAPHS.graph3, toMonthLabelCounts));
+
+// Get data summary for all spec types
+api.get('/summary', {
+  summary: 'Data summary for all spec types',
+  response: { data: { type: 'object', additionalProperties: ref('SpecTypeSummary'), description: 'Summary per spec type' } }
+}, async (req, res) => {
+  const summary = {};
+
+  for (const specType of getSpecTypes()) {
+    const PR = getModelBySpecType(specType);
+    const RAW_MODEL = getModelBySpecType(specType, true);
+
+    const totalPRs = await PR.countDocuments();
+    const totalRawLabels = await RAW_MODEL.countDocuments();
+
+    // Get date range
+    const firstPR = await PR.findOne().sort({ createdAt: 1 }).lean();
+    const lastPR = await PR.findOne().sort({ createdAt: -1 }).lean();
+
+    summary[specType] = {
+      totalPRs,
+      totalRawLabels,
+      dateRange: {
+        earliest: firstPR?.createdAt || null,
+        latest: lastPR?.createdAt || null
+      }
+    };
+  }
+
+  sendSuccess(res, { data: summary });
+});
+
+module.exports = api;
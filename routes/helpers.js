@@ -0,0 +1,32 @@
+const { getPullRequestModel } = require('../models/PullRequest');
+const { getRawLabelsModel } = require('../models/RawLabelsPr');
+const { getChartModel } = require('../models/ChartData');
+const { getRepositories, getSpecTypes, ALL_CHART_COLLECTIONS } = require('../lib/repositories');
+
+// Helper function to get model by spec type
+function getModelBySpecType(specType, isRawLabels = false) {
+  const repository = getRepositories().find(r => r.specType === specType.toUpperCase());
+  if (!repository) return undefined;
+  return isRawLabels ? getRawLabelsModel(repository) : getPullRequestModel(repository);
+}
+
+// Chart collection model of a spec type or 'all'; `collectionKey` is a key of the
+// registry's chart collections ('prCharts', 'customCharts', 'rawCharts', 'latencyCharts')
+function getChartModelBySpecType(specType, collectionKey) {
+  if (specType.toUpperCase() === 'ALL') return getChartModel(ALL_CHART_COLLECTIONS[collectionKey]);
+  const repository = getRepositories().find(r => r.specType === specType.toUpperCase());
+  return repository ? getChartModel(repository.collections[collectionKey]) : undefined;
+}
+
+// Error message listing the configured spec types
+function invalidSpecTypeMessage(allowAll = false) {
+  const specTypes = getSpecTypes();
+  const options = allowAll ? [...specTypes, 'all'] : specTypes;
+  return `Invalid spec type. Use ${options.slice(0, -1).join(', ')}, or ${options[options.length - 1]}`;
+}
+
+module.exports = {
+  getModelBySpecType,
+  getChartModelBySpecType,
+  invalidSpecTypeMessage
+};
@@ -0,0 +1,108 @@
+const express = require('express');
+const cors = require('cors');
+const { errorHandler, notFoundHandler } = require('../lib/api-router');
+const { authenticate, rateLimit, RATE_LIMIT_HEADERS } = require('../lib/api-auth');
+const { buildOpenApiDocument } = require('../lib/openapi');
+const { getConfig } = require('../lib/config');
+const { COMPONENTS, SECURITY_SCHEMES } = require('./schemas');
+const { version } = require('../package.json');
+
+// Route registry.
+// Every router module in this directory is listed here, in mount order. The API
+// server mounts all of them by default; API_ROUTERS (e.g. "graphs,analytics")
+// serves a subset. The system router (health, OpenAPI document, spec types, label
+// rules) is always mounted.
+const ROUTERS = [
+  require('./system'),
+  require('./graphs'),
+  require('./analytics'),
+  require('./pipeline'),
+  require('./contributors'),
+  require('./export'),
+  require('./admin'),
+  require('./webhooks')
+];
+
+const ALWAYS_MOUNTED = ['system'];
+
+// Routers for a list of names (null: all); throws on unknown names
+function selectRouters(names = null) {
+  if (!names) return ROUTERS;
+  const known = ROUTERS.map(router => router.name);
+  const unknown = names.filter(name => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown API router(s) ${unknown.join(', ')} (available: ${known.join(', ')})`);
+  }
+  return ROUTERS.filter(router => ALWAYS_MOUNTED.includes(router.name) || names.includes(router.name));
+}
+
+// OpenAPI security requirements and error statuses of an endpoint under the
+// current API_AUTH and rate-limit settings (see lib/api-auth.js)
+function describeAccess(endpoint, router) {
+  const { apiAuth, rateLimitAnonymous, rateLimitApiKey } = getConfig();
+  const keyAuth = apiAuth === 'off' ? [] : [{ apiKey: [] }, { bearer: [] }];
+  const errors = !router.rawBody && (rateLimitAnonymous || rateLimitApiKey) ? [429] : [];
+
+  if (endpoint.access === 'admin') {
+    return {
+      security: apiAuth === 'off' ? [{ bearer: [] }] : keyAuth,
+      errors: [...errors, 401, 503, ...(apiAuth === 'off' ? [] : [403])]
+    };
+  }
+  if (endpoint.access === 'read' && apiAuth !== 'off') {
+    return {
+      // {}: anonymous access is allowed too
+      security: apiAuth === 'optional' ? [...keyAuth, {}] : keyAuth,
+      errors: [...errors, 401]
+    };
+  }
+  return { security: null, errors };
+}
+
+// OpenAPI document of the selected routers (served at /api/openapi.json)
+function buildOpenApi({ routers = getConfig().apiRouters } = {}) {
+  return buildOpenApiDocument({
+    info: {
+      title: 'PR Scheduler API',
+      version,
+      description: 'PR analytics for the tracked Ethereum specification repositories. Successful responses are { "success": true, ... }, errors { "success": false, "error": ... }.'
+    },
+    routers: selectRouters(routers),
+    components: COMPONENTS,
+    securitySchemes: SECURITY_SCHEMES,
+    describeAccess
+  });
+}
+
+// Express app serving the selected routers with the shared middleware, 404 and
+// error handling
+function createApp({ routers = getConfig().apiRouters } = {}) {
+  const { corsOrigins, trustProxy } = getConfig();
+  const selected = selectRouters(routers);
+  const app = express();
+  if (trustProxy > 0) app.set('trust proxy', trustProxy); // req.ip from X-Forwarded-For
+  app.locals.routers = selected.map(router => router.name);
+  app.locals.openapi = buildOpenApi({ routers });
+
+  const mount = router => app.use(router.basePath, router.router);
+
+  // Middleware. Raw-body routers (webhooks) go ahead of the JSON parser,
+  // authentication and rate limiting.
+  app.use(cors({ origin: corsOrigins || '*', exposedHeaders: RATE_LIMIT_HEADERS }));
+  selected.filter(router => router.rawBody).forEach(mount);
+  app.use(express.json());
+  app.use(authenticate);
+  app.use(rateLimit);
+  selected.filter(router => !router.rawBody).forEach(mount);
+
+  app.use(notFoundHandler(selected.flatMap(router => router.endpoints)));
+  app.use(errorHandler);
+  return app;
+}
+
+module.exports = {
+  ROUTERS,
+  selectRouters,
+  buildOpenApi,
+  createApp
+};
@@ -0,0 +1,75 @@
+const { createApiRouter, sendSuccess, sendError } = require('../lib/api-router');
+const PipelineRun = require('../models/PipelineRun');
+const { listDirtyMonths } = require('../lib/chart-dirty-months');
+const { ref, limit, RUN_STATUSES } = require('./schemas');
+
+// Scheduler run history (read-only)
+const api = createApiRouter({
+  name: 'pipeline',
+  basePath: '/api/pipeline',
+  description: 'Pipeline run history and data freshness'
+});
+
+// Recent scheduler runs, newest first
+api.get('/runs', {
+  summary: 'Recent pipeline runs',
+  query: {
+    status: { type: 'string', enum: RUN_STATUSES, description: 'Only runs with this status' },
+    limit: limit(20, 100)
+  },
+  response: {
+    count: { type: 'integer' },
+    data: { type: 'array', items: ref('PipelineRun') }
+  }
+}, async (req, res) => {
+  const { status } = req.query;
+  const count = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const query = {};
+  if (status) query.status = status;
+
+  const runs = await PipelineRun.find(query, { __v: 0 })
+    .sort({ startedAt: -1 })
+    .limit(count)
+    .lean();
+
+  sendSuccess(res, {
+    count: runs.length,
+    data: runs
+  });
+});
+
+// Latest run, plus when data was last refreshed successfully ("data as of") and the
+// chart months webhooks changed since the last charts rebuild
+api.get('/runs/latest', {
+  summary: 'Latest pipeline run and data freshness',
+  response: {
+    dataAsOf: { type: 'string', format: 'date-time', nullable: true, description: 'Finish time of the last successful run' },
+    dirtyMonths: {
+      type: 'object',
+      description: 'Chart months waiting for the charts step',
+      properties: {
+        total: { type: 'integer' },
+        bySpecType: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } }
+      }
+    },
+    data: ref('PipelineRun')
+  },
+  errors: [404]
+}, async (req, res) => {
+  const latest = await PipelineRun.findOne({}, { __v: 0 }).sort({ startedAt: -1 }).lean();
+  if (!latest) {
+    return sendError(res, 404, 'No pipeline runs recorded yet');
+  }
+  const lastSuccess = latest.status === 'success'
+    ? latest
+    : await PipelineRun.findOne({ status: 'success' }, { finishedAt: 1 }).sort({ startedAt: -1 }).lean();
+
+  sendSuccess(res, {
+    dataAsOf: lastSuccess?.finishedAt || null,
+    dirtyMonths: await listDirtyMonths(),
+    data: latest
+  });
+});
+
+module.exports = api;
@@ -0,0 +1,231 @@
+const { getSpecTypes } = require('../lib/repositories');
+const { getPipelineSteps } = require('../lib/pipeline-config');
+const { LATENCY_TYPES } = require('../lib/latency');
+const { PR_STATE_TYPES } = require('../lib/pr-charts');
+
+// Parameter and response schemas shared by the routers, in the route metadata
+// format of lib/openapi.js. COMPONENTS end up under components.schemas of
+// /api/openapi.json and are referenced with ref().
+
+const RUN_STATUSES = ['running', 'success', 'partial', 'failed', 'cancelled', 'skipped'];
+const JOB_STATUSES = ['queued', ...RUN_STATUSES];
+const CONTRIBUTOR_METRICS = ['total_commits', 'total_additions', 'total_deletions'];
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// --- Parameters ---
+
+// Spec type path parameter: a configured spec type in any case, optionally "all"
+function specType({ allowAll = false } = {}) {
+  return {
+    type: 'string',
+    enum: () => (allowAll ? [...getSpecTypes(), 'all'] : getSpecTypes()),
+    'x-case-insensitive': true,
+    description: `Spec type from config/repositories.json (case-insensitive)${allowAll ? ', or "all"' : ''}`
+  };
+}
+
+// startDate / endDate query parameters; `field` says which date they filter on
+function dateRange(field = 'created') {
+  return {
+    startDate: { type: 'string', format: 'date', description: `Only PRs ${field} on or after this date (YYYY-MM-DD or ISO 8601)` },
+    endDate: { type: 'string', format: 'date', description: `Only PRs ${field} on or before this date (YYYY-MM-DD or ISO 8601)` }
+  };
+}
+
+function limit(defaultValue, maximum) {
+  return { type: 'integer', minimum: 1, maximum, default: defaultValue, description: 'Number of results' };
+}
+
+const page = { type: 'integer', minimum: 1, default: 1, description: 'Page number, starting at 1' };
+
+// Contributor data accepts the repository name, spec type or owner/repo
+const repository = { type: 'string', maxLength: 200, description: 'Repository name (EIPs), spec type (EIP) or owner/repo; "all" for every repository' };
+
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', description: 'MongoDB ObjectId' };
+
+const pipelineStep = {
+  type: 'string',
+  enum: () => getPipelineSteps().map(step => step.key),
+  description: 'Step key from config/pipeline.json'
+};
+
+// --- Response components ---
+
+const COMPONENTS = {
+  DateRange: {
+    type: 'object',
+    properties: {
+      start: { type: 'string', description: 'startDate, or "earliest"' },
+      end: { type: 'string', description: 'endDate, or "latest"' }
+    }
+  },
+  PRStateCount: {
+    type: 'object',
+    properties: {
+      category: { type: 'string', example: 'eips' },
+      monthYear: { type: 'string', example: '2024-09' },
+      type: { type: 'string', enum: PR_STATE_TYPES },
+      count: { type: 'integer', description: 'PRs created, merged or closed (unmerged) in the month; Open: PRs open at the end of the month' }
+    }
+  },
+  MonthLabelCounts: {
+    type: 'object',
+    properties: {
+      monthYear: { type: 'string', example: '2024-01' },
+      labels: { type: 'object', additionalProperties: { type: 'integer' }, description: 'PR count per label: PRs created in the month (graph 2), PRs open during the month (graph 3)' }
+    }
+  },
+  SpecTypeSummary: {
+    type: 'object',
+    properties: {
+      totalPRs: { type: 'integer' },
+      totalRawLabels: { type: 'integer' },
+      dateRange: {
+        type: 'object',
+        properties: {
+          earliest: { type: 'string', format: 'date-time', nullable: true },
+          latest: { type: 'string', format: 'date-time', nullable: true }
+        }
+      }
+    }
+  },
+  LatencyPercentiles: {
+    type: 'object',
+    properties: {
+      category: { type: 'string' },
+      monthYear: { type: 'string' },
+      type: { type: 'string', enum: LATENCY_TYPES },
+      label: { type: 'string', description: 'Custom label, or "All"' },
+      count: { type: 'integer' },
+      p50: { type: 'number' },
+      p75: { type: 'number' },
+      p90: { type: 'number' }
+    }
+  },
+  StateDuration: {
+    type: 'object',
+    properties: {
+      state: { type: 'string' },
+      monthYear: { type: 'string' },
+      specType: { type: 'string' },
+      count: { type: 'integer' },
+      medianHours: { type: 'number' }
+    }
+  },
+  StateInterval: {
+    type: 'object',
+    properties: {
+      prId: { type: 'integer' },
+      number: { type: 'integer' },
+      specType: { type: 'string' },
+      state: { type: 'string' },
+      enteredAt: { type: 'string', format: 'date-time' },
+      exitedAt: { type: 'string', format: 'date-time', nullable: true },
+      durationHours: { type: 'number', nullable: true },
+      monthYear: { type: 'string' }
+    }
+  },
+  PipelineRun: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      _id: { type: 'string' },
+      trigger: { type: 'string' },
+      status: { type: 'string', enum: RUN_STATUSES },
+      startedAt: { type: 'string', format: 'date-time' },
+      finishedAt: { type: 'string', format: 'date-time', nullable: true },
+      durationMs: { type: 'integer' },
+      error: { type: 'string' },
+      steps: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    }
+  },
+  PipelineJob: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      _id: { type: 'string' },
+      kind: { type: 'string', enum: ['pipeline', 'step'] },
+      step: { type: 'string', nullable: true },
+      status: { type: 'string', enum: JOB_STATUSES },
+      requestedBy: { type: 'string', nullable: true },
+      requestedAt: { type: 'string', format: 'date-time' },
+      claimedBy: { type: 'string' },
+      runId: { type: 'string', nullable: true },
+      cancelRequested: { type: 'boolean' }
+    }
+  },
+  Contributor: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      login: { type: 'string' },
+      id: { type: 'integer' },
+      avatar_url: { type: 'string' },
+      html_url: { type: 'string' },
+      repository: { type: 'string' },
+      total_commits: { type: 'integer' },
+      total_additions: { type: 'integer' },
+      total_deletions: { type: 'integer' },
+      rank: { type: 'integer' },
+      last_updated: { type: 'string', format: 'date-time' },
+      weeks: { type: 'array', items: ref('ContributorWeek') }
+    }
+  },
+  ContributorWeek: {
+    type: 'object',
+    properties: {
+      week: { type: 'string', format: 'date-time' },
+      additions: { type: 'integer' },
+      deletions: { type: 'integer' },
+      commits: { type: 'integer' }
+    }
+  },
+  RepositoryStats: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      repository: { type: 'string' },
+      total_contributors: { type: 'integer' },
+      total_commits: { type: 'integer' },
+      total_additions: { type: 'integer' },
+      total_deletions: { type: 'integer' },
+      top_contributors: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      weekly_activity: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      summary_text: { type: 'string' },
+      last_updated: { type: 'string', format: 'date-time' }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      pages: { type: 'integer' }
+    }
+  }
+};
+
+const SECURITY_SCHEMES = {
+  apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'API key created with `node api-keys.js create`' },
+  bearer: { type: 'http', scheme: 'bearer', description: 'API key, or ADMIN_API_TOKEN for the admin routes' }
+};
+
+module.exports = {
+  RUN_STATUSES,
+  JOB_STATUSES,
+  CONTRIBUTOR_METRICS,
+  ref,
+  specType,
+  dateRange,
+  limit,
+  page,
+  repository,
+  objectId,
+  pipelineStep,
+  COMPONENTS,
+  SECURITY_SCHEMES
+};
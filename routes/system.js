@@ -0,0 +1,115 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { createApiRouter, sendSuccess, sendError } = require('../lib/api-router');
+const { getRepositories, getSpecTypes } = require('../lib/repositories');
+const { getLabelRules } = require('../lib/label-rules');
+const { specType: specTypeParam } = require('./schemas');
+
+// Health and configuration endpoints; mounted whatever API_ROUTERS selects
+const api = createApiRouter({
+  name: 'system',
+  basePath: '/api',
+  description: 'Health check, OpenAPI document, spec types and label rules'
+});
+
+// OpenAPI document of the routers this server mounts (built by createApp()).
+// Not wrapped in the response envelope, so client generators can read it as is.
+api.get('/openapi.json', {
+  summary: 'OpenAPI 3 document of this API',
+  access: 'public'
+}, (req, res) => {
+  res.json(req.app.locals.openapi);
+});
+
+// Get all available spec types
+api.get('/spec-types', {
+  summary: 'Available spec types',
+  response: {
+    data: {
+      type: 'object',
+      properties: {
+        specTypes: { type: 'array', items: specTypeParam() },
+        repositories: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              fullName: { type: 'string' },
+              specType: { type: 'string' },
+              description: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    description: { type: 'string' }
+  }
+}, (req, res) => {
+  sendSuccess(res, {
+    data: {
+      specTypes: getSpecTypes(),
+      repositories: getRepositories().map(({ fullName, specType, description }) => ({ fullName, specType, description }))
+    },
+    description: 'Available specification types for all endpoints'
+  });
+});
+
+// Label classification rules in effect (read-only)
+api.get('/label-rules', {
+  summary: 'Label classification rules',
+  response: {
+    data: {
+      type: 'object',
+      properties: {
+        source: { type: 'string' },
+        refined: { type: 'object', additionalProperties: true },
+        custom: { type: 'object', additionalProperties: true }
+      }
+    },
+    description: { type: 'string' }
+  }
+}, (req, res) => {
+  const { source, definition } = getLabelRules();
+  sendSuccess(res, {
+    data: {
+      source: path.basename(source),
+      refined: definition.refined,
+      custom: definition.custom
+    },
+    description: 'Ordered rules mapping GitHub labels and PR titles to refined and custom labels'
+  });
+});
+
+// Health check endpoint; lists the routers this process serves
+api.get('/health', {
+  summary: 'Health check',
+  access: 'public',
+  response: {
+    data: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+        mongodb: { type: 'string', enum: ['connected', 'disconnected'] },
+        timestamp: { type: 'string', format: 'date-time' },
+        routers: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+}, async (req, res) => {
+  const health = {
+    timestamp: new Date().toISOString(),
+    routers: req.app.locals.routers
+  };
+  try {
+    if (mongoose.connection.readyState !== 1) throw new Error('MongoDB is not connected');
+    await mongoose.connection.db.admin().ping();
+    sendSuccess(res, { data: { status: 'healthy', mongodb: 'connected', ...health } });
+  } catch (error) {
+    sendError(res, 500, 'Health check failed', {
+      details: error.message,
+      data: { status: 'unhealthy', mongodb: 'disconnected', ...health }
+    });
+  }
+});
+
+module.exports = api;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { createApiRouter, sendSuccess, sendError } = require('../lib/api-router');
+const { verifySignature, handleWebhookEvent } = require('../lib/github-webhook');
+const { getConfig } = require('../lib/config');
+
+// Secret configured on the GitHub webhook; webhooks are rejected without it
+const GITHUB_WEBHOOK_SECRET = getConfig().githubWebhookSecret;
+
+// GitHub signs the raw request body, so this router parses its own body and is
+// mounted ahead of express.json(). The signature authenticates deliveries; API
+// keys and rate limits don't apply.
+const api = createApiRouter({
+  name: 'webhooks',
+  basePath: '/api/webhooks',
+  description: GITHUB_WEBHOOK_SECRET
+    ? 'GitHub webhook receiver'
+    : 'GitHub webhook receiver (disabled, set GITHUB_WEBHOOK_SECRET)',
+  rawBody: true,
+  access: 'public'
+});
+
+// pull_request, pull_request_review and label deliveries for the tracked
+// repositories (content type application/json), applied to the PR collections
+// straight away
+async function handleGithubWebhook(req, res) {
+  if (!GITHUB_WEBHOOK_SECRET) {
+    return sendError(res, 503, 'GitHub webhooks are disabled (GITHUB_WEBHOOK_SECRET is not set)');
+  }
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!verifySignature(rawBody, req.get('X-Hub-Signature-256'), GITHUB_WEBHOOK_SECRET)) {
+    return sendError(res, 401, 'Invalid or missing webhook signature');
+  }
+
+  const event = req.get('X-GitHub-Event');
+  const delivery = req.get('X-GitHub-Delivery') || null;
+  if (event === 'ping') {
+    return sendSuccess(res, { delivery, event, data: { status: 'pong' } });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return sendError(res, 400, 'Webhook body must be JSON (set the webhook content type to application/json)');
+  }
+
+  const result = await handleWebhookEvent(event, payload);
+  console.log(`[WEBHOOK] ${delivery || '-'} ${event}${payload.action ? `.${payload.action}` : ''}: ${result.status}${result.number ? ` #${result.number}` : ''}${result.reason ? ` (${result.reason})` : ''}`);
+  sendSuccess(res, { delivery, event, data: result }, result.status === 'ignored' ? 202 : 200);
+}
+
+api.post('/github', {
+  summary: 'GitHub webhook receiver (signed with GITHUB_WEBHOOK_SECRET)',
+  description: 'Takes the GitHub webhook payload of the event as the raw JSON body; 202 when the delivery is ignored.',
+  headers: {
+    'X-GitHub-Event': { type: 'string', maxLength: 100, description: 'Event name' },
+    'X-GitHub-Delivery': { type: 'string', maxLength: 100, description: 'Delivery id' },
+    'X-Hub-Signature-256': { type: 'string', description: 'sha256= HMAC of the body keyed with GITHUB_WEBHOOK_SECRET' }
+  },
+  response: {
+    delivery: { type: 'string', nullable: true },
+    event: { type: 'string' },
+    data: {
+      type: 'object',
+      additionalProperties: true,
+      properties: {
+        status: { type: 'string', enum: ['pong', 'upserted', 'stale', 'relabeled', 'label-removed', 'ignored'] },
+        specType: { type: 'string' },
+        number: { type: 'integer' },
+        dirtyMonths: { type: 'integer', description: 'Chart months marked for a rebuild' },
+        chartsJobId: { type: 'string', nullable: true, description: 'Queued charts job that rebuilds them' },
+        reason: { type: 'string' }
+      }
+    }
+  },
+  errors: [401, 503]
+}, express.raw({ type: '*/*', limit: '5mb' }), handleGithubWebhook);
+
+module.exports = api;
@@ -1,107 +1,13 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
-
-// --- Mongo Schemas ---
-const prSchema = new mongoose.Schema({
-  prId: Number,
-  number: Number,
-  title: String,
-  githubLabels: [String],
-  state: String,
-  createdAt: Date,
-  closedAt: Date,
-  customLabels: [String],
-}, { strict: false });
-
-const snapshotSchema = new mongoose.Schema({
-  snapshotDate: String, // "YYYY-MM-DD"
-  month: String,        // "YYYY-MM"
-  prs: [mongoose.Schema.Types.Mixed]
-}, { strict: false });
-
-const EIP_PR   = mongoose.models.EIP_PR   || mongoose.model("EIP_PR",   prSchema,      "eipprs");
-const ERC_PR   = mongoose.models.ERC_PR   || mongoose.model("ERC_PR",   prSchema,      "ercprs");
-const RIP_PR   = mongoose.models.RIP_PR   || mongoose.model("RIP_PR",   prSchema,      "ripprs");
-
-const EIP_SNAP = mongoose.models.EIP_SNAP || mongoose.model("EIP_SNAP", snapshotSchema,"open_pr_snapshots");
-const ERC_SNAP = mongoose.models.ERC_SNAP || mongoose.model("ERC_SNAP", snapshotSchema,"open_erc_pr_snapshots");
-const RIP_SNAP = mongoose.models.RIP_SNAP || mongoose.model("RIP_SNAP", snapshotSchema,"open_rip_pr_snapshots");
-
-// --- Label logic for EIPs, ERCs, RIPs
-function computeRefinedLabels(rawLabels) {
-  const refined = [];
-  const labels = rawLabels.map(l => l.toLowerCase());
-  
-  // Review-related labels
-  if (labels.some(l => l.includes('a-review') || l.includes('author review'))) refined.push("Author Review");
-  if (labels.some(l => l.includes('e-review') || l.includes('editor review'))) refined.push("Editor Review");
-  if (labels.some(l => l.includes('discuss'))) refined.push("Discuss");
-  if (labels.some(l => l.includes('on-hold') || l.includes('on hold'))) refined.push("On Hold");
-  if (labels.some(l => l.includes('final-call') || l.includes('final call'))) refined.push("Final Call");
-  
-  // Status labels
-  if (labels.some(l => l.includes('draft'))) refined.push("Draft");
-  if (labels.some(l => l.includes('review'))) refined.push("Review");
-  if (labels.some(l => l.includes('last-call') || l.includes('last call'))) refined.push("Last Call");
-  if (labels.some(l => l.includes('final'))) refined.push("Final");
-  if (labels.some(l => l.includes('stagnant'))) refined.push("Stagnant");
-  if (labels.some(l => l.includes('withdrawn'))) refined.push("Withdrawn");
-  
-  // Category labels
-  if (labels.some(l => l.includes('c-new'))) refined.push("New");
-  if (labels.some(l => l.includes('c-update'))) refined.push("Update");
-  if (labels.some(l => l.includes('c-status'))) refined.push("Status Change");
-  
-  // Bot labels
-  if (labels.some(l => l.includes('created-by-bot') || l.includes('bot'))) refined.push("Created By Bot");
-  
-  // Type labels
-  if (labels.some(l => l.includes('core'))) refined.push("Core");
-  if (labels.some(l => l.includes('networking'))) refined.push("Networking");
-  if (labels.some(l => l.includes('interface'))) refined.push("Interface");
-  if (labels.some(l => l.includes('erc'))) refined.push("ERC");
-  if (labels.some(l => l.includes('meta'))) refined.push("Meta");
-  if (labels.some(l => l.includes('informational'))) refined.push("Informational");
-  
-  return refined.length > 0 ? refined : ["Unlabeled"];
-}
-
-function computeCustomLabels(pr, kind = "EIP") {
-  const out = [];
-  const title = pr.title ?? '';
-  const titleLC = title.toLowerCase();
-  const githubLabels = pr.githubLabels || [];
-  
-  // First check GitHub labels for refined categorization
-  const refinedFromLabels = computeRefinedLabels(githubLabels);
-  if (refinedFromLabels.length > 0 && !refinedFromLabels.includes("Unlabeled")) {
-    out.push(...refinedFromLabels);
-  }
-  
-  // Then apply title-based logic
-  if (kind === "EIP") {
-    if (title.startsWith("Update EIP-") && /typo|spelling|grammar|punctuation/i.test(title)) out.push("Typo Fix");
-    if (title.startsWith("Update EIP-") && /move to|status.*change|change.*status/i.test(titleLC)) out.push("Status Change");
-    if (title.startsWith("Update EIP-") && !out.includes("Status Change") && !out.includes("Typo Fix")) out.push("EIP Update");
-    if (githubLabels.includes('created-by-bot')) out.push("Created By Bot");
-    if (title.startsWith("Add EIP") && githubLabels.includes('c-new')) out.push("New EIP");
-  } else if (kind === "ERC") {
-    if (title.startsWith("Update ERC-") && /typo|spelling|grammar|punctuation/i.test(title)) out.push("Typo Fix");
-    if (title.startsWith("Update ERC-") && /move to|status.*change|change.*status/i.test(titleLC)) out.push("Status Change");
-    if (title.startsWith("Update ERC-") && !out.includes("Status Change") && !out.includes("Typo Fix")) out.push("ERC Update");
-    if (githubLabels.includes('created-by-bot')) out.push("Created By Bot");
-    if (title.startsWith("Add ERC") && githubLabels.includes('c-new')) out.push("New ERC");
-  } else if (kind === "RIP") {
-    if (/fix typo|fix file name|typo|grammar|punctuation/i.test(titleLC)) out.push("Typo Fix");
-    if (/update rip-|rename|review required|remove deprecated/i.test(titleLC)) out.push("Update");
-    if (/^create rip|add rip/i.test(titleLC)) out.push("New RIP");
-  }
-  
-  // Remove duplicates and fallback to Misc if empty
-  const uniqueOut = [...new Set(out)];
-  if (uniqueOut.length === 0) uniqueOut.push("Misc");
-  return uniqueOut;
-}
+const { withPublishBatch } = require('./lib/collection-swap');
+const { getRepositories } = require('./lib/repositories');
+const { getPullRequestModel } = require('./models/PullRequest');
+const { getSnapshotModel } = require('./models/Snapshot');
+const { getLabelRules, computeCustomLabels } = require('./lib/label-rules');
+const { reportResult } = require('./lib/job-result');
+const { loadStartupConfig } = require('./lib/config');
+const { bumpDataVersion } = require('./lib/data-version');
 
 function logLabelCounts(prs, monthKey, kind, snapshotDateStr) {
   const labelCounts = {};
@@ -117,26 +23,17 @@ function logLabelCounts(prs, monthKey, kind, snapshotDateStr) {
 }
 
 // --- Snapshot Runner for any type
-async function runSnapshots(kind) {
-  let PR, SNAP;
-  if (kind === "EIP") {
-    PR = EIP_PR;
-    SNAP = EIP_SNAP;
-  } else if (kind === "ERC") {
-    PR = ERC_PR;
-    SNAP = ERC_SNAP;
-  } else if (kind === "RIP") {
-    PR = RIP_PR;
-    SNAP = RIP_SNAP;
-  } else {
-    throw new Error(`Unknown kind: ${kind}`);
-  }
+// Snapshots are written to a staging collection that `batch` publishes once all kinds are done
+async function runSnapshots(repository, batch, signal) {
+  const kind = repository.specType;
+  const PR = getPullRequestModel(repository);
+  const SNAP = getSnapshotModel(repository);
 
   console.log(`[START] Snapshots for ${kind}...`);
 
-  // Delete all old monthly snapshots before inserting new
-  const deleted = await SNAP.deleteMany({});
-  console.log(`[${kind}] Deleted ${deleted.deletedCount} prior monthly snapshot records.`);
+  // Build the new monthly snapshots next to the live ones
+  const staging = await batch.open(SNAP);
+  console.log(`[${kind}] Writing monthly snapshots to ${staging.name}`);
 
   const firstPR = await PR.findOne().sort({ createdAt: 1 }).lean();
   if (!firstPR) {
@@ -160,6 +57,7 @@ async function runSnapshots(kind) {
       const snapshotDate    = isCurrent ? now : new Date(y, m + 1, 0);
       const snapshotDateStr = snapshotDate.toISOString().slice(0, 10);
       const monthKey        = `${y}-${String(m + 1).padStart(2, "0")}`;
+      signal?.throwIfAborted();
       console.log(`[${kind}] Processing ${monthKey} (${snapshotDateStr}) ...`);
 
       // Find PRs open as of snapshotDate
@@ -180,11 +78,11 @@ async function runSnapshots(kind) {
           customLabels: computeCustomLabels(pr, kind)
         }));
 
-        await SNAP.insertOne({
+        await staging.insertMany([{
           month: monthKey,
           snapshotDate: snapshotDateStr,
           prs: enrichedPRs,
-        });
+        }]);
 
         console.log(`[${kind}]  ${monthKey}: Saved ${enrichedPRs.length} open PRs (${snapshotDateStr})`);
         logLabelCounts(enrichedPRs, monthKey, kind, snapshotDateStr);
@@ -195,19 +93,38 @@ async function runSnapshots(kind) {
   console.log(`[DONE][${kind}] Snapshotted ${monthCount} months`);
 }
 
-// --- Main routine
-async function main() {
-  console.log(`[MAIN] Connecting to MongoDB...`);
-  await mongoose.connect(process.env.OPENPRS_MONGODB_URI, { dbName: process.env.OPENPRS_DATABASE });
+// --- Pipeline job: rebuilds every repository's snapshots over the caller's connection
+async function run({ signal } = {}) {
+  const labelRules = getLabelRules(); // fail fast on an invalid rules file
+  console.log(`[MAIN] Label rules loaded from ${labelRules.source}`);
   const t0 = Date.now();
-  await runSnapshots("EIP");
-  await runSnapshots("ERC");
-  await runSnapshots("RIP");
-  mongoose.connection.close();
+  const counts = await withPublishBatch('SNAPSHOT', async batch => {
+    for (const repository of getRepositories()) {
+      await runSnapshots(repository, batch, signal);
+    }
+    return batch.counts();
+  });
+  await bumpDataVersion('snapshot-open-prs.js');
   const t1 = Date.now();
   console.log(`[COMPLETE] All snapshots done in ${(t1-t0)/1000}s`);
+  return { counts };
+}
+
+// --- Main routine
+async function main() {
+  const config = loadStartupConfig({ required: ['mongodbUri', 'database'], purpose: 'the open PR snapshots' });
+  console.log(`[MAIN] Connecting to MongoDB...`);
+  await mongoose.connect(config.mongodbUri, { dbName: config.database });
+  try {
+    reportResult(await run());
+  } finally {
+    await mongoose.connection.close();
+  }
 }
 
 if (require.main === module) {
   main().catch(e => { console.error(e); process.exit(1); });
 }
+
+module.exports = main;
+module.exports.run = run;
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { compileRule, loadLabelRules } = require('../lib/label-rules');
+
+// The label rules engine and the shipped config/label-rules.json. No database needed.
+
+const SPEC_TYPES = ['EIP', 'ERC', 'RIP'];
+const rules = loadLabelRules(path.join(__dirname, '..', 'config', 'label-rules.json'));
+const custom = (title, kind = 'EIP', githubLabels = []) => rules.computeCustomLabels({ title, githubLabels }, kind);
+
+describe('compileRule', () => {
+  it('rejects unknown fields', () => {
+    assert.throws(() => compileRule({ output: 'X', labels: ['x'], colour: 'red' }, 'rule', SPEC_TYPES), /unknown field\(s\) colour/);
+    assert.throws(() => compileRule({ output: 'X', labels: [{ pattern: 'x', flags: 'g' }] }, 'rule', SPEC_TYPES), /unknown pattern field\(s\) flags/);
+  });
+
+  it('rejects excludeLabels without labels', () => {
+    assert.throws(() => compileRule({ output: 'X', title: ['x'], excludeLabels: ['y'] }, 'rule', SPEC_TYPES), /excludeLabels only applies together with "labels"/);
+  });
+
+  it('rejects an invalid regex', () => {
+    assert.throws(() => compileRule({ output: 'X', title: ['(unclosed'] }, 'rule', SPEC_TYPES), /rule\.title: invalid regex "\(unclosed"/);
+  });
+
+  it('matches case-sensitively unless ignoreCase is set', () => {
+    const [sensitive] = compileRule({ output: 'X', title: ['^Add EIP'] }, 'rule', SPEC_TYPES).title;
+    assert.equal(sensitive.test('add eip-1'), false);
+    const [insensitive] = compileRule({ output: 'X', title: ['^Add EIP'], ignoreCase: true }, 'rule', SPEC_TYPES).title;
+    assert.equal(insensitive.test('add eip-1'), true);
+    const [prefix, word] = compileRule({ output: 'X', title: ['^Add EIP', { pattern: 'typo', ignoreCase: true }] }, 'rule', SPEC_TYPES).title;
+    assert.deepEqual([prefix.flags, word.flags], ['', 'i']);
+  });
+});
+
+describe('shipped label rules', () => {
+  it('maps e-review to Editor Review only', () => {
+    assert.deepEqual(rules.computeRefinedLabels(['e-review']), ['Editor Review']);
+    assert.deepEqual(rules.computeRefinedLabels(['E-Review']), ['Editor Review']);
+  });
+
+  it('maps final-call to Final Call only', () => {
+    assert.deepEqual(rules.computeRefinedLabels(['final-call']), ['Final Call']);
+  });
+
+  it('gives Typo Fix and Status Change precedence over EIP Update', () => {
+    assert.deepEqual(custom('Update EIP-1: fix typo'), ['Typo Fix']);
+    assert.deepEqual(custom('Update EIP-1: Fix Typo'), ['Typo Fix']);
+    assert.deepEqual(custom('Update EIP-1: Move to Final'), ['Status Change']);
+    assert.deepEqual(custom('Update EIP-1: fix typo and move to Last Call'), ['Typo Fix', 'Status Change']);
+    assert.deepEqual(custom('Update EIP-1: clarify rationale'), ['EIP Update']);
+  });
+
+  it('keeps the title prefixes case-sensitive', () => {
+    assert.deepEqual(custom('update eip-1: fix'), ['Misc']);
+    assert.deepEqual(custom('update erc-20: fix', 'ERC'), ['Misc']);
+  });
+});
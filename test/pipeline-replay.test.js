@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Runs the whole pipeline (`node index.js --once`) with APP_ENV=test, which replays
+// the GitHub answers in fixtures/github, against a throwaway database.
+// Needs a MongoDB server: MONGODB_TEST_URI=mongodb://localhost:27017 npm test
+
+const MONGODB_URI = process.env.MONGODB_TEST_URI;
+const DATABASE = `prs_pipeline_test_${process.pid}`;
+const ROOT_DIR = path.join(__dirname, '..');
+
+function runPipelineOnce() {
+  return new Promise(resolve => {
+    execFile(process.execPath, ['index.js', '--once'], {
+      cwd: ROOT_DIR,
+      env: { ...process.env, APP_ENV: 'test', OPENPRS_MONGODB_URI: MONGODB_URI, OPENPRS_DATABASE: DATABASE, POSTGRES_URL: '' },
+      timeout: 120000,
+      maxBuffer: 16 * 1024 * 1024
+    }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, output: `${stdout}${stderr}` }));
+  });
+}
+
+function count(name, query = {}) {
+  return mongoose.connection.db.collection(name).countDocuments(query);
+}
+
+describe('pipeline replaying the GitHub fixtures', { skip: !MONGODB_URI && 'MONGODB_TEST_URI is not set' }, () => {
+  before(async () => {
+    await mongoose.connect(MONGODB_URI, { dbName: DATABASE });
+  });
+  after(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  const firstRun = {};
+
+  it('does a full load on the first run', async () => {
+    firstRun.startedAt = new Date();
+    const { code, output } = await runPipelineOnce();
+    firstRun.finishedAt = new Date();
+    assert.equal(code, 0, output);
+
+    assert.equal(await count('eipprs'), 6);
+    assert.equal(await count('ercprs'), 4);
+    assert.equal(await count('ripprs'), 2);
+    assert.equal(await count('eip_raw_labels', { refinedLabels: 'Editor Review' }), 1);
+    assert.equal(await count('contributors'), 12);
+    assert.equal(await count('repository_stats'), 3);
+    assert.ok(await count('open_pr_snapshots') > 0);
+    assert.ok(await count('eipsPRCharts') > 0);
+    assert.ok(await count('allPRCharts') > 0);
+
+    const run = await mongoose.connection.db.collection('pipeline_runs').findOne({}, { sort: { startedAt: -1 } });
+    assert.equal(run.status, 'success');
+    assert.deepEqual(run.steps.map(step => step.status), ['success', 'success', 'success', 'success', 'success']);
+    // One bump per step that published data; the PostgreSQL mirror is not configured
+    const dataVersion = await mongoose.connection.db.collection('data_versions').findOne({ _id: 'current' });
+    assert.equal(dataVersion.version, 4);
+  });
+
+  it('caps the full-resync watermark at the time the fetch started', async () => {
+    // EIP #9105 sits on the created-order page with an updatedAt after the fetch
+    // started, like an old PR edited while a resync is still paging. Taking its
+    // updatedAt as the watermark would skip every PR updated in between.
+    const state = await mongoose.connection.db.collection('pr_sync_state').findOne({ repository: 'ethereum/EIPs' });
+    assert.ok(state.lastUpdatedAt >= firstRun.startedAt && state.lastUpdatedAt <= firstRun.finishedAt,
+      `watermark ${state.lastUpdatedAt.toISOString()} is outside the first run`);
+    const edited = await mongoose.connection.db.collection('eipprs').findOne({ number: 9105 });
+    assert.equal(edited.updatedAt.toISOString(), '2099-01-01T12:00:00.000Z');
+  });
+
+  it('syncs incrementally on the second run without duplicating PRs', async () => {
+    const { code, output } = await runPipelineOnce();
+    assert.equal(code, 0, output);
+
+    assert.equal(await count('eipprs'), 6);
+    assert.equal(await count('eip_raw_labels'), 6);
+    const state = await mongoose.connection.db.collection('pr_sync_state').findOne({ repository: 'ethereum/EIPs' });
+    assert.equal(state.lastMode, 'incremental');
+  });
+
+  it('fails the runs and admin jobs a dead scheduler left running', async () => {
+    const runs = mongoose.connection.db.collection('pipeline_runs');
+    const jobs = mongoose.connection.db.collection('pipeline_jobs');
+    const { insertedId } = await runs.insertOne({
+      trigger: 'admin',
+      status: 'running',
+      startedAt: new Date(Date.now() - 60 * 60 * 1000),
+      steps: [{ key: 'fetch', status: 'success' }, { key: 'contributors', status: 'running' }, { key: 'snapshot', status: 'pending' }]
+    });
+    const hour = 60 * 60 * 1000;
+    const { insertedIds } = await jobs.insertMany([
+      // Its run died with the scheduler
+      { kind: 'pipeline', status: 'running', claimedBy: 'gone:1', startedAt: new Date(Date.now() - hour), runId: insertedId },
+      // Claimed longer ago than a live scheduler waits for the lock
+      { kind: 'step', step: 'charts', status: 'running', claimedBy: 'gone:1', startedAt: new Date(Date.now() - 2 * hour), runId: null },
+      // Just claimed by a scheduler still waiting for the lock
+      { kind: 'step', step: 'fetch', status: 'running', claimedBy: 'alive:2', startedAt: new Date(), runId: null }
+    ]);
+
+    const { code, output } = await runPipelineOnce();
+    assert.equal(code, 0, output);
+
+    const dead = await runs.findOne({ _id: insertedId });
+    assert.equal(dead.status, 'failed');
+    assert.match(dead.error, /^Interrupted/);
+    assert.deepEqual(dead.steps.map(step => step.status), ['success', 'failed', 'pending']);
+    assert.equal(await runs.countDocuments({ status: 'running' }), 0);
+
+    const statuses = await Promise.all(Object.values(insertedIds).map(id => jobs.findOne({ _id: id })));
+    assert.deepEqual(statuses.map(job => job.status), ['failed', 'failed', 'running']);
+    assert.match(statuses[0].error, /^Interrupted/);
+  });
+});
@@ -0,0 +1,183 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The PostgreSQL mirror (postgres-mirror.js) against a real PostgreSQL server, in a
+// throwaway schema. The MongoDB reads are stubbed and answered from MONGO below.
+// Needs PG_TEST_URL, e.g. PG_TEST_URL=postgres://postgres@localhost:5432/postgres npm test
+
+const PG_TEST_URL = process.env.PG_TEST_URL;
+const SCHEMA = `prs_mirror_test_${process.pid}`;
+
+// The mirror reads its settings when it first runs
+process.env.POSTGRES_URL = PG_TEST_URL || '';
+process.env.POSTGRES_SCHEMA = SCHEMA;
+const mongoose = require('mongoose');
+const { Client } = require('pg');
+const { run } = require('../postgres-mirror');
+
+const pr = (prId, number, labels) => ({
+  prId,
+  number,
+  title: `PR ${number}`,
+  author: 'alice',
+  prUrl: `https://github.com/ethereum/EIPs/pull/${number}`,
+  state: 'open',
+  createdAt: new Date('2025-01-10T12:00:00Z'),
+  updatedAt: new Date('2025-02-01T12:00:00Z'),
+  githubLabels: labels,
+  customLabels: ['New EIP']
+});
+
+// Documents per MongoDB collection; snapshots are given as the mirror's
+// aggregation outputs them
+function fixtureData() {
+  return {
+    eipprs: [pr(1, 9101, ['c-new', 'e-review']), pr(2, 9102, ['c-update'])],
+    ercprs: [{ ...pr(3, 801, ['c-new']), prUrl: 'https://github.com/ethereum/ERCs/pull/801' }],
+    eip_raw_labels: [
+      { prId: 1, rawGithubLabels: ['c-new', 'e-review'], refinedLabels: ['New', 'Editor Review'] },
+      { prId: 2, rawGithubLabels: ['c-update'], refinedLabels: ['Update'] }
+    ],
+    open_pr_snapshots: [
+      { month: '2025-01', snapshotDate: '2025-01-31', prId: 1, number: 9101, customLabels: ['New EIP'] },
+      { month: '2025-01', snapshotDate: '2025-01-31', prId: 2, number: 9102, customLabels: [] }
+    ],
+    eipsPRCharts: [{ category: 'eips', monthYear: '2025-01', type: 'Created', count: 2 }],
+    allLatencyCharts: [{ category: 'all', monthYear: '2025-01', type: 'TimeToMerge', label: 'New', count: 1, p50: 24, p75: 36, p90: 48 }],
+    contributors: [
+      { login: 'alice', repository: 'EIPs', id: 10, rank: 1, total_commits: 3, weeks: [{ week: new Date('2025-01-05T00:00:00Z'), commits: 3, additions: 30, deletions: 4 }] },
+      { login: 'bob', repository: 'ERCs', id: 11, rank: 1, total_commits: 1, weeks: [] }
+    ],
+    repository_stats: [{ repository: 'EIPs', total_contributors: 1, total_commits: 3, summary_text: 'EIPs: 1 contributor' }]
+  };
+}
+
+let MONGO = fixtureData();
+
+function cursorOver(docs) {
+  let index = 0;
+  return {
+    async next() {
+      return index < docs.length ? docs[index++] : null;
+    },
+    async close() {},
+    [Symbol.asyncIterator]() {
+      return { next: async () => (index < docs.length ? { value: docs[index++], done: false } : { done: true }) };
+    }
+  };
+}
+
+const docsOf = model => (MONGO[model.collection.collectionName] || []).map(doc => ({ ...doc }));
+
+describe('PostgreSQL mirror', { skip: !PG_TEST_URL && 'PG_TEST_URL is not set' }, () => {
+  const stubbed = {
+    queryCursor: mongoose.Query.prototype.cursor,
+    queryExec: mongoose.Query.prototype.exec,
+    aggregateCursor: mongoose.Aggregate.prototype.cursor
+  };
+  let pg;
+
+  before(async () => {
+    mongoose.Query.prototype.cursor = function cursor() {
+      return cursorOver(docsOf(this.model));
+    };
+    mongoose.Query.prototype.exec = async function exec() {
+      return docsOf(this.model);
+    };
+    mongoose.Aggregate.prototype.cursor = function cursor() {
+      return cursorOver(docsOf(this._model));
+    };
+    pg = new Client({ connectionString: PG_TEST_URL });
+    await pg.connect();
+  });
+
+  after(async () => {
+    mongoose.Query.prototype.cursor = stubbed.queryCursor;
+    mongoose.Query.prototype.exec = stubbed.queryExec;
+    mongoose.Aggregate.prototype.cursor = stubbed.aggregateCursor;
+    await pg.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+    await pg.end();
+  });
+
+  async function tableCounts() {
+    const counts = {};
+    for (const table of ['pull_requests', 'pull_request_labels', 'pr_snapshots', 'chart_series', 'contributors', 'contributor_weeks', 'repository_stats']) {
+      const { rows } = await pg.query(`SELECT count(*)::int AS count FROM ${SCHEMA}.${table}`);
+      counts[table] = rows[0].count;
+    }
+    return counts;
+  }
+
+  const EXPECTED = {
+    pull_requests: 3,
+    pull_request_labels: 13,
+    pr_snapshots: 2,
+    chart_series: 2,
+    contributors: 2,
+    contributor_weeks: 1,
+    repository_stats: 1
+  };
+
+  it('applies the migrations once', async () => {
+    const first = await run({ migrateOnly: true });
+    assert.deepEqual(first.migrations.map(m => m.version), [1]);
+    const second = await run({ migrateOnly: true });
+    assert.deepEqual(second.migrations, []);
+  });
+
+  it('mirrors every dataset', async () => {
+    const result = await run();
+    assert.deepEqual(result.counts, EXPECTED);
+    assert.deepEqual(await tableCounts(), EXPECTED);
+
+    const { rows } = await pg.query(`SELECT kind, label FROM ${SCHEMA}.pull_request_labels WHERE pr_id = 1 ORDER BY kind, label`);
+    assert.deepEqual(rows.map(row => `${row.kind}:${row.label}`), [
+      'custom:New EIP', 'github:c-new', 'github:e-review', 'raw:c-new', 'raw:e-review', 'refined:Editor Review', 'refined:New'
+    ]);
+  });
+
+  it('is idempotent when run again on the same data', async () => {
+    const result = await run();
+    assert.deepEqual(result.migrations, []);
+    assert.deepEqual(result.counts, EXPECTED);
+    assert.deepEqual(Object.values(result.removed), [0, 0, 0, 0, 0]);
+    assert.deepEqual(await tableCounts(), EXPECTED);
+  });
+
+  it('removes rows the latest run did not write, by mirrored_at', async () => {
+    MONGO = fixtureData();
+    MONGO.eipprs = MONGO.eipprs.filter(doc => doc.prId !== 2);
+    MONGO.eip_raw_labels = MONGO.eip_raw_labels.filter(doc => doc.prId !== 2);
+    MONGO.open_pr_snapshots = MONGO.open_pr_snapshots.filter(row => row.prId !== 2);
+    MONGO.contributors = MONGO.contributors.filter(doc => doc.login !== 'alice');
+    delete MONGO.allLatencyCharts;
+
+    const result = await run();
+    assert.deepEqual(result.removed, {
+      pull_requests: 1,
+      pr_snapshots: 1,
+      chart_series: 1,
+      contributors: 1,
+      repository_stats: 0
+    });
+    // Labels and weeks go with their PR and contributor
+    assert.deepEqual(await tableCounts(), {
+      pull_requests: 2,
+      pull_request_labels: 9,
+      pr_snapshots: 1,
+      chart_series: 1,
+      contributors: 1,
+      contributor_weeks: 0,
+      repository_stats: 1
+    });
+
+    const { rows } = await pg.query(`
+      SELECT count(DISTINCT mirrored_at)::int AS runs FROM (
+        SELECT mirrored_at FROM ${SCHEMA}.pull_requests
+        UNION ALL SELECT mirrored_at FROM ${SCHEMA}.contributors
+        UNION ALL SELECT mirrored_at FROM ${SCHEMA}.chart_series
+      ) AS mirrored
+    `);
+    assert.equal(rows[0].runs, 1);
+  });
+});
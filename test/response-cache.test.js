@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const { createApp } = require('../routes');
+
+// The graphs routes through the in-memory response cache (API_CACHE=memory, the
+// default). MongoDB is not needed: every query the routes run is answered by a
+// stub that counts them.
+
+const CHART_DOCS = [
+  { monthYear: '2025-01', type: 'Created', count: 4 },
+  { monthYear: '2025-01', type: 'Merged', count: 2 }
+];
+
+// GET helper; fetch() would add Cache-Control: no-cache to conditional requests,
+// which makes Express skip the 304
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('response cache', () => {
+  const queries = [];
+  const originalExec = mongoose.Query.prototype.exec;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mongoose.Query.prototype.exec = async function exec() {
+      queries.push(`${this.model.collection.collectionName}.${this.op}`);
+      return this.op === 'countDocuments' ? 7 : CHART_DOCS.map(doc => ({ ...doc }));
+    };
+    server = createApp({ routers: ['graphs'] }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mongoose.Query.prototype.exec = originalExec;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('queries MongoDB on the first request only', async () => {
+    const first = await get(`${baseUrl}/api/graph1/eip`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers['x-cache'], 'MISS');
+    assert.equal(JSON.parse(first.body).totalPRs, 7);
+    assert.deepEqual(queries.sort(), ['eipprs.countDocuments', 'eipsPRCharts.find']);
+
+    queries.length = 0;
+    const second = await get(`${baseUrl}/api/graph1/eip`);
+    assert.equal(second.status, 200);
+    assert.equal(second.headers['x-cache'], 'HIT');
+    assert.equal(second.headers.etag, first.headers.etag);
+    assert.equal(second.body, first.body);
+    assert.deepEqual(queries, []);
+  });
+
+  it('keys entries on the query string', async () => {
+    queries.length = 0;
+    const response = await get(`${baseUrl}/api/graph1/eip?startDate=2025-01-01`);
+    assert.equal(response.headers['x-cache'], 'MISS');
+    assert.deepEqual(queries, ['eipprs.find']);
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const { headers } = await get(`${baseUrl}/api/graph1/eip`);
+    assert.ok(headers.etag);
+
+    queries.length = 0;
+    const response = await get(`${baseUrl}/api/graph1/eip`, { 'If-None-Match': headers.etag });
+    assert.equal(response.status, 304);
+    assert.equal(response.body, '');
+    assert.deepEqual(queries, []);
+
+    const changed = await get(`${baseUrl}/api/graph1/eip`, { 'If-None-Match': '"stale"' });
+    assert.equal(changed.status, 200);
+  });
+});
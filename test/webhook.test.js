@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Posts the signed deliveries in fixtures/webhooks to the webhook router, the way
+// GitHub (or webhook-replay.js) sends them, and checks what they wrote.
+// Needs a MongoDB server: MONGODB_TEST_URI=mongodb://localhost:27017 npm test
+
+const MONGODB_URI = process.env.MONGODB_TEST_URI;
+const DATABASE = `prs_webhook_test_${process.pid}`;
+const SECRET = 'webhook-test-secret';
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'webhooks');
+
+// The router reads the secret when it is loaded
+process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+const mongoose = require('mongoose');
+const { createApp } = require('../routes');
+const { replay } = require('../webhook-replay');
+const { listDirtyMonths } = require('../lib/chart-dirty-months');
+
+const fixture = name => require(path.join(FIXTURE_DIR, `${name}.json`));
+
+describe('GitHub webhook receiver', { skip: !MONGODB_URI && 'MONGODB_TEST_URI is not set' }, () => {
+  let server;
+  let url;
+
+  before(async () => {
+    await mongoose.connect(MONGODB_URI, { dbName: DATABASE });
+    server = createApp({ routers: ['webhooks'] }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/webhooks/github`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  const collection = name => mongoose.connection.db.collection(name);
+
+  it('rejects a delivery with a bad signature', async () => {
+    const { status, body } = await replay(url, 'not-the-secret', fixture('pull_request'));
+    assert.equal(status, 401);
+    assert.equal(body.success, false);
+    assert.equal(await collection('eipprs').countDocuments(), 0);
+  });
+
+  it('upserts the PR and its raw labels from pull_request', async () => {
+    const { status, body } = await replay(url, SECRET, fixture('pull_request'));
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'upserted');
+    assert.ok(body.data.dirtyMonths > 0);
+    assert.ok(body.data.chartsJobId);
+
+    const pr = await collection('eipprs').findOne({ prId: 2000009201 });
+    assert.equal(pr.number, 9201);
+    assert.deepEqual(pr.githubLabels, ['c-new', 'e-review']);
+    const raw = await collection('eip_raw_labels').findOne({ prId: 2000009201 });
+    assert.deepEqual(raw.refinedLabels.sort(), ['Editor Review', 'New']);
+
+    const { bySpecType } = await listDirtyMonths();
+    assert.equal(bySpecType.EIP[0], '2025-05');
+    assert.equal(bySpecType.EIP.length, body.data.dirtyMonths);
+    assert.equal(await collection('pipeline_jobs').countDocuments({ step: 'charts', status: 'queued' }), 1);
+  });
+
+  it('applies the newer PR state from pull_request_review', async () => {
+    const { status, body } = await replay(url, SECRET, fixture('pull_request_review'));
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'upserted');
+
+    const raw = await collection('eip_raw_labels').findOne({ prId: 2000009201 });
+    assert.deepEqual(raw.rawGithubLabels, ['c-new', 'a-review']);
+    assert.deepEqual(raw.refinedLabels.sort(), ['Author Review', 'New']);
+    assert.equal(await collection('eipprs').countDocuments(), 1);
+    // The queued charts job is reused
+    assert.equal(await collection('pipeline_jobs').countDocuments(), 1);
+  });
+
+  it('ignores an older pull_request delivery', async () => {
+    const { status, body } = await replay(url, SECRET, fixture('pull_request'));
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'stale');
+    const pr = await collection('eipprs').findOne({ prId: 2000009201 });
+    assert.deepEqual(pr.githubLabels, ['c-new', 'a-review']);
+  });
+
+  it('renames the label on stored PRs from label', async () => {
+    const { status, body } = await replay(url, SECRET, fixture('label'));
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'relabeled');
+    assert.equal(body.data.prs, 1);
+
+    const pr = await collection('eipprs').findOne({ prId: 2000009201 });
+    assert.deepEqual(pr.githubLabels, ['c-new', 'author review']);
+    const raw = await collection('eip_raw_labels').findOne({ prId: 2000009201 });
+    assert.deepEqual(raw.rawGithubLabels, ['c-new', 'author review']);
+    assert.deepEqual(raw.refinedLabels.sort(), ['Author Review', 'New']);
+  });
+});
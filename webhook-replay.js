@@ -0,0 +1,80 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { getConfig, loadStartupConfig } = require('./lib/config');
+
+// Webhook replay.
+// Signs recorded GitHub deliveries with GITHUB_WEBHOOK_SECRET and posts them to a
+// running API server, the same way GitHub would. A fixture file holds one
+// { "event": "pull_request", "payload": { ... } } delivery or an array of them;
+// payloads can be copied from the "Recent Deliveries" page of the webhook settings.
+//
+//   node webhook-replay.js <fixture.json> [--url http://localhost:3001/api/webhooks/github]
+//
+// The URL defaults to the local API server on API_PORT (3001). fixtures/webhooks
+// holds sample deliveries for the tracked repositories.
+
+const DEFAULT_URL = `http://localhost:${getConfig().apiPort}/api/webhooks/github`;
+
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function loadDeliveries(file) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const deliveries = Array.isArray(fixture) ? fixture : [fixture];
+  deliveries.forEach((delivery, index) => {
+    if (!delivery || typeof delivery.event !== 'string' || typeof delivery.payload !== 'object') {
+      throw new Error(`${file}: delivery ${index} must be { "event": string, "payload": object }`);
+    }
+  });
+  return deliveries;
+}
+
+async function replay(url, secret, { event, payload }) {
+  const body = JSON.stringify(payload);
+  const signature = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': crypto.randomUUID(),
+      'X-Hub-Signature-256': signature
+    },
+    body
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+async function main() {
+  const config = loadStartupConfig({ required: ['githubWebhookSecret'], purpose: 'signing webhook deliveries' });
+  const file = process.argv[2];
+  if (!file || file.startsWith('--')) {
+    throw new Error('Usage: node webhook-replay.js <fixture.json> [--url <webhook url>]');
+  }
+  const url = getArgValue('--url') || DEFAULT_URL;
+  const deliveries = loadDeliveries(file);
+
+  console.log(`[REPLAY] Posting ${deliveries.length} deliveries to ${url}`);
+  let failed = 0;
+  for (const delivery of deliveries) {
+    const { status, body } = await replay(url, config.githubWebhookSecret, delivery);
+    if (status >= 400) failed++;
+    const summary = body?.data?.status || body?.error || '';
+    console.log(`[REPLAY] ${delivery.event}${delivery.payload.action ? `.${delivery.payload.action}` : ''} -> ${status} ${summary}`.trimEnd());
+  }
+  console.log(`[REPLAY] Done: ${deliveries.length - failed} accepted, ${failed} rejected`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[REPLAY] Failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, replay };